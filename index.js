@@ -1,10 +1,29 @@
 import 'dotenv/config';
-import * as fs from 'fs';
 import path from 'path';
+import * as fs from 'fs';
 import { fileURLToPath } from 'url';
 import { Telegraf } from 'telegraf';
-import puppeteer from 'puppeteer';
 import http from 'http';
+import cron from 'node-cron';
+import crypto from 'crypto';
+import { openStore } from './lib/store.js';
+import { buildChartHtml } from './lib/chart.js';
+import { buildCardHtml, cardKey } from './lib/card.js';
+import { escapeHtml, humanizeEta, mapWinnerToLabel, uniqueOptions, visibleLength, sliceBytes } from './lib/util.js';
+import { newPage, closeBrowser, browserStats } from './lib/scraper.js';
+import { createMarketSource, marketIdFromUrl } from './lib/sources.js';
+import { planDetailScrapes, runWithBudget } from './lib/schedule.js';
+import { inspectTick, nextHealth, ANOMALY_DEFAULTS } from './lib/anomalies.js';
+import { addWatch, removeWatch, watchersOf, dropMarket, dropUser } from './lib/watchlist.js';
+import { pickPoints, scorePicks, winningLabel, recordResults, leaderboard, weekStart, optionKey, optionByKey } from './lib/game.js';
+import { createOutbox } from './lib/outbox.js';
+import { DELIVERY_FLAGS, rememberMarket, confirmDelivery, saveTickMarkets } from './lib/delivery.js';
+import { createApi } from './lib/api.js';
+import { createRegistry, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import { parseTemplate, renderTemplate, raw, checkTelegramHtml, TemplateError } from './lib/templates.js';
+import { t, isLanguage, localeOf, LANGUAGES, DEFAULT_LANG } from './lib/i18n.js';
+import { isValidTimeZone } from './lib/time.js';
+import { DIGEST_PRESETS, parseDigestArgs, collectDigest, digestIsEmpty } from './lib/digest.js';
 
 /* =========================
    ENV / PATHS
@@ -16,11 +35,45 @@ const {
   TELEGRAM_BOT_TOKEN,
   TELEGRAM_CHAT_ID,
   AURACLE_BASE_URL = 'https://auracle.fi',
+  AURACLE_TIMEZONE = 'UTC',
   POLL_INTERVAL_SECONDS = '30',
   DATA_DIR = '/data',
   DEBUG,
   PORT = process.env.PORT || 8080,
   TZ = process.env.TZ || 'UTC',
+  BOT_OWNER_IDS = '',
+  ALLOW_CHAT_ADMINS,
+  ODDS_SWING_POINTS = '10',
+  ODDS_SWING_WINDOW_MINUTES = '60',
+  ODDS_SWING_COOLDOWN_MINUTES = '60',
+  CLOSE_REMINDER_MINUTES = '60,15',
+  STATE_BACKEND = 'sqlite',
+  SQLITE_FILE,
+  ODDS_HISTORY_DAYS = '30',
+  ODDS_HISTORY_MAX_POINTS = '2000',
+  RESOLVED_CHART,
+  ANNOUNCE_PHOTOS = 'off',
+  ANNOUNCE_PHOTO_SELECTOR = '',
+  MARKET_REFRESH_COOLDOWN_SECONDS = '20',
+  MARKET_SOURCE = 'puppeteer',
+  MARKET_SOURCE_URL,
+  MARKET_SOURCE_FILE,
+  SCRAPE_CONCURRENCY = '3',
+  TICK_BUDGET_SECONDS,
+  SCRAPE_OPEN_EVERY_MINUTES = '10',
+  SCRAPE_CLOSED_EVERY_MINUTES = '5',
+  SCRAPE_NEAR_CLOSE_MINUTES = '30',
+  OUTBOX_CHAT_PER_MINUTE = '20',
+  OUTBOX_GLOBAL_PER_SECOND = '25',
+  OUTBOX_MAX_ATTEMPTS = '10',
+  BOT_MODE = 'auto',
+  WEBHOOK_URL,
+  WEBHOOK_SECRET,
+  API_KEYS = '',
+  API_CORS_ORIGIN = '*',
+  METRICS_TOKEN,
+  OPS_CHAT_ID,
+  WATCHLIST_MAX = '20',
 } = process.env;
 
 const dbg = !!DEBUG;
@@ -28,6 +81,14 @@ if (!TELEGRAM_BOT_TOKEN) {
   console.error('Missing env: TELEGRAM_BOT_TOKEN');
   process.exit(1);
 }
+if (!isValidTimeZone(AURACLE_TIMEZONE)) {
+  console.error(`Unknown AURACLE_TIMEZONE "${AURACLE_TIMEZONE}" (use an IANA name like Europe/Madrid)`);
+  process.exit(1);
+}
+if (WEBHOOK_SECRET && !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+  console.error('WEBHOOK_SECRET may only contain A-Z, a-z, 0-9, _ and - (1-256 chars)');
+  process.exit(1);
+}
 
 /* =========================
    TELEGRAM BOT
@@ -35,19 +96,142 @@ if (!TELEGRAM_BOT_TOKEN) {
 const bot = new Telegraf(TELEGRAM_BOT_TOKEN);
 
 /* =========================
-   STATE
+   METRICS
    ========================= */
-const STATE_DIR  = path.resolve(DATA_DIR);
-const STATE_FILE = path.join(STATE_DIR, 'state.json');
+// Served as /metrics. Values read from the store or the browser are collected per scrape.
+const metrics = createRegistry();
+const bootedAt = Date.now();
+let lastTickOkAt = 0;
+
+const tickDuration   = metrics.histogram('auracle_tick_duration_seconds', 'Wall time of one tick.', { buckets: [1, 2, 5, 10, 20, 30, 60, 120, 300] });
+const ticksTotal     = metrics.counter('auracle_ticks_total', 'Ticks run, by result (ok or error).', { labels: ['result'] });
+const scrapesTotal   = metrics.counter('auracle_scrapes_total', 'Market source fetches by page (list or detail) and result (ok, empty or error).', { labels: ['page', 'result'] });
+const deliveryTotal  = metrics.counter('auracle_announcements_total', 'Outbox delivery attempts by event and result (sent, retried or dead).', { labels: ['event', 'result'] });
+const telegramErrors = metrics.counter('auracle_telegram_errors_total', 'Failed Telegram API calls by method and error code.', { labels: ['method', 'code'] });
+const anomaliesTotal = metrics.counter('auracle_scraper_anomalies_total', 'Scraper anomalies found by the per-tick checks, by kind.', { labels: ['code'] });
+metrics.gauge('auracle_scraper_broken', '1 while the scraper looks broken and non-critical announcements are paused.', {
+  collect: (g) => g.set(scraperHealth().broken ? 1 : 0),
+});
+metrics.gauge('auracle_last_successful_tick_age_seconds', 'Seconds since the last tick that finished without error (since boot if none has).', {
+  collect: (g) => g.set((Date.now() - (lastTickOkAt || bootedAt)) / 1000),
+});
+metrics.gauge('auracle_markets', 'Tracked markets by last seen status.', {
+  labels: ['status'],
+  collect: (g) => {
+    const counts = {};
+    for (const mk of Object.values(store.load().markets || {})) {
+      const status = mk.lastStatus || 'unknown';
+      counts[status] = (counts[status] || 0) + 1;
+    }
+    for (const [status, n] of Object.entries(counts)) g.set({ status }, n);
+  },
+});
+metrics.gauge('auracle_outbox_messages', 'Outbox messages by status (pending, sent in the last 7 days, dead).', {
+  labels: ['status'],
+  collect: (g) => { for (const [status, n] of Object.entries(store.outboxStats())) g.set({ status }, n); },
+});
+metrics.counter('auracle_browser_restarts_total', 'Times Puppeteer had to launch Chrome again after the first launch.', {
+  collect: (g) => g.set(browserStats().restarts),
+});
+
+function recordTick(startedAt, ok) {
+  tickDuration.observe((Date.now() - startedAt) / 1000);
+  ticksTotal.inc({ result: ok ? 'ok' : 'error' });
+  if (ok) lastTickOkAt = Date.now();
+}
+
+// Counts every list/detail fetch, whoever makes it (ticks, /market, /health)
+function instrumentSource(src) {
+  const count = (page) => async (...args) => {
+    try {
+      const out = await src[page === 'list' ? 'fetchList' : 'fetchDetail'](...args);
+      const empty = page === 'list' ? !out?.active?.length && !out?.trending?.length : !out?.id;
+      scrapesTotal.inc({ page, result: empty ? 'empty' : 'ok' });
+      return out;
+    } catch (e) {
+      scrapesTotal.inc({ page, result: 'error' });
+      throw e;
+    }
+  };
+  return { ...src, fetchList: count('list'), fetchDetail: count('detail') };
+}
+
+// bot.telegram and the per-update ctx.telegram are separate instances, so
+// both get counted: the first here, the others as each update comes in
+function instrumentTelegram(telegram) {
+  const callApi = telegram.callApi.bind(telegram);
+  telegram.callApi = async (method, ...args) => {
+    try {
+      return await callApi(method, ...args);
+    } catch (e) {
+      telegramErrors.inc({ method, code: e?.response?.error_code ?? 'network' });
+      throw e;
+    }
+  };
+  return telegram;
+}
+instrumentTelegram(bot.telegram);
+bot.use((ctx, next) => {
+  instrumentTelegram(ctx.telegram);
+  return next();
+});
 
-if (!fs.existsSync(STATE_DIR))  fs.mkdirSync(STATE_DIR, { recursive: true });
-if (!fs.existsSync(STATE_FILE)) fs.writeFileSync(STATE_FILE, JSON.stringify({ markets: {}, seeded: false }, null, 2));
+/* =========================
+   MARKET SOURCE
+   ========================= */
+// puppeteer scrapes auracle.fi; json reads MARKET_SOURCE_URL or MARKET_SOURCE_FILE
+const source = instrumentSource(createMarketSource({
+  kind: MARKET_SOURCE,
+  baseUrl: AURACLE_BASE_URL,
+  timeZone: AURACLE_TIMEZONE,
+  jsonUrl: MARKET_SOURCE_URL,
+  jsonFile: MARKET_SOURCE_FILE,
+  concurrency: Math.max(1, parseInt(SCRAPE_CONCURRENCY, 10) || 1),
+}));
+console.log(`[source] ${source.name}`);
 
-const loadState = () => {
-  try { return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')); }
-  catch { return { markets: {}, seeded: false }; }
+/* =========================
+   STATE
+   ========================= */
+const STATE_DIR = path.resolve(DATA_DIR);
+
+// sqlite by default; STATE_BACKEND=json keeps the plain state.json for dev.
+// An existing state.json is imported into a new database once.
+const store = openStore({ backend: STATE_BACKEND, dir: STATE_DIR, sqliteFile: SQLITE_FILE });
+console.log(`[store] ${store.kind} → ${store.file}`);
+
+// Only safe for load → modify → save with no await in between; anything that
+// holds state across awaits must write back just the parts it owns.
+const loadState = () => store.load();
+const saveState = (s) => store.save(s);
+
+// A tick holds its state across many awaits while commands keep changing chat
+// settings, so it only writes back markets, the seeded flag and the odds it
+// sampled. Reminder timers also write markets mid-tick; keep what they recorded.
+const ODDS_RETENTION = {
+  maxAgeMs:  Math.max(1, parseInt(ODDS_HISTORY_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+  maxPoints: Math.max(10, parseInt(ODDS_HISTORY_MAX_POINTS, 10) || 2000),
 };
-const saveState = (s) => fs.writeFileSync(STATE_FILE, JSON.stringify(s, null, 2));
+// Odds are recorded when they move; a flat market still gets a point an hour
+// so its chart reaches the present. Pruning is a full scan, so it runs hourly.
+const ODDS_SAMPLE_IDLE_MS = 60 * 60 * 1000;
+const ODDS_PRUNE_EVERY_MS = 60 * 60 * 1000;
+let lastOddsPruneAt = 0;
+const OUTBOX_SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// Delivery confirmations, reminder marks and game picks made meanwhile are
+// kept (see saveTickMarkets).
+function saveTickState(state, { oddsSamples = [], removedIds = [] } = {}) {
+  store.transaction(() => {
+    store.recordOdds(oddsSamples);
+    if (Date.now() - lastOddsPruneAt >= ODDS_PRUNE_EVERY_MS) {
+      store.pruneOdds(ODDS_RETENTION);
+      lastOddsPruneAt = Date.now();
+    }
+    store.pruneOutbox({ sentMaxAgeMs: OUTBOX_SENT_RETENTION_MS });
+    saveTickMarkets(store, state.markets, { removedIds });
+    store.setSetting('seeded', !!state.seeded);
+  });
+}
 
 function summarizeState(state) {
   const m = state.markets || {};
@@ -65,565 +249,252 @@ function summarizeState(state) {
   }
   return {
     total, open, closed, resolved, retired, aO, aC, aR,
+    outbox: store.outboxStats(),
     seeded: !!state.seeded,
-    targetChatId: state.targetChatId || TELEGRAM_CHAT_ID
+    targetChatId: state.targetChatId || TELEGRAM_CHAT_ID,
+    subscriptions: Object.keys(state.subscriptions || {}).length
   };
 }
 
 function getTargetChatId() {
-  try { return loadState().targetChatId || TELEGRAM_CHAT_ID; }
+  try { return store.getSetting('targetChatId') || TELEGRAM_CHAT_ID; }
   catch { return TELEGRAM_CHAT_ID; }
 }
+// The target chat is the default subscription: moving it carries the old
+// default's filters over to the new chat.
 function setTargetChatId(id) {
   const st = loadState();
+  const subs = getSubscriptions(st);
+  const key = String(id);
+  let carried = {};
+  for (const chatId of Object.keys(subs)) {
+    if (!subs[chatId].isDefault) continue;
+    const { events, categories, keywords } = subs[chatId];
+    carried = { events, categories, keywords };
+    if (chatId !== key) delete subs[chatId];
+  }
+  subs[key] = { ...newSubscription(key), ...carried, ...(subs[key] || {}), isDefault: true };
   st.targetChatId = id;
   saveState(st);
   return id;
 }
 
 /* =========================
-   UTILS
+   SUBSCRIPTIONS
    ========================= */
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-function escapeHtml(s = '') {
-  return String(s)
-    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
-// Human-readable ETA from a future ISO/epoch
-function humanizeEta(targetMs, nowMs = Date.now()) {
-  if (!Number.isFinite(targetMs)) return '';
-  let diff = Math.max(0, Math.floor((targetMs - nowMs) / 1000));
-  const min = Math.floor(diff / 60);
-  const hr  = Math.floor(min / 60);
-  const day = Math.floor(hr / 24);
-  if (day >= 2)  return `in about ${day} days`;
-  if (day === 1) return `in about 1 day`;
-  if (hr  >= 2)  return `in about ${hr} hours`;
-  if (hr  === 1) return `in about 1 hour`;
-  if (min >= 2)  return `in about ${min} minutes`;
-  if (min === 1) return `in about 1 minute`;
-  return `in about moments`;
-}
-
-// Clean and dedupe option labels
-function cleanLabel(label = '') {
-  if (!label) return '';
-  let s = label.replace(/^CURRENT\s*[–—-]?\s*/i, '').trim();
-  const banned = ['PROBABILITY','CHART','POOL','SPORTS','WINS','IMPLIED','HOW IT WORKS','PAYOUTS','RESOLUTION','EARLY CASH-OUT'];
-  if (banned.some(b => s.toUpperCase().includes(b))) return '';
-  s = s.replace(/\s+/g, ' ');
-  if (s.length > 48) s = s.slice(0, 48);
-  return s;
-}
-function uniqueOptions(options = []) {
-  const out = [];
-  const seen = new Set();
-  for (const o of options) {
-    const lbl = cleanLabel(o?.label || '');
-    if (!lbl) continue;
-    const key = lbl.toUpperCase();
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push({ label: lbl, pct: (o?.pct != null) ? Math.max(0, Math.min(100, Math.round(o.pct))) : null });
-    if (out.length >= 3) break;
-  }
-  if (out.length === 2) {
-    const [a, b] = out;
-    if (a.pct != null && b.pct == null) b.pct = 100 - a.pct;
-    if (b.pct != null && a.pct == null) a.pct = 100 - b.pct;
+const EVENT_TYPES = ['open', 'closed', 'resolved', 'trending', 'odds', 'closing'];
+
+// Registry lives in state.subscriptions keyed by chat id. The first time it is
+// touched it is seeded with the legacy single target so old deployments keep
+// announcing to the same chat.
+function getSubscriptions(state) {
+  if (!state.subscriptions) {
+    state.subscriptions = {};
+    const target = state.targetChatId || TELEGRAM_CHAT_ID;
+    if (target) state.subscriptions[target] = newSubscription(target, { isDefault: true });
   }
-  return out;
+  return state.subscriptions;
+}
+
+function newSubscription(chatId, extra = {}) {
+  return {
+    chatId: String(chatId),
+    events: [],      // empty = every event type
+    categories: [],  // empty = every category
+    keywords: [],    // empty = every title
+    createdAt: new Date().toISOString(),
+    ...extra,
+  };
 }
 
-// Map "YES/NO/DRAW" winner text to real choice label (team name)
-function mapWinnerToLabel(winnerRaw, finalOptions = []) {
-  if (!winnerRaw) return null;
-  const r = winnerRaw.trim().toUpperCase();
-  for (const o of finalOptions) {
-    if (o?.label && r.includes(o.label.toUpperCase())) return o.label;
+function subscriptionMatches(sub, event, m = {}) {
+  if (sub.events?.length && !sub.events.includes(event)) return false;
+  if (sub.categories?.length) {
+    const cat = (m.category || '').trim().toUpperCase();
+    if (!sub.categories.some(c => c.toUpperCase() === cat)) return false;
+  }
+  if (sub.keywords?.length) {
+    const title = (m.title || '').toUpperCase();
+    if (!sub.keywords.some(k => title.includes(k.toUpperCase()))) return false;
   }
-  if (r.startsWith('YES'))  return finalOptions[0]?.label || 'YES';
-  if (r.startsWith('NO'))   return finalOptions[1]?.label || 'NO';
-  if (r.startsWith('DRAW')) return finalOptions[2]?.label || 'DRAW';
-  if (r.includes('INVALID')) return 'Invalid';
-  return winnerRaw.trim();
+  return true;
 }
 
-/* =========================
-   PUPPETEER
-   ========================= */
-let browser = null;
-
-async function getBrowser() {
-  if (browser) return browser;
-  browser = await puppeteer.launch({
-    headless: 'new',
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--single-process',
-      '--window-size=1280,1024',
-    ],
-  });
-  console.log('[puppeteer] launched');
-  return browser;
-}
-async function newPage() {
-  const b = await getBrowser();
-  const page = await b.newPage();
-  await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) AuracleBot/1.0 Chrome/117 Safari/537.36');
-  await page.setViewport({ width: 1280, height: 1024 });
-  await page.setCacheEnabled(false);
-  return page;
-}
-async function autoScroll(page) {
-  await page.evaluate(async () => {
-    await new Promise((resolve) => {
-      let total = 0;
-      const distance = 800;
-      const timer = setInterval(() => {
-        const doc = document.scrollingElement || document.documentElement;
-        const { scrollTop, scrollHeight, clientHeight } = doc;
-        window.scrollBy(0, distance);
-        total += distance;
-        if (scrollTop + clientHeight >= scrollHeight - 2 || total > 20000) {
-          clearInterval(timer);
-          resolve();
-        }
-      }, 250);
-    });
-  });
+function matchingChatIds(state, event, m) {
+  return Object.values(getSubscriptions(state))
+    .filter(sub => subscriptionMatches(sub, event, m))
+    .map(sub => sub.chatId);
+}
+
+// "events=open,resolved category=Sports keywords=world cup, lakers"
+// Values run until the next key=, so keywords may contain spaces. Anything
+// before the first key= is not a filter, and saying nothing would subscribe to everything.
+function parseSubscriptionArgs(text = '', lang = DEFAULT_LANG) {
+  const out = {};
+  const args = text.trim();
+  const re = /(\w+)\s*=\s*(.*?)(?=\s+\w+\s*=|$)/g;
+  let m;
+  let end = 0;
+  while ((m = re.exec(args))) {
+    const stray = args.slice(end, m.index).trim();
+    if (stray) throw new Error(t(lang, 'subscription.notFilter', { text: stray }));
+    end = m.index + m[0].length;
+    const key = m[1].toLowerCase();
+    const raw = m[2].trim();
+    const list = /^(any|all|\*)$/i.test(raw) ? [] : raw.split(',').map(s => s.trim()).filter(Boolean);
+    if (['event', 'events', 'type', 'types'].includes(key)) {
+      const bad = list.filter(e => !EVENT_TYPES.includes(e.toLowerCase()));
+      if (bad.length) throw new Error(t(lang, 'subscription.unknownEvent', { list: bad.join(', '), allowed: EVENT_TYPES.join(', ') }));
+      out.events = list.map(e => e.toLowerCase());
+    } else if (['category', 'categories', 'cat'].includes(key)) {
+      out.categories = list;
+    } else if (['keyword', 'keywords', 'kw'].includes(key)) {
+      out.keywords = list;
+    } else {
+      throw new Error(t(lang, 'subscription.unknownFilter', { key }));
+    }
+  }
+  const stray = args.slice(end).trim();
+  if (stray) throw new Error(t(lang, 'subscription.notFilter', { text: stray }));
+  return out;
+}
+
+function describeSubscription(sub, lang = DEFAULT_LANG) {
+  if (!sub) return t(lang, 'subscription.none');
+  const list = (arr) => arr?.length ? arr.join(', ') : t(lang, 'subscription.any');
+  return [
+    t(lang, 'subscription.events', { list: list(sub.events) }),
+    t(lang, 'subscription.categories', { list: list(sub.categories) }),
+    t(lang, 'subscription.keywords', { list: list(sub.keywords) }),
+    ...(sub.digest ? [t(lang, 'subscription.digest', sub.digest)] : []),
+    ...(Object.keys(sub.templates || {}).length ? [t(lang, 'subscription.templates', { list: Object.keys(sub.templates).join(', ') })] : []),
+  ].join(' | ') + (sub.isDefault ? t(lang, 'subscription.default') : '');
 }
 
 /* =========================
-   LIST SCRAPER (Active vs Trending)
+   CHAT PREFERENCES
    ========================= */
-async function fetchMarketsFromSections({ debug = false } = {}) {
-  const base = AURACLE_BASE_URL.replace(/\/+$/, '');
-  const now  = Date.now();
-  const listCandidates = [`${base}/Markets?ts=${now}`, `${base}/markets?ts=${now}`];
-
-  for (const url of listCandidates) {
-    try {
-      const page = await newPage();
-      if (debug || dbg) console.log('[sections] goto', url);
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-
-      try {
-        await page.waitForFunction(
-          () => !!document.querySelector('a[href*="MarketDetails?id="], a[href*="/markets/"]'),
-          { timeout: 20000 }
-        );
-      } catch {}
-      for (let i = 0; i < 10; i++) { await autoScroll(page); await sleep(400); }
-
-      const data = await page.evaluate(() => {
-        const text = (el) => (el?.textContent || '').trim();
-
-        const HAS_HOT = (node) => {
-          if (!node) return false;
-          const nodes = Array.from(node.querySelectorAll('*:not(script):not(style)')).slice(0, 500);
-          for (const n of nodes) {
-            const t = (n.textContent || '').toUpperCase();
-            if (/#\s*\d+\s*HOT/.test(t)) return true;
-          }
-          return false;
-        };
+// /lang and /tz keep one language and one display timezone per chat in the
+// chatLanguages and chatTimezones settings. Command handlers read ctx.lang and
+// ctx.tz; announcements look each chat up as they are queued.
+function chatLanguages() {
+  return store.getSetting('chatLanguages', {}) || {};
+}
 
-        // reject elements in these sections
-        const isNoise = (el) => {
-          const cls = (el.closest('[class]')?.className || '') + ' ' + (el.id || '');
-          return /(how|works|analysis|faq|help|guide|legal|footer|auracle-analys)/i.test(cls);
-        };
+function chatLang(chatId, languages = chatLanguages()) {
+  const lang = languages[String(chatId)];
+  return isLanguage(lang) ? lang : DEFAULT_LANG;
+}
 
-        const normalize = (arr) => {
-          const out = [];
-          const seen = new Set();
-          for (const o of arr) {
-            let lbl = (o?.label || '').replace(/^CURRENT\s*[–—-]?\s*/i, '').trim();
-            if (!lbl) continue;
-            const U = lbl.toUpperCase();
-            if (/(PROBABILITY|CHART|POOL|SPORTS|WINS|IMPLIED|HOW IT WORKS|PAYOUTS|RESOLUTION|EARLY CASH-OUT)/i.test(U)) continue;
-            if (seen.has(U)) continue;
-            seen.add(U);
-            const pct = (o?.pct != null && o.pct >= 0 && o.pct <= 100) ? Math.round(o.pct) : null;
-            out.push({ label: lbl, pct });
-            if (out.length >= 3) break;
-          }
-          if (out.length === 2) {
-            const [a,b] = out;
-            if (a.pct != null && b.pct == null) b.pct = Math.max(0, Math.min(100, 100 - a.pct));
-            if (b.pct != null && a.pct == null) a.pct = Math.max(0, Math.min(100, 100 - b.pct));
-          }
-          return out;
-        };
+function chatTimezones() {
+  return store.getSetting('chatTimezones', {}) || {};
+}
 
-        // FIRST: “XYZ IMPLIED 33%” boxes (those purple/cyan/yellow panels)
-        const fromImpliedPanels = (root) => {
-          const out = [];
-          const nodes = Array.from(root?.querySelectorAll('*') || []).slice(0, 1000);
-          for (const el of nodes) {
-            if (isNoise(el)) continue;
-            const t = (el.textContent || '').replace(/\s+/g, ' ').trim();
-            if (t.length < 4 || t.length > 80) continue;
-            const m = t.match(/^(.+?)\s+IMPLIED[^0-9]*?(\d{1,3})\s*%$/i);
-            if (!m) continue;
-            const label = m[1].trim();
-            const pct   = parseInt(m[2], 10);
-            if (label && Number.isFinite(pct)) out.push({ label, pct });
-            if (out.length >= 3) break;
-          }
-          return out;
-        };
+function chatTz(chatId, zones = chatTimezones()) {
+  const tz = zones[String(chatId)];
+  return tz && isValidTimeZone(tz) ? tz : TZ;
+}
 
-        // SECOND: “place bet rows” – only if inside an options/bet container
-        const fromPlaceBetRows = (root) => {
-          const containers = Array.from(root?.querySelectorAll('[class*="place"],[class*="bet"],[class*="option"],[class*="side"]') || []);
-          const out = [];
-          const labelSel = [
-            '.label', '.name', '.team', '.option-label',
-            '[data-testid="option-label"]', '[data-testid="option-name"]',
-            'strong', 'span', 'p'
-          ].join(',');
-          const pctSel = [
-            '.percent', '.percentage', '.progress-label', '.option-percent',
-            '[data-testid="option-percent"]'
-          ].join(',');
-          for (const box of containers) {
-            const rows = Array.from(box.querySelectorAll('[class*="option"],[class*="side"],[role="listitem"]')).slice(0,6);
-            for (const row of rows) {
-              if (isNoise(row)) continue;
-              const lblNode = row.querySelector(labelSel);
-              const pctNode = row.querySelector(pctSel);
-              if (!lblNode || !pctNode) continue;
-              const lbl = (lblNode.textContent || '').trim();
-              const pctStr = (pctNode.textContent || '').replace('%','').replace(/[^\d.]/g,'');
-              const pct = Number.isFinite(parseFloat(pctStr)) ? Math.round(parseFloat(pctStr)) : null;
-              if (lbl && pct != null) out.push({ label: lbl, pct });
-              if (out.length >= 3) break;
-            }
-            if (out.length >= 2) break;
-          }
-          return out;
-        };
+// value null goes back to the default
+function setChatPreference(setting, chatId, value) {
+  const prefs = { ...(store.getSetting(setting, {}) || {}) };
+  if (value == null) delete prefs[String(chatId)];
+  else prefs[String(chatId)] = value;
+  store.setSetting(setting, prefs);
+}
 
-        // ends-in helper
-        const MINUTES = (n, unit) => {
-          unit = (unit || '').toLowerCase();
-          if (unit.startsWith('day'))   return n * 24 * 60;
-          if (unit.startsWith('hour'))  return n * 60;
-          if (unit.startsWith('min'))   return n;
-          return n;
-        };
+bot.use((ctx, next) => {
+  ctx.lang = ctx.chat ? chatLang(ctx.chat.id) : DEFAULT_LANG;
+  ctx.tz = ctx.chat ? chatTz(ctx.chat.id) : TZ;
+  return next();
+});
 
-        const anchors = Array.from(document.querySelectorAll('a[href*="MarketDetails?id="], a[href*="/markets/"]'));
-        const seenUrls = new Set();
-        const entries = [];
-
-        for (const a of anchors) {
-          const href = a.getAttribute('href') || '';
-          const abs  = href.startsWith('http') ? href : `${location.origin}${href}`;
-          if (seenUrls.has(abs)) continue;
-          seenUrls.add(abs);
-
-          const cardRoot = a.closest('article, section, div.card, div') || a.parentElement;
-
-          const category = (cardRoot && text(cardRoot.querySelector('.badge, .chip, .category, [data-testid="category"]'))) || '';
-
-          // endsIn
-          let endsIn = '';
-          let bestMins = -1;
-          const timeNodes = Array.from(
-            cardRoot?.querySelectorAll('time, [data-testid="ends-in"], .ends-in, .text-xs, .text-sm, [class*="ends"], [class*="countdown"]') || []
-          );
-          for (const el of timeNodes) {
-            const t = (el.textContent || '').trim();
-            const re = /\b(?:in\s+about|about|in)\s+(\d+)\s*(days?|hours?|minutes?)\b/i;
-            const m = t.match(re);
-            if (m) {
-              const n = parseInt(m[1], 10);
-              const mins = MINUTES(n, m[2]);
-              if (Number.isFinite(mins) && mins > bestMins) { bestMins = mins; endsIn = t; }
-            }
-          }
+const tr = (ctx, key, vars) => t(ctx.lang, key, vars);
 
-          // options: prefer IMPLIED panels; fallback to place-bet rows
-          let options = fromImpliedPanels(cardRoot);
-          if (options.length < 2) {
-            const rows = fromPlaceBetRows(cardRoot);
-            if (rows.length >= 2) options = rows;
-          }
-          options = normalize(options);
+/* =========================
+   ADMIN AUTH
+   ========================= */
+// Owners come from env and can never be removed from chat; admins are managed
+// by owners at runtime and live in state.admins.
+const OWNER_IDS = new Set(
+  String(BOT_OWNER_IDS || '').split(',').map(s => s.trim()).filter(Boolean)
+);
+const chatAdminsAllowed = /^(1|true|yes|on)$/i.test(String(ALLOW_CHAT_ADMINS || ''));
+
+function getAdminIds(state) {
+  return (state.admins || []).map(String);
+}
+function isOwner(userId) {
+  return userId != null && OWNER_IDS.has(String(userId));
+}
+function isBotAdmin(userId) {
+  if (userId == null) return false;
+  return isOwner(userId) || getAdminIds({ admins: store.getSetting('admins', []) }).includes(String(userId));
+}
 
-          // id
-          let id = null;
-          try {
-            const u = new URL(abs);
-            id = u.searchParams.get('id') || (u.pathname.match(/\/markets\/([^/]+)/i)?.[1] || null);
-          } catch {}
+// getChatAdministrators is rate-limited by Telegram, so keep it briefly per chat
+const CHAT_ADMINS_TTL_MS = 60_000;
+const chatAdminsCache = new Map(); // chatId -> { at, ids:Set }
+async function isTelegramChatAdmin(ctx) {
+  const chat = ctx.chat;
+  if (!chat || chat.type === 'private' || !ctx.from) return false;
+  const cached = chatAdminsCache.get(chat.id);
+  if (cached && Date.now() - cached.at < CHAT_ADMINS_TTL_MS) return cached.ids.has(ctx.from.id);
+  try {
+    const admins = await ctx.telegram.getChatAdministrators(chat.id);
+    const ids = new Set(admins.map(a => a.user?.id));
+    chatAdminsCache.set(chat.id, { at: Date.now(), ids });
+    return ids.has(ctx.from.id);
+  } catch (e) {
+    console.error('[auth] getChatAdministrators failed for', chat.id, e?.response?.description || e.message);
+    return false;
+  }
+}
 
-          const entry = { id, url: abs, title: '', category, endsIn, options, status: 'open' };
-          const trending = HAS_HOT(cardRoot);
-          entries.push({ entry, trending });
-        }
+async function isAuthorized(ctx) {
+  if (isBotAdmin(ctx.from?.id)) return true;
+  if (chatAdminsAllowed && await isTelegramChatAdmin(ctx)) return true;
+  return false;
+}
 
-        // dedupe
-        const byKey = new Map();
-        for (const { entry, trending } of entries) {
-          const key = entry.id || entry.url;
-          if (!byKey.has(key)) byKey.set(key, { entry, trending });
-        }
+function describeCaller(ctx) {
+  const u = ctx.from;
+  const who = u ? `${u.id}${u.username ? ' @' + u.username : ''}` : 'unknown';
+  return `user ${who} in chat ${ctx.chat?.id}`;
+}
 
-        const trendingArr = [];
-        const activeArr   = [];
-        for (const { entry, trending } of byKey.values()) {
-          if (trending) trendingArr.push(entry);
-          else activeArr.push(entry);
-        }
+// Telegraf middleware for commands that change what or where we announce
+async function requireAdmin(ctx, next) {
+  if (await isAuthorized(ctx)) return next();
+  const cmd = (ctx.message?.text || '').split(/\s+/)[0];
+  console.warn(`[auth] DENIED ${cmd} → ${describeCaller(ctx)}`);
+  await ctx.reply(tr(ctx, 'auth.denied'));
+}
 
-        if (activeArr.length === 0 && trendingArr.length > 0) {
-          return { trending: [], active: trendingArr };
-        }
-        return { trending: trendingArr, active: activeArr };
-      });
+async function requireOwner(ctx, next) {
+  if (isOwner(ctx.from?.id)) return next();
+  const cmd = (ctx.message?.text || '').split(/\s+/)[0];
+  console.warn(`[auth] DENIED ${cmd} → ${describeCaller(ctx)} (owner only)`);
+  await ctx.reply(tr(ctx, 'auth.ownerOnly'));
+}
 
-      await page.close();
-      if (debug || dbg) console.log('[sections] trending:', data.trending.length, 'active:', data.active.length);
-      return data;
-    } catch (err) {
-      if (debug || dbg) console.log('[sections] error', err.message);
-    }
-  }
-  return { trending: [], active: [] };
+// Target user comes from the argument or from the message being replied to
+function commandTargetUserId(ctx) {
+  const arg = (ctx.message?.text || '').trim().split(/\s+/)[1];
+  if (arg && /^\d+$/.test(arg)) return arg;
+  const replied = ctx.message?.reply_to_message?.from?.id;
+  return replied != null ? String(replied) : null;
 }
 
 /* =========================
-   DETAIL SCRAPER
+   UTILS
    ========================= */
-async function scrapeMarketDetail(url, { debug = false } = {}) {
-  const page = await newPage();
-  if (debug || dbg) console.log('[detail] goto', url);
-  await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-  try { await page.waitForSelector('body', { timeout: 8000 }); } catch {}
-  await autoScroll(page);
-  await sleep(600);
-
-  const data = await page.evaluate(() => {
-    const text = (el) => (el?.textContent || '').trim();
-    const up   = (s) => (s || '').toUpperCase();
-
-    // ---- Title
-    const og = document.querySelector('meta[property="og:title"]')?.getAttribute('content')?.trim();
-    const nodes = Array.from(document.querySelectorAll(
-      'h1, h2, h3, .market-title, [data-testid="market-title"], .title, .text-3xl, .text-2xl'
-    ));
-    const bad = /^(AURACLE|BACK TO AURACLES|PREDICT THE FUTURE)$/i;
-    const scoreTitle = (s) => {
-      if (!s) return -1e9;
-      let t = s.replace(/\s+/g, ' ').trim();
-      if (bad.test(t)) return -1e9;
-      if (/AURACLE\s*(•|-|—|\|)/i.test(t)) return -1000;
-      let score = 0;
-      if (/\bvs\b/i.test(t)) score += 50;
-      if (/\?/.test(t)) score += 30;
-      if (t.length >= 12) score += 10;
-      score += Math.min(60, t.length / 2);
-      return score;
-    };
-    const cand = [];
-    if (og) cand.push({ t: og, s: scoreTitle(og) });
-    for (const n of nodes) { const t = text(n); cand.push({ t, s: scoreTitle(t) }); }
-    cand.sort((a,b) => b.s - a.s);
-    let bestTitle = (cand.find(x => x.s > 0)?.t || '').trim();
-    if (!bestTitle) {
-      let dt = (document.title || '').trim();
-      let parts = dt.split(/[\|\-•—]/).map(s => s.trim()).filter(Boolean);
-      parts = parts.filter(p => !/^AURACLE$/i.test(p));
-      bestTitle = parts[0] || dt;
-    }
-
-    // ---- Options / Percentages
-    const getPctFromNode = (node) => {
-      if (!node) return null;
-      const s = (node.textContent || '').replace('%','').replace(/[^\d.]/g,'');
-      const n = parseFloat(s);
-      return Number.isFinite(n) ? Math.round(n) : null;
-    };
-
-    let options = [];
-
-    // Primary: rows in “Place Bet”
-    (function primaryOptionRows() {
-      if (options.length >= 2) return;
-      const rowSelectors = [
-        '.option', '.side',
-        '.option-a, .option-b, .option-c',
-        '.side-a, .side-b, .side-c',
-        '.left, .right, .center',
-        '[data-option]', '[role="listitem"]',
-        '[data-testid="market-option"]',
-        '.market-option, .market-side'
-      ];
-      const labelSelectors = [
-        '.label', '.name', '.team', '.option-label',
-        '[data-testid="option-label"]', '[data-testid="option-name"]',
-        'strong', 'span', 'p'
-      ].join(',');
-      const percentSelectors = [
-        '.percent', '.percentage', '.progress-label', '.option-percent',
-        '[data-testid="option-percent"]'
-      ].join(',');
-
-      for (const sel of rowSelectors) {
-        const rows = Array.from(document.querySelectorAll(sel));
-        if (rows.length >= 2) {
-          const out = rows.map((row, i) => {
-            const labelNode = row.querySelector(labelSelectors);
-            const pctNode   = row.querySelector(percentSelectors);
-            const label = (labelNode?.textContent || '').trim() || `Option ${i+1}`;
-            const pct   = getPctFromNode(pctNode);
-            return { label, pct: Number.isFinite(pct) ? pct : null };
-          }).filter(o => o.label || o.pct !== null);
-          if (out.filter(o => o.label).length >= 2) {
-            options = out.slice(0, 3);
-            break;
-          }
-        }
-      }
-    })();
-
-    // Fallback A: “CURRENT … 33%” (closed pages)
-    (function chartCurrentBlocks() {
-      if (options.length >= 2 && options.every(o => o.pct !== null)) return;
-      const raw = (document.body?.innerText || '').replace(/\s+/g, ' ');
-      const re = /CURRENT\s+([A-Za-z0-9@.'’\-&/ ]+?)\s+(\d{1,3})\s*%/gi;
-      let m; const out = [];
-      while ((m = re.exec(raw))) {
-        const label = m[1].trim(); const pct = parseInt(m[2],10);
-        if (label && Number.isFinite(pct)) out.push({ label, pct });
-      }
-      if (out.length >= 2) options = out.slice(0, 3);
-    })();
-
-    // Fallback B: “XYZ IMPLIED 33%” panels
-    (function impliedPanels() {
-      if (options.length >= 2 && options.every(o => o.pct !== null)) return;
-      const nodes = Array.from(document.querySelectorAll('*')).slice(0, 1500);
-      const out = [];
-      for (const el of nodes) {
-        const t = (el.textContent || '').replace(/\s+/g, ' ').trim();
-        if (t.length < 4 || t.length > 80) continue;
-        const m = t.match(/^(.+?)\s+IMPLIED[^0-9]*?(\d{1,3})\s*%$/i);
-        if (!m) continue;
-        const label = m[1].trim();
-        const pct = parseInt(m[2], 10);
-        if (label && Number.isFinite(pct)) out.push({ label, pct });
-        if (out.length >= 3) break;
-      }
-      if (out.length >= 2) options = out.slice(0, 3);
-    })();
-
-    // Normalize + dedupe
-    const byLabel = new Map();
-    for (const o of options) {
-      let L = (o.label || '').trim().replace(/^CURRENT\s*[–—-]?\s*/i, '').replace(/\s+/g, ' ');
-      if (!L) continue;
-      const U = L.toUpperCase();
-      if (/(PROBABILITY|CHART|POOL|SPORTS|WINS|IMPLIED|HOW IT WORKS|PAYOUTS|RESOLUTION|EARLY CASH-OUT)/i.test(U)) continue;
-      const pctVal = (o.pct != null && o.pct >= 0 && o.pct <= 100) ? Math.round(o.pct) : null;
-      if (!byLabel.has(U)) byLabel.set(U, { label: L, pct: pctVal });
-      else if (pctVal != null) byLabel.get(U).pct = pctVal;
-    }
-    let norm = Array.from(byLabel.values()).slice(0,3);
-    if (norm.length === 2) {
-      const [a,b] = norm;
-      if (a.pct != null && b.pct == null) b.pct = Math.max(0, Math.min(100, 100 - a.pct));
-      if (b.pct != null && a.pct == null) a.pct = Math.max(0, Math.min(100, 100 - b.pct));
-    }
-    options = norm;
-
-    // ---- Status / Winner
-    const pageTextRaw = document.body?.innerText || '';
-    const pageTextUP  = up(pageTextRaw);
-    const isClosedText = pageTextUP.includes('ORACLE CLOSED - AWAITING RESOLUTION');
-
-    let winner = null;
-    const resolvedMatch =
-      pageTextRaw.match(/ORACLE\s+RESOLVED\s*[:\-]\s*([^\n\r]+)/i) ||
-      pageTextRaw.match(/ORACLE\s+RESOLVED\s*(?:\r?\n)+\s*([^\n\r]+)/i);
-    if (resolvedMatch && resolvedMatch[1]) winner = resolvedMatch[1].trim();
-
-    let status = 'open';
-    if (winner) status = 'resolved';
-    else if (isClosedText) status = 'closed';
-
-    // ---- Close date
-    function parseCloseTextToDate(text) {
-      if (!text) return null;
-      const re = /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s*\d{4}\s+at\s+\d{1,2}:\d{2}\s*(AM|PM)\b/i;
-      const m = text.match(re);
-      if (m) { const d = new Date(m[0]); if (!isNaN(d.getTime())) return d.toISOString(); }
-      const reDate = /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s*\d{4}\b/i;
-      const reTime = /\b\d{1,2}:\d{2}\s*(AM|PM)\b/i;
-      const md = text.match(reDate);
-      const mt = text.match(reTime);
-      if (md) {
-        const str = md[0] + (mt ? (' ' + mt[0]) : '');
-        const d = new Date(str);
-        if (!isNaN(d.getTime())) return d.toISOString();
-      }
-      return null;
-    }
-    let closeISO = null, closeText = '';
-    const closeLabel = Array.from(document.querySelectorAll('*')).find(el => {
-      const t = (el.textContent || '').trim().toUpperCase();
-      return t === 'CLOSE' || t === 'CLOSES' || t === 'CLOSING' || t === 'CLOSE DATE';
-    });
-    if (closeLabel) {
-      const cands = [];
-      if (closeLabel.nextElementSibling) cands.push(closeLabel.nextElementSibling);
-      if (closeLabel.parentElement) {
-        cands.push(closeLabel.parentElement.querySelector('time'));
-        cands.push(closeLabel.parentElement.querySelector('.text-sm, .text-xs, .ends-in, [data-testid="ends-in"]'));
-      }
-      const uniq = Array.from(new Set(cands.filter(Boolean)));
-      for (const el of uniq) {
-        const t = (el?.textContent || '').trim();
-        if (!t) continue;
-        const iso = parseCloseTextToDate(t);
-        if (iso) { closeISO = iso; closeText = t; break; }
-      }
-    }
-    if (!closeISO) {
-      const bodyTxt = (document.body?.innerText || '').replace(/\s+/g, ' ');
-      const iso = parseCloseTextToDate(bodyTxt);
-      if (iso) { closeISO = iso; const d = new Date(iso); closeText = d.toLocaleString(); }
-    }
-
-    // ---- ID
-    let id = null;
-    try {
-      const u = new URL(location.href);
-      id = u.searchParams.get('id') || (u.pathname.match(/\/markets\/([^/]+)/i)?.[1] || null);
-    } catch {}
-
-    return {
-      id, title: bestTitle, url: location.href,
-      status, options, winner: winner || null,
-      endsIn: '',
-      closeISO: closeISO || '',
-      closeText: closeText || ''
-    };
+// Absolute time in the bot's TZ (or a chat's), e.g. "Mar 3, 2025, 19:00 UTC"
+function fmtDateTime(ms, timeZone = TZ, lang = DEFAULT_LANG) {
+  return new Date(ms).toLocaleString(localeOf(lang), {
+    timeZone, month: 'short', day: 'numeric', year: 'numeric',
+    hour: '2-digit', minute: '2-digit', hour12: false, timeZoneName: 'short',
   });
-
-  await page.close();
-  if (debug || dbg) console.log('[detail] scraped', data ? `${data.id} "${data.title}" status=${data.status}` : 'null');
-  return data;
 }
 
 /* =========================
@@ -634,128 +505,813 @@ function formatOptionsList(options = []) {
   return options.map(o => `${escapeHtml(o.label)}: <b>${o.pct ?? '?'}%</b>`).join('  |  ');
 }
 
-function fmtNewMarket(m) {
+// Events a chat can re-word with /template. The defaults are the
+// template.<event> catalog entries; see lib/templates.js for the syntax.
+const TEMPLATE_EVENTS = ['open', 'closed', 'resolved', 'trending'];
+const TEMPLATE_FIELDS = [
+  'title', 'category', 'closes', 'closesAt', 'endsIn', 'options', 'optionsInline', 'optionsSummary', 'winner', 'url',
+];
+const defaultTemplate = (event, lang = DEFAULT_LANG) => t(lang, `template.${event}`);
+
+// Option lists come pre-formatted; they are empty when there are no odds so
+// {^options} can supply a fallback. Close times are redone in the chat's
+// language and timezone: closesAt is the local time, endsIn how far off it
+// is, and closes both together (or whichever one is known).
+function templateVars(m, lang, tz = TZ) {
+  const options = m.options || [];
+  const closeMs = Date.parse(m.closeISO || '');
+  // Same rule as the tick uses for endsIn
+  const live = Number.isFinite(closeMs) && (m.status === 'open' || closeMs > Date.now());
+  const closesAt = Number.isFinite(closeMs) ? fmtDateTime(closeMs, tz, lang) : '';
+  const endsIn = live ? humanizeEta(closeMs, Date.now(), lang) : m.endsIn;
+  return {
+    title: m.title, category: m.category, winner: m.winner, url: m.url,
+    closesAt, endsIn,
+    closes: closesAt && endsIn ? `${closesAt} (${endsIn})` : closesAt || endsIn,
+    options: raw(options.slice(0, 3).map(o => `• ${escapeHtml(o.label)} — <b>${o.pct ?? '?'}%</b>`).join('\n')),
+    optionsInline: raw(options.map(o => `${escapeHtml(o.label)} ${o.pct ?? '?'}%`).join(' - ')),
+    optionsSummary: raw(options.length ? formatOptionsList(options) : ''),
+  };
+}
+
+const parsedTemplates = new Map(); // source -> parsed, shared by every chat using it
+function renderEventTemplate(event, m, { lang = DEFAULT_LANG, tz = TZ, source = defaultTemplate(event, lang) } = {}) {
+  if (!parsedTemplates.has(source)) parsedTemplates.set(source, parseTemplate(source, { known: TEMPLATE_FIELDS }));
+  return renderTemplate(parsedTemplates.get(source), templateVars(m, lang, tz));
+}
+
+function fmtNewMarket(m, lang, tz) { return renderEventTemplate('open', m, { lang, tz }); }
+function fmtClosed(m, lang, tz)    { return renderEventTemplate('closed', m, { lang, tz }); }
+function fmtResolved(m, lang, tz)  { return renderEventTemplate('resolved', m, { lang, tz }); }
+function fmtTrending(m, lang, tz)  { return renderEventTemplate('trending', m, { lang, tz }); }
+
+// The original announcement, rewritten once the market closes or resolves
+function fmtMarketStatus(m, lang = DEFAULT_LANG) {
   const cat = m.category ? `📂 <b>${escapeHtml(m.category)}</b>\n` : '';
-  const end = m.endsIn ? `⏳ ${escapeHtml(m.endsIn)}\n` : '';
   const lines = (m.options || []).slice(0,3)
-    .map(o => `• ${escapeHtml(o.label)} — <b>${o.pct}%</b>`).join('\n');
+    .map(o => `• ${escapeHtml(o.label)} — <b>${o.pct ?? '?'}%</b>`).join('\n');
+  const status = m.status === 'resolved'
+    ? t(lang, 'status.resolvedWinner', { winner: escapeHtml(m.winner || '—') })
+    : m.status === 'closed' ? t(lang, 'status.closed')
+    : t(lang, 'status.live');
   return [
-    '🔥 <b>New Market Live on Auracle</b>',
+    t(lang, 'status.header'),
     `🏟️ <b>${escapeHtml(m.title)}</b>`,
-    cat + end + (lines || ''),
+    cat + (lines || ''),
+    t(lang, 'status.line', { status }),
     `🔗 ${escapeHtml(m.url)}`
   ].join('\n');
 }
 
-function fmtClosed(m) {
-  const list = (m.options || []).map(o => `${escapeHtml(o.label)} ${o.pct ?? '?'}%`).join(' - ') || '—';
+function fmtOddsMoved(m, swing, windowMin, lang = DEFAULT_LANG) {
+  const biggest = [...swing.moves].sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from))[0];
+  const fav = swing.favourite && (m.options || []).find(o => o.label.toUpperCase() === swing.favourite.to.toUpperCase());
+  const up = biggest ? biggest.to > biggest.from : !!fav;
+  const lines = swing.moves
+    .map(x => {
+      const d = x.to - x.from;
+      return `• ${escapeHtml(x.label)} ${x.from}% → <b>${x.to}%</b> (${d > 0 ? '+' : '−'}${Math.abs(d)})`;
+    }).join('\n');
+  const favLine = swing.favourite
+    ? t(lang, 'odds.newFavourite', { to: escapeHtml(swing.favourite.to), from: escapeHtml(swing.favourite.from) }) + '\n'
+    : '';
   return [
-    '🛑 <b>Market Closed — Final Pool</b>',
+    `${up ? '📈' : '📉'} ${t(lang, 'odds.header')}`,
     `🏟️ <b>${escapeHtml(m.title)}</b>`,
-    `📊 ${list}`,
-    '👀 Awaiting resolution…',
+    favLine + (lines || `📊 ${formatOptionsList(m.options)}`),
+    t(lang, 'odds.within', { minutes: windowMin }),
     `🔗 ${escapeHtml(m.url)}`
   ].join('\n');
 }
 
-function fmtResolved(m) {
-  const opts = formatOptionsList(m.options);
-  const niceWinner = escapeHtml(m.winner || '—');
+// Live /market card; `m` is a scraped detail merged with what we track
+function fmtMarketCard(m, lang = DEFAULT_LANG, tz = TZ) {
+  const cat = m.category ? `📂 <b>${escapeHtml(m.category)}</b>\n` : '';
+  const lines = (m.options || []).slice(0,3)
+    .map(o => `• ${escapeHtml(o.label)} — <b>${o.pct ?? '?'}%</b>`).join('\n');
+  const status = m.status === 'resolved' ? t(lang, 'status.resolved')
+    : m.status === 'closed' ? t(lang, 'status.closed')
+    : t(lang, 'status.open');
+  const closeMs = Date.parse(m.closeISO || '');
+  const close = !isNaN(closeMs)
+    ? t(lang, 'card.closes', { time: escapeHtml(fmtDateTime(closeMs, tz, lang)) }) +
+      (m.status === 'open' ? ` (${humanizeEta(closeMs, Date.now(), lang)})` : '') + '\n'
+    : '';
+  const winner = m.status === 'resolved' ? t(lang, 'card.winner', { winner: escapeHtml(m.winner || '—') }) + '\n' : '';
   return [
-    '✅ <b>Market Resolved</b>',
     `🏟️ <b>${escapeHtml(m.title)}</b>`,
-    `🏆 <b>Winner:</b> ${niceWinner}`,
-    `📊 Final: ${opts}`,
-    '💰 Rewards available on Auracle.',
-    `🔗 ${escapeHtml(m.url)}`
+    cat + t(lang, 'status.line', { status }),
+    lines || '—',
+    close + winner + t(lang, 'card.updated', { time: escapeHtml(fmtDateTime(Date.now(), tz, lang)) }),
   ].join('\n');
 }
 
-function fmtTrending(m) {
+function fmtClosingSoon(m, minutesLeft, lang = DEFAULT_LANG, tz = TZ) {
   const cat = m.category ? `📂 <b>${escapeHtml(m.category)}</b>\n` : '';
   const lines = (m.options || []).slice(0,3)
-    .map(o => `• ${escapeHtml(o.label)} — <b>${o.pct}%</b>`).join('\n');
+    .map(o => `• ${escapeHtml(o.label)} — <b>${o.pct ?? '?'}%</b>`).join('\n');
+  const closeMs = Date.parse(m.closeISO || '');
+  const close = !isNaN(closeMs) ? '\n' + t(lang, 'card.closes', { time: escapeHtml(fmtDateTime(closeMs, tz, lang)) }) : '';
   return [
-    '📈 <b>Now Trending on Auracle</b>',
+    t(lang, 'closing.header', { lead: fmtLeadTime(minutesLeft, lang) }),
     `🏟️ <b>${escapeHtml(m.title)}</b>`,
-    cat + (lines || ''),
+    cat + (lines || '') + close,
+    t(lang, 'closing.lastChance'),
     `🔗 ${escapeHtml(m.url)}`
   ].join('\n');
 }
 
+// Titles link to the market so a long digest stays readable
+const digestLink = (e) => `<a href="${escapeHtml(e.url)}">${escapeHtml(e.title)}</a>`;
+const DIGEST_SECTION_MAX = 10;
+
+function fmtDigestSection(heading, items, line, lang) {
+  if (!items.length) return null;
+  const more = items.length > DIGEST_SECTION_MAX ? '\n' + t(lang, 'digest.more', { count: items.length - DIGEST_SECTION_MAX }) : '';
+  return `${heading}\n` + items.slice(0, DIGEST_SECTION_MAX).map(e => `• ${line(e)}`).join('\n') + more;
+}
+
+function fmtDigest(d, { since, now = Date.now(), tz = TZ, lang = DEFAULT_LANG }) {
+  const closeTime = (ms) => `${escapeHtml(fmtDateTime(ms, tz, lang))} (${humanizeEta(ms, now, lang)})`;
+  const sections = [
+    fmtDigestSection(t(lang, 'digest.opened', { count: d.opened.length }), d.opened,
+      e => digestLink(e) + (e.category ? ` — 📂 ${escapeHtml(e.category)}` : ''), lang),
+    fmtDigestSection(t(lang, 'digest.resolved', { count: d.resolved.length }), d.resolved,
+      e => `${digestLink(e)} — 🏆 <b>${escapeHtml(e.winner || '—')}</b>`, lang),
+    fmtDigestSection(t(lang, 'digest.closing', { count: d.closing.length }), d.closing,
+      e => `${digestLink(e)} — ${closeTime(e.closeMs)}`, lang),
+    fmtDigestSection(t(lang, 'digest.movers'), d.movers, e => {
+      const { label, from, to } = e.move;
+      return `${digestLink(e)}: ${escapeHtml(label)} ${from}% → <b>${to}%</b> (${to > from ? '+' : '−'}${Math.abs(to - from)})`;
+    }, lang),
+  ].filter(Boolean);
+  return [
+    t(lang, 'digest.header') + '\n' + t(lang, 'digest.since', { time: escapeHtml(fmtDateTime(since, tz, lang)) }),
+    ...(sections.length ? sections : [t(lang, 'digest.empty')]),
+  ].join('\n\n');
+}
+
+/* =========================
+   ODDS SWINGS
+   ========================= */
+// Defaults come from env; /odds_config overrides them in state.settings.odds
+const ODDS_DEFAULTS = {
+  points:   Math.max(1, parseInt(ODDS_SWING_POINTS || '10', 10) || 10),
+  window:   Math.max(1, parseInt(ODDS_SWING_WINDOW_MINUTES || '60', 10) || 60),
+  cooldown: Math.max(0, parseInt(ODDS_SWING_COOLDOWN_MINUTES || '60', 10) || 0),
+};
+
+function getOddsSettings(state) {
+  return { ...ODDS_DEFAULTS, ...(state.settings?.odds || {}) };
+}
+
+function pctByLabel(options = []) {
+  const out = {};
+  for (const o of options) if (o?.label && o.pct != null) out[o.label.toUpperCase()] = o.pct;
+  return out;
+}
+
+// Same key → same odds, whatever order the options came in
+const oddsKey = (options = []) => JSON.stringify(Object.entries(pctByLabel(options)).sort());
+
+// Label of the single highest option, or null on ties / missing odds
+function favouriteOf(options = []) {
+  const withPct = options.filter(o => o?.pct != null);
+  if (withPct.length < 2) return null;
+  const sorted = [...withPct].sort((a, b) => b.pct - a.pct);
+  return sorted[0].pct > sorted[1].pct ? sorted[0].label : null;
+}
+
+// Records the current odds in prev.oddsHistory and decides whether they moved
+// enough to announce. Returns { history, swing } where swing is null or
+// { moves:[{label,from,to}], favourite:{from,to}|null }.
+function trackOddsSwing(prev, options, settings, nowMs = Date.now()) {
+  const windowMs = settings.window * 60_000;
+  const history = (prev?.oddsHistory || []).filter(h => nowMs - h.at <= windowMs);
+  const current = { at: nowMs, pcts: pctByLabel(options), favourite: favouriteOf(options) };
+  const last = prev?.oddsHistory?.[prev.oddsHistory.length - 1] || null;
+
+  if (!Object.keys(current.pcts).length) return { history, swing: null };
+
+  // Largest move per option against anything seen inside the window
+  const moves = [];
+  for (const o of options) {
+    if (!o?.label || o.pct == null) continue;
+    const key = o.label.toUpperCase();
+    let best = null;
+    for (const h of history) {
+      const before = h.pcts?.[key];
+      if (before == null) continue;
+      if (!best || Math.abs(o.pct - before) > Math.abs(o.pct - best)) best = before;
+    }
+    if (best != null && Math.abs(o.pct - best) >= settings.points) moves.push({ label: o.label, from: best, to: o.pct });
+  }
+
+  const favourite = (last?.favourite && current.favourite && last.favourite.toUpperCase() !== current.favourite.toUpperCase())
+    ? { from: last.favourite, to: current.favourite }
+    : null;
+
+  const coolingDown = prev?.lastOddsAlertAt && nowMs - prev.lastOddsAlertAt < settings.cooldown * 60_000;
+  if ((!moves.length && !favourite) || coolingDown) {
+    return { history: [...history, current], swing: null };
+  }
+  // Start a fresh window so the same move is not reported again
+  return { history: [current], swing: { moves, favourite } };
+}
+
 /* =========================
    TELEGRAM SEND
    ========================= */
-async function send(msg, tag = '') {
-  const chatId = getTargetChatId();
+// Threaded items reply to the market's open post in that chat, looked up at
+// send time so a follow-up queued before the open post landed still finds it
+async function deliver(item) {
+  if (item.kind === 'edit') return editOriginalPost(item);
+  const replyTo = item.thread ? store.getMarket(item.marketId)?.messages?.[item.chatId]?.open : null;
+  const keyboard = announcementKeyboard(item);
+  const extra = {
+    parse_mode: 'HTML',
+    // If the original was deleted Telegram sends it as a plain message
+    ...(replyTo ? { reply_parameters: { message_id: replyTo, allow_sending_without_reply: true } } : {}),
+    ...(keyboard ? { reply_markup: keyboard } : {}),
+  };
+  const m = item.kind === 'photo'
+    ? await bot.telegram.sendPhoto(item.chatId, { source: item.photo }, { caption: item.text, ...extra })
+    : await bot.telegram.sendMessage(item.chatId, item.text, { disable_web_page_preview: true, ...extra });
+  if (dbg) console.log(`[send] OK → chat ${item.chatId} [${item.event.toUpperCase()}] message_id=${m?.message_id}`);
+  return m;
+}
+
+// Nothing to edit once the post has left the thread; an unchanged post counts as edited
+async function editOriginalPost(item) {
+  const post = store.getMarket(item.marketId)?.messages?.[item.chatId];
+  if (!post?.open) return null;
+  // An edit without reply_markup drops the Watch button; keep it until there is nothing left to watch
+  const keyboard = announcementKeyboard(item);
+  const extra = { parse_mode: 'HTML', ...(keyboard ? { reply_markup: keyboard } : {}) };
   try {
-    const m = await bot.telegram.sendMessage(chatId, msg, {
-      parse_mode: 'HTML',
-      disable_web_page_preview: true,
-    });
-    if (dbg) console.log(`[send] OK → chat ${chatId} ${tag ? '['+tag+']' : ''} message_id=${m?.message_id}`);
+    if (post.photo) await bot.telegram.editMessageCaption(item.chatId, post.open, undefined, item.text, extra);
+    else await bot.telegram.editMessageText(item.chatId, post.open, undefined, item.text, { ...extra, disable_web_page_preview: true });
   } catch (e) {
-    const desc = e?.response?.description || e.message;
-    console.error('[send] ERROR → chat', chatId, desc);
+    if (!/not modified/i.test(e?.response?.description || '')) throw e;
+  }
+  if (dbg) console.log(`[edit] OK → chat ${item.chatId} message_id=${post.open}`);
+  return { message_id: post.open };
+}
+
+const perMinute = (v, def) => Math.max(1, parseFloat(v) || def);
+const outbox = createOutbox({
+  store,
+  deliver,
+  onSent: (item, m) => {
+    deliveryTotal.inc({ event: item.event, result: 'sent' });
+    if (item.kind !== 'edit') confirmDelivery(store, item, m);
+  },
+  onRetry: (item) => deliveryTotal.inc({ event: item.event, result: 'retried' }),
+  onDead: (item, why, code) => {
+    deliveryTotal.inc({ event: item.event, result: 'dead' });
+    if (item.event === 'watch' && code === 403) forgetWatcher(item.chatId, why);
+    if (item.kind === 'edit' && (code === 403 || POST_GONE.test(why))) dropFromThread(item.marketId, item.chatId);
+  },
+  chatIntervalMs: Math.ceil(60_000 / perMinute(OUTBOX_CHAT_PER_MINUTE, 20)),
+  globalIntervalMs: Math.ceil(1000 / perMinute(OUTBOX_GLOBAL_PER_SECOND, 25)),
+  maxAttempts: Math.max(1, parseInt(OUTBOX_MAX_ATTEMPTS, 10) || 10),
+});
+
+// Follow-ups are posted as replies to the market's original announcement
+const THREADED_EVENTS = new Set(['odds', 'closing', 'closed', 'resolved']);
+
+// Telegram's limit on photo captions
+const CAPTION_LIMIT = 1024;
+
+// Queue an event for every subscribed chat whose filters match the market and
+// return how many chats that is. Flagged events (open, closed, resolved) use
+// one key per market and chat, so queueing them again before Telegram confirms
+// is a no-op; anything else is a new message unless `key` says otherwise.
+// render(lang, tz) gives the text in a chat's language and timezone; chats
+// with their own template for the event get that instead. footer(chatId, lang)
+// adds a chat's own lines under either. With a `card` PNG the text goes out as
+// its caption, or on its own if it is too long for one.
+function announce(state, event, m, render, { key = null, kind = 'message', photo = null, card = null, footer = null } = {}) {
+  if (isPaused(event)) {
+    console.log(`[announce] ${event} "${m.title}" paused: scraper looks broken`);
+    return 0;
+  }
+  const subs = getSubscriptions(state);
+  const languages = chatLanguages();
+  const zones = chatTimezones();
+  const chatIds = matchingChatIds(state, event, m);
+  if (dbg) console.log(`[announce] ${event} "${m.title}" → ${chatIds.length} chat(s)`);
+  const k = key || (DELIVERY_FLAGS[event] ? event : `${event}@${Date.now()}`);
+  const textFor = (chatId) => {
+    const lang = chatLang(chatId, languages);
+    const tz = chatTz(chatId, zones);
+    const template = kind === 'message' && subs[chatId]?.templates?.[event];
+    const text = template ? renderEventTemplate(event, m, { lang, tz, source: template }) : render(lang, tz);
+    const extra = footer ? footer(chatId, lang) : '';
+    return extra ? `${text}\n\n${extra}` : text;
+  };
+  outbox.enqueue(chatIds.map(chatId => {
+    const text = textFor(chatId);
+    const asCard = card && visibleLength(text) <= CAPTION_LIMIT;
+    return {
+      key: `${m.id}:${k}:${chatId}`, chatId, event, marketId: m.id,
+      kind: asCard ? 'photo' : kind, text, photo: asCard ? card : photo, thread: THREADED_EVENTS.has(event),
+    };
+  }));
+  return chatIds.length;
+}
+
+// Rewrite every original "New Market Live" post with the current status. The
+// edits go through the outbox, so flood waits and server errors are retried
+// like any message; posts that are gone or can no longer be edited leave the
+// thread (see onDead) and follow-ups go out as plain messages instead.
+const EDIT_EVENTS = { closed: 'closedEdit', resolved: 'resolvedEdit' };
+function updateOriginalPosts(marketId, m) {
+  const thread = store.getMarket(marketId)?.messages;
+  if (!thread) return;
+  const languages = chatLanguages();
+  const event = EDIT_EVENTS[m.status];
+  const items = [];
+  for (const [chatId, post] of Object.entries(thread)) {
+    if (!post?.open) continue;
+    const lang = chatLang(chatId, languages);
+    // Photo announcements carry their text as the caption
+    const text = post.photo ? captionStatus(m, lang) : fmtMarketStatus(m, lang);
+    if (!text) {
+      console.log(`[edit] ${event} "${m.title}" → chat ${chatId} left as it is: too long for a caption`);
+      continue;
+    }
+    items.push({ key: `${marketId}:${event}:${chatId}`, chatId, event, marketId, kind: 'edit', text, photo: null, thread: false });
   }
+  outbox.enqueue(items);
+}
+
+// The status as a caption within CAPTION_LIMIT: the title is cut to make
+// room, and null says even that is not enough
+function captionStatus(m, lang = DEFAULT_LANG) {
+  const text = fmtMarketStatus(m, lang);
+  const over = visibleLength(text) - CAPTION_LIMIT;
+  if (over <= 0) return text;
+  const title = [...(m.title || '')];
+  if (title.length <= over + 1) return null;
+  const cut = fmtMarketStatus({ ...m, title: `${title.slice(0, title.length - over - 1).join('')}…` }, lang);
+  return visibleLength(cut) <= CAPTION_LIMIT ? cut : null;
+}
+
+// Telegram's answers to an edit of a post that is no longer there to edit
+const POST_GONE = /message to edit not found|message can't be edited/i;
+function dropFromThread(marketId, chatId) {
+  store.transaction(() => {
+    const mk = store.getMarket(marketId);
+    if (!mk?.messages?.[chatId]) return;
+    delete mk.messages[chatId];
+    store.putMarket(marketId, mk);
+  });
 }
 
 /* =========================
-   TICK ENGINE
+   CHARTS
    ========================= */
-async function tick() {
+const resolvedChartEnabled = /^(1|true|yes|on)$/i.test(String(RESOLVED_CHART || ''));
+
+// PNG of the market's implied odds over time on timeZone's clock, or null when
+// nothing is recorded. /chart uses the chat's zone; the resolved chart, one
+// image for every chat, the bot's.
+async function renderOddsChart(id, title, timeZone = TZ) {
+  const points = store.oddsHistory(id);
+  if (!points.length) return null;
+  const page = await newPage();
   try {
-    console.log('[tick] START', new Date().toISOString());
+    await page.setContent(buildChartHtml({ title, points, timeZone }), { waitUntil: 'load' });
+    const el = await page.$('#chart');
+    return Buffer.from(await el.screenshot({ type: 'png' }));
+  } finally {
+    await page.close();
+  }
+}
 
-    const state = loadState();
-    const { trending, active } = await fetchMarketsFromSections({ debug: dbg });
+// Market id from "/chart 123" or "/chart https://auracle.fi/MarketDetails?id=123".
+// Links to anywhere but Auracle give null: commands only ever load marketUrl(id).
+function parseMarketArg(arg = '') {
+  const a = arg.trim();
+  if (!a) return null;
+  if (!/^https?:\/\//i.test(a)) return a;
+  return isAuracleUrl(a) ? marketIdFromUrl(a) : null;
+}
 
-    const activeIds   = new Set(active.map(m => m.id).filter(Boolean));
-    const trendingIds = new Set(trending.map(m => m.id).filter(Boolean));
-    const knownIds    = new Set(Object.keys(state.markets || {}));
+const AURACLE_ORIGIN = new URL(AURACLE_BASE_URL).origin;
+function isAuracleUrl(url) {
+  try {
+    return new URL(url).origin === AURACLE_ORIGIN;
+  } catch {
+    return false;
+  }
+}
 
-    // Watch everything we can see + what we already know, except retired
-    const watch = new Set([...activeIds, ...trendingIds, ...knownIds]);
-    for (const id of [...watch]) {
-      if (state.markets[id]?.retired) watch.delete(id);
+/* =========================
+   ANNOUNCEMENT PHOTOS
+   ========================= */
+// ANNOUNCE_PHOTOS=card posts a branded card rendered from lib/card.js;
+// ANNOUNCE_PHOTOS=screenshot crops the market's card off its Auracle page and
+// falls back to the branded one. Either way the usual text is the caption.
+const PHOTO_MODES = new Set(['card', 'screenshot']);
+const PHOTO_MODE = PHOTO_MODES.has(ANNOUNCE_PHOTOS.toLowerCase()) ? ANNOUNCE_PHOTOS.toLowerCase() : null;
+if (!PHOTO_MODE && !/^(off|)$/i.test(ANNOUNCE_PHOTOS)) {
+  console.warn(`[photo] unknown ANNOUNCE_PHOTOS "${ANNOUNCE_PHOTOS}" (use card, screenshot or off), posting text only`);
+}
+const PHOTO_EVENTS = new Set(['open', 'resolved', 'trending']);
+const PHOTO_CACHE_SIZE = 50;
+// cardKey → Promise<PNG>, so each state of a market is rendered once
+const photoCache = new Map();
+
+// PNG to post with the announcement, or null to post text only
+async function announcementPhoto(state, event, m) {
+  if (!PHOTO_MODE || !PHOTO_EVENTS.has(event) || isPaused(event)) return null;
+  if (!matchingChatIds(state, event, m).length) return null;
+  const key = `${PHOTO_MODE}:${cardKey(m)}`;
+  if (!photoCache.has(key)) {
+    photoCache.set(key, renderAnnouncementPhoto(m));
+    if (photoCache.size > PHOTO_CACHE_SIZE) photoCache.delete(photoCache.keys().next().value);
+  }
+  try {
+    return await photoCache.get(key);
+  } catch (e) {
+    photoCache.delete(key);
+    console.error('[photo] render failed', m.id, e?.message || e);
+    return null;
+  }
+}
+
+async function renderAnnouncementPhoto(m) {
+  if (PHOTO_MODE === 'screenshot' && m.url) {
+    try {
+      const png = await source.screenshot?.(m.url, { selector: ANNOUNCE_PHOTO_SELECTOR, debug: dbg });
+      if (png) return png;
+    } catch (e) {
+      console.error('[photo] screenshot failed, using the card', m.id, e?.message || e);
     }
+  }
+  const page = await newPage();
+  try {
+    await page.setContent(buildCardHtml(m), { waitUntil: 'load' });
+    const el = await page.$('#card');
+    return Buffer.from(await el.screenshot({ type: 'png' }));
+  } finally {
+    await page.close();
+  }
+}
 
-    if (dbg) console.log('[tick] lists → active', activeIds.size, 'trending', trendingIds.size, 'watch', watch.size);
+/* =========================
+   CLOSE REMINDERS
+   ========================= */
+// Reminders run on their own timers keyed by close time, so they fire on time
+// no matter how the poll interval lines up. Ticks only (re)arm them.
+const REMINDER_DEFAULT_LEADS = parseLeadMinutes(CLOSE_REMINDER_MINUTES);
+const REMINDER_HORIZON_MS = 24 * 60 * 60 * 1000; // stay far below setTimeout's ~24.8 day cap
+const reminderTimers = new Map(); // `${id}:${lead}` -> { timer, fireAt }
+
+function parseLeadMinutes(raw = '') {
+  if (/^\s*(off|none|0)\s*$/i.test(raw)) return [];
+  const leads = String(raw).split(',').map(s => parseInt(s.trim(), 10)).filter(n => Number.isFinite(n) && n > 0);
+  return [...new Set(leads)].sort((a, b) => b - a);
+}
 
-    const activeById   = new Map(active.map(m => [m.id, m]));
-    const trendingById = new Map(trending.map(m => [m.id, m]));
-    const base = AURACLE_BASE_URL.replace(/\/+$/, '');
+function getReminderLeads(state) {
+  return state.settings?.reminders?.leads ?? REMINDER_DEFAULT_LEADS;
+}
 
-    const results = [];
-    for (const id of watch) {
-      const prev = state.markets[id];
-      const url =
-        prev?.url ||
-        activeById.get(id)?.url ||
-        trendingById.get(id)?.url ||
-        `${base}/MarketDetails?id=${id}`;
+// A reminder is "sent" per lead time *and* close time, so an extended market
+// gets reminded again for its new close.
+const reminderKey = (lead, closeISO) => `${lead}@${closeISO}`;
 
-      const detail = await scrapeMarketDetail(url, { debug: dbg });
-      if (!detail || !detail.id) continue;
+function fmtLeadTime(minutes, lang = DEFAULT_LANG) {
+  const n = Math.max(1, Math.round(minutes));
+  if (n >= 1440 && n % 1440 === 0) return t(lang, 'duration.days', { count: n / 1440 });
+  if (n >= 60 && n % 60 === 0)     return t(lang, 'duration.hours', { count: n / 60 });
+  return t(lang, 'duration.minutes', { count: n });
+}
 
-      if (detail.status === 'open' && detail.closeISO) {
-        const ms = Date.parse(detail.closeISO);
-        if (!isNaN(ms)) detail.endsIn = humanizeEta(ms);
-      }
+function scheduleReminders(state, nowMs = Date.now()) {
+  const leads = getReminderLeads(state);
+  const wanted = new Set();
+
+  for (const [id, mk] of Object.entries(state.markets || {})) {
+    const closeISO = mk.lastSeen?.closeISO;
+    if (mk.retired || mk.lastStatus !== 'open' || !closeISO) continue;
+    const closeMs = Date.parse(closeISO);
+    if (isNaN(closeMs) || closeMs <= nowMs) continue;
+    const sent = mk.remindersSent || [];
+
+    for (const lead of leads) {
+      if (sent.includes(reminderKey(lead, closeISO))) continue;
+      const fireAt = closeMs - lead * 60_000;
+      if (fireAt - nowMs > REMINDER_HORIZON_MS) continue;
+      const key = `${id}:${lead}`;
+      wanted.add(key);
+      const existing = reminderTimers.get(key);
+      if (existing?.fireAt === fireAt) continue;
+      if (existing) clearTimeout(existing.timer);
+      // Overdue reminders (e.g. after a restart) fire right away
+      const timer = setTimeout(() => {
+        reminderTimers.delete(key);
+        fireReminder(id, closeISO).catch(e => console.error('[remind] error', id, e?.message || e));
+      }, Math.max(0, fireAt - nowMs));
+      reminderTimers.set(key, { timer, fireAt });
+      if (dbg) console.log(`[remind] armed ${key} at ${new Date(fireAt).toISOString()}`);
+    }
+  }
 
-      if (detail.status === 'open') {
-        const card = activeById.get(detail.id) || trendingById.get(detail.id);
-        if (card?.options?.length >= 2) detail.options = card.options;
-        if (!detail.endsIn && card?.endsIn) detail.endsIn = card.endsIn;
-        if (card?.category) detail.category = card.category;
-      }
+  for (const [key, { timer }] of reminderTimers) {
+    if (!wanted.has(key)) { clearTimeout(timer); reminderTimers.delete(key); }
+  }
+}
 
-      results.push(detail);
-    }
+async function fireReminder(id, closeISO) {
+  const st = loadState();
+  const mk = st.markets?.[id];
+  if (!mk || mk.retired || mk.lastStatus !== 'open' || mk.lastSeen?.closeISO !== closeISO) return;
+  const leftMin = (Date.parse(closeISO) - Date.now()) / 60_000;
+  if (leftMin <= 0) return;
+
+  // Every lead we are already inside is covered by this one message
+  const sent = mk.remindersSent || [];
+  const due = getReminderLeads(st).filter(l => l >= leftMin - 0.5 && !sent.includes(reminderKey(l, closeISO)));
+  if (!due.length) return;
+
+  // Mark before sending so a crash mid-send can't post the reminder twice
+  mk.remindersSent = [...sent.filter(k => k.endsWith(`@${closeISO}`)), ...due.map(l => reminderKey(l, closeISO))];
+  store.putMarket(id, mk);
+
+  const payload = { ...mk.lastSeen, id, url: mk.url };
+  announce(st, 'closing', payload, (lang, tz) => fmtClosingSoon(payload, leftMin, lang, tz), { key: `closing@${due[0]}@${closeISO}` });
+}
 
-    // Seed on first run
-    if (!state.seeded && results.length) {
-      for (const m of results) {
+/* =========================
+   DIGESTS
+   ========================= */
+// Each subscription may carry digest: { cron, tz }; one node-cron task per
+// chat. The end of the last digest per chat lives in the digestLastAt setting.
+const DIGEST_FIRST_PERIOD_MS = 24 * 60 * 60 * 1000;
+const digestTasks = new Map(); // chatId -> { task, spec }
+
+// Digests use the chat's category and keyword filters but not its event list
+function buildDigest(state, sub, { since, now = Date.now(), lang = DEFAULT_LANG }) {
+  const filters = { ...sub, events: [] };
+  const digest = collectDigest({
+    markets: state.markets, since, now,
+    match: (mk) => subscriptionMatches(filters, null, mk.lastSeen),
+    oddsHistory: (id, sinceMs) => store.oddsHistory(id, { sinceMs }),
+  });
+  return { digest, text: fmtDigest(digest, { since, now, tz: sub.digest?.tz || chatTz(sub.chatId), lang }) };
+}
+
+function digestSince(chatId, now = Date.now()) {
+  return store.getSetting('digestLastAt', {})[chatId] ?? now - DIGEST_FIRST_PERIOD_MS;
+}
+
+function sendDigest(chatId) {
+  const st = loadState();
+  const sub = getSubscriptions(st)[chatId];
+  if (!sub?.digest) return;
+  const now = Date.now();
+  const { digest, text } = buildDigest(st, sub, { since: digestSince(chatId, now), now, lang: chatLang(chatId) });
+  // The next digest starts here whether or not this one had anything to say
+  store.setSetting('digestLastAt', { ...store.getSetting('digestLastAt', {}), [chatId]: now });
+  if (digestIsEmpty(digest)) { console.log(`[digest] nothing to report → chat ${chatId}`); return; }
+  outbox.enqueue([{ key: `digest:${chatId}:${now}`, chatId, event: 'digest', marketId: null, kind: 'message', text, photo: null, thread: false }]);
+  console.log(`[digest] queued → chat ${chatId}`);
+}
+
+function scheduleDigests(state = loadState()) {
+  const wanted = new Set();
+  for (const sub of Object.values(getSubscriptions(state))) {
+    if (!sub.digest) continue;
+    const spec = `${sub.digest.cron}|${sub.digest.tz}`;
+    wanted.add(sub.chatId);
+    const existing = digestTasks.get(sub.chatId);
+    if (existing?.spec === spec) continue;
+    existing?.task.stop();
+    const task = cron.schedule(sub.digest.cron, () => {
+      try { sendDigest(sub.chatId); }
+      catch (e) { console.error('[digest] error', sub.chatId, e?.message || e); }
+    }, { timezone: sub.digest.tz });
+    digestTasks.set(sub.chatId, { task, spec });
+    if (dbg) console.log(`[digest] scheduled ${sub.chatId} → ${spec}`);
+  }
+  for (const [chatId, { task }] of digestTasks) {
+    if (!wanted.has(chatId)) { task.stop(); digestTasks.delete(chatId); }
+  }
+}
+
+function stopDigests() {
+  for (const { task } of digestTasks.values()) task.stop();
+  digestTasks.clear();
+}
+
+/* =========================
+   SCRAPER HEALTH
+   ========================= */
+// Every tick is checked against the last healthy ones (lib/anomalies.js).
+// New findings go to OPS_CHAT_ID with a snapshot of the page that looked
+// wrong. While the scraper counts as broken the events below are not
+// announced: they would be built from whatever it made of the changed page.
+const PAUSABLE_EVENTS = new Set(['odds', 'trending', 'closing']);
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOTS_KEPT = 20;
+
+function scraperHealth() {
+  return store.getSetting('scraperHealth', {}) || {};
+}
+
+function isPaused(event) {
+  return PAUSABLE_EVENTS.has(event) && !!scraperHealth().broken;
+}
+
+// → ids of markets whose status went backwards; the tick leaves those alone
+function checkScraper({ listed, details = [], failures = [], markets = {} }) {
+  const health = scraperHealth();
+  const { findings, regressed, accepted, sample } = inspectTick({ listed, details, failures, markets, health });
+  const { health: next, alert, recovered } = nextHealth(health, { findings, sample });
+  store.setSetting('scraperHealth', next);
+  for (const f of findings) anomaliesTotal.inc({ code: f.code });
+  for (const id of accepted) console.log(`[health] ${id} went back to an earlier status ${ANOMALY_DEFAULTS.believeAfter} times in a row, taken as real`);
+  if (findings.length) console.warn('[health]', findings.map(f => t(DEFAULT_LANG, `ops.${f.code}`, f.vars)).join(' | '));
+  if (next.broken && !health.broken) console.warn(`[health] scraper looks broken, pausing ${[...PAUSABLE_EVENTS].join(', ')}`);
+  if (recovered) console.log('[health] scraper recovered, announcements resume');
+  if (alert.length || recovered) {
+    sendOpsAlert(alert, { recovered, since: health.since })
+      .catch(e => console.error('[health] ops alert failed', e?.response?.description || e.message));
+  }
+  return regressed;
+}
+
+async function sendOpsAlert(findings, { recovered = false, since = null } = {}) {
+  const lang = OPS_CHAT_ID ? chatLang(OPS_CHAT_ID) : DEFAULT_LANG;
+  if (recovered) {
+    if (!OPS_CHAT_ID) return;
+    const when = since ? fmtDateTime(since, chatTz(OPS_CHAT_ID), lang) : '—';
+    await bot.telegram.sendMessage(OPS_CHAT_ID, t(lang, 'ops.recovered', { since: when }));
+    return;
+  }
+  const url = findings.find(f => f.url)?.url || `${AURACLE_BASE_URL.replace(/\/+$/, '')}/Markets`;
+  const snap = await saveSnapshot(url, findings[0].code);
+  if (!OPS_CHAT_ID) return;
+  const text = [
+    t(lang, 'ops.header'),
+    ...findings.map(f => `• ${escapeHtml(t(lang, `ops.${f.code}`, f.vars))}`),
+    escapeHtml(t(lang, 'ops.paused', { events: [...PAUSABLE_EVENTS].join(', ') })),
+  ].join('\n');
+  await bot.telegram.sendMessage(OPS_CHAT_ID, text, { parse_mode: 'HTML', disable_web_page_preview: true });
+  if (!snap) return;
+  await bot.telegram.sendPhoto(OPS_CHAT_ID, { source: snap.png }, { caption: url.slice(0, 1024) });
+  await bot.telegram.sendDocument(OPS_CHAT_ID, { source: Buffer.from(snap.html), filename: path.basename(snap.file) });
+}
+
+// Written to DATA_DIR/snapshots as well, keeping the newest SNAPSHOTS_KEPT
+async function saveSnapshot(url, code) {
+  let snap;
+  try {
+    snap = await source.snapshot?.(url);
+  } catch (e) {
+    console.error('[health] snapshot failed', url, e?.message || e);
+    return null;
+  }
+  if (!snap) return null;
+  const file = path.join(SNAPSHOT_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${code}`);
+  await fs.promises.mkdir(SNAPSHOT_DIR, { recursive: true });
+  await fs.promises.writeFile(`${file}.html`, snap.html);
+  await fs.promises.writeFile(`${file}.png`, snap.png);
+  const stale = (await fs.promises.readdir(SNAPSHOT_DIR)).filter(f => f.endsWith('.html')).sort().slice(0, -SNAPSHOTS_KEPT);
+  for (const f of stale) {
+    await fs.promises.rm(path.join(SNAPSHOT_DIR, f), { force: true });
+    await fs.promises.rm(path.join(SNAPSHOT_DIR, f.replace(/\.html$/, '.png')), { force: true });
+  }
+  console.log('[health] snapshot saved', `${file}.html`);
+  return { ...snap, file: `${file}.html` };
+}
+
+/* =========================
+   TICK ENGINE
+   ========================= */
+const minutesMs = (v, def) => Math.max(0, Number.isFinite(parseFloat(v)) ? parseFloat(v) : def) * 60_000;
+const SCRAPE_SCHEDULE = {
+  openEveryMs:   minutesMs(SCRAPE_OPEN_EVERY_MINUTES, 10),
+  closedEveryMs: minutesMs(SCRAPE_CLOSED_EVERY_MINUTES, 5),
+  nearCloseMs:   minutesMs(SCRAPE_NEAR_CLOSE_MINUTES, 30),
+};
+const SCRAPE_LANES = Math.max(1, parseInt(SCRAPE_CONCURRENCY, 10) || 1);
+// Detail scrapes stop starting once this much of the tick has gone by; the rest wait for the next tick
+const TICK_BUDGET_MS = Math.max(5, parseInt(TICK_BUDGET_SECONDS || POLL_INTERVAL_SECONDS || '30', 10) || 30) * 1000;
+let carriedScrapes = new Set();
+
+function fmtTickStats(t) {
+  const ok = t.details.filter(r => !r.error);
+  const avg = ok.length ? Math.round(ok.reduce((a, r) => a + r.ms, 0) / ok.length) : 0;
+  const max = ok.reduce((a, r) => Math.max(a, r.ms), 0);
+  return `list=${t.listMs}ms details=${ok.length} ok/${t.details.length - ok.length} failed ` +
+    `(avg ${avg}ms, max ${max}ms) skipped=${t.skipped} carried=${t.carried} total=${Date.now() - t.startedAt}ms`;
+}
+
+async function tick() {
+  const startedAt = Date.now();
+  let ok = false;
+  try {
+    console.log('[tick] START', new Date().toISOString());
+
+    const state = loadState();
+    const base = AURACLE_BASE_URL.replace(/\/+$/, '');
+    let lists;
+    try {
+      lists = await source.fetchList({ debug: dbg });
+    } catch (e) {
+      checkScraper({ listed: null, failures: [{ url: `${base}/Markets`, error: e }] });
+      throw e;
+    }
+    const { trending, active } = lists;
+    const listMs = Date.now() - startedAt;
+
+    const activeIds   = new Set(active.map(m => m.id).filter(Boolean));
+    const trendingIds = new Set(trending.map(m => m.id).filter(Boolean));
+    const knownIds    = new Set(Object.keys(state.markets || {}));
+
+    // Watch everything we can see + what we already know, except retired
+    const watch = new Set([...activeIds, ...trendingIds, ...knownIds]);
+    for (const id of [...watch]) {
+      if (state.markets[id]?.retired) watch.delete(id);
+    }
+
+    if (dbg) console.log('[tick] lists → active', activeIds.size, 'trending', trendingIds.size, 'watch', watch.size);
+
+    const activeById   = new Map(active.map(m => [m.id, m]));
+    const trendingById = new Map(trending.map(m => [m.id, m]));
+
+    const cards = new Map([...activeById, ...trendingById]);
+
+    // The seeding tick reads every market in full, otherwise nothing it missed could be told apart from new
+    const plan = state.seeded
+      ? planDetailScrapes({ ids: watch, markets: state.markets, cards, carried: carriedScrapes, settings: SCRAPE_SCHEDULE })
+      : { due: [...watch].map(id => ({ id, reason: 'seed' })), skipped: [] };
+    if (dbg) console.log('[tick] plan → due', plan.due.map(d => `${d.id}:${d.reason}`).join(' ') || '-', 'skipped', plan.skipped.length);
+
+    const detailUrl = (id) =>
+      state.markets[id]?.url ||
+      cards.get(id)?.url ||
+      `${base}/MarketDetails?id=${id}`;
+    const { results: scraped, leftover } = await runWithBudget(plan.due, ({ id }) => {
+      return source.fetchDetail(detailUrl(id), { debug: dbg });
+    }, { concurrency: SCRAPE_LANES, deadline: state.seeded ? startedAt + TICK_BUDGET_MS : Infinity });
+    carriedScrapes = new Set(leftover.map(d => d.id));
+
+    const details = [];
+    for (const r of scraped) {
+      if (r.error) console.error('[tick] detail failed', r.item.id, r.error?.message || r.error);
+      else if (r.value?.id) details.push({ ...r.value, scrapedAt: Date.now() });
+    }
+    // Listed open markets whose card has everything: fill the rest in from the last full read
+    for (const id of plan.skipped) {
+      const card = cards.get(id);
+      const seen = state.markets[id]?.lastSeen;
+      if (!card || !seen) continue;
+      details.push({
+        id, title: seen.title, url: state.markets[id].url || card.url, status: 'open',
+        options: card.options, winner: null, endsIn: '', closeISO: seen.closeISO || '', closeText: seen.closeText || '',
+      });
+    }
+    const stats = { startedAt, listMs, details: scraped, skipped: plan.skipped.length, carried: leftover.length };
+
+    const regressed = checkScraper({
+      listed: active.length + trending.length,
+      details: details.filter(d => d.scrapedAt),
+      failures: scraped.filter(r => r.error).map(r => ({ url: detailUrl(r.item.id), error: r.error })),
+      markets: state.markets,
+    });
+
+    const results = [];
+    const oddsSamples = [];
+    for (const detail of details) {
+      // Most likely a misread page, not a market that reopened
+      if (regressed.has(detail.id)) {
+        console.warn(`[tick] ${detail.id} went ${state.markets[detail.id].lastStatus} → ${detail.status}, ignored`);
+        continue;
+      }
+      if (detail.status === 'open' && detail.closeISO) {
+        const ms = Date.parse(detail.closeISO);
+        if (!isNaN(ms)) detail.endsIn = humanizeEta(ms);
+      }
+
+      if (detail.status === 'open') {
+        const card = activeById.get(detail.id) || trendingById.get(detail.id);
+        if (card?.options?.length >= 2) detail.options = card.options;
+        if (!detail.endsIn && card?.endsIn) detail.endsIn = card.endsIn;
+        if (card?.category) detail.category = card.category;
+      }
+
+      results.push(detail);
+    }
+
+    // Seed on first run
+    if (!state.seeded && results.length) {
+      for (const m of results) {
         const inActive = activeById.has(m.id);
         const card = activeById.get(m.id) || trendingById.get(m.id);
         state.markets[m.id] = {
@@ -767,13 +1323,17 @@ async function tick() {
           wasTrending:       trendingIds.has(m.id),
           missingCount:      0,
           retired:           m.status === 'resolved',
-          lastSeen:          { title: m.title, category: (card?.category || ''), endsIn: m.endsIn || card?.endsIn || '', options: m.options || [] },
-          closedSnapshot:    m.status === 'closed' ? { options: (m.options || []) } : null
+          lastSeen:          { title: m.title, category: (card?.category || ''), endsIn: m.endsIn || card?.endsIn || '', closeISO: m.closeISO || '', closeText: m.closeText || '', options: m.options || [] },
+          closedSnapshot:    m.status === 'closed' ? { options: (m.options || []) } : null,
+          lastDetailAt:      m.scrapedAt,
         };
       }
       state.seeded = true;
-      saveState(state);
+      saveTickState(state, { oddsSamples });
+      scheduleReminders(state);
+      console.log('[tick] stats', fmtTickStats(stats));
       console.log('[seed] done');
+      ok = true;
       return;
     }
 
@@ -784,13 +1344,18 @@ async function tick() {
     }
 
     // Transitions + announcements
+    const oddsSettings = getOddsSettings(state);
     for (const m of results) {
       const prev = state.markets[m.id] || {
         announcedOpen: false, announcedClosed: false, announcedResolved: false,
         lastStatus: 'unknown', url: m.url, missingCount: 0, lastSeen: null, closedSnapshot: null, wasTrending: false, retired: false
       };
       const next = { ...prev, url: m.url };
+      if (m.scrapedAt) next.lastDetailAt = m.scrapedAt;
+      // First seen after seeding: the digest's "new markets"
+      if (!state.markets[m.id] && m.status === 'open') next.openedAt = Date.now();
       if (prev.retired) { state.markets[m.id] = next; continue; }
+      if (m.status !== 'open') delete next.oddsHistory;
 
       const card = activeById.get(m.id) || trendingById.get(m.id);
 
@@ -801,8 +1366,16 @@ async function tick() {
           title: m.title,
           category: card?.category ?? prev.lastSeen?.category ?? '',
           endsIn: m.endsIn || card?.endsIn || prev.lastSeen?.endsIn || '',
+          closeISO: m.closeISO || prev.lastSeen?.closeISO || '',
+          closeText: m.closeISO ? (m.closeText || '') : (prev.lastSeen?.closeText || ''),
           options: opts
         };
+        const moved = oddsKey(opts) !== oddsKey(prev.lastSeen?.options);
+        const idle = !(Date.now() - (prev.oddsSampledAt || 0) < ODDS_SAMPLE_IDLE_MS);
+        if (opts.some(o => o.pct != null) && (moved || idle)) {
+          oddsSamples.push({ marketId: m.id, at: Date.now(), options: opts });
+          next.oddsSampledAt = Date.now();
+        }
       }
 
       if (m.status === 'closed' && !prev.announcedClosed && !next.closedSnapshot) {
@@ -810,6 +1383,9 @@ async function tick() {
         next.closedSnapshot = { options: finalOpts };
       }
 
+      // The outbox may confirm before this tick saves: give it a record to write to
+      if (!state.markets[m.id]) rememberMarket(store, m.id, { ...next, lastStatus: m.status });
+
       // New market open
       if (m.status === 'open' && activeById.has(m.id) && !prev.announcedOpen) {
         const payload = {
@@ -818,19 +1394,36 @@ async function tick() {
           endsIn:   next.lastSeen?.endsIn,
           options:  next.lastSeen?.options || m.options
         };
-        await send(fmtNewMarket(payload), 'OPEN');
-        next.announcedOpen = true;
+        // Nobody to tell counts as done; otherwise the outbox sets the flag on delivery
+        const photo = await announcementPhoto(state, 'open', payload);
+        if (!announce(state, 'open', payload, (lang, tz) => fmtNewMarket(payload, lang, tz), { card: photo })) next.announcedOpen = true;
+      }
+
+      // Odds swing (only once the market has been announced)
+      if (m.status === 'open' && next.lastSeen?.options?.length) {
+        const { history, swing } = trackOddsSwing(prev, next.lastSeen.options, oddsSettings);
+        next.oddsHistory = history;
+        if (swing) {
+          const payload = { ...m, ...next.lastSeen, url: m.url };
+          const render = (lang) => fmtOddsMoved(payload, swing, oddsSettings.window, lang);
+          if (next.announcedOpen) announce(state, 'odds', payload, render);
+          // Watchers hear about it even if the market was never announced
+          if (notifyWatchers('odds', payload, render) || next.announcedOpen) next.lastOddsAlertAt = Date.now();
+        }
       }
 
       // Closed
-      if (m.status === 'closed' && !prev.announcedClosed && prev.lastStatus !== 'closed') {
+      if (m.status === 'closed' && !prev.announcedClosed) {
         const opts =
           next.closedSnapshot?.options?.length ? next.closedSnapshot.options
           : prev.lastSeen?.options?.length ? prev.lastSeen.options
           : m.options;
 
-        await send(fmtClosed({ ...m, options: opts, title: next.lastSeen?.title || m.title }), 'CLOSED');
-        next.announcedClosed = true;
+        const payload = { ...m, options: opts, title: next.lastSeen?.title || m.title, category: next.lastSeen?.category || '' };
+        // Queued again each tick until delivered; the original posts only need editing once
+        if (prev.lastStatus !== 'closed') updateOriginalPosts(m.id, payload);
+        notifyWatchers('closed', payload, (lang, tz) => fmtClosed(payload, lang, tz));
+        if (!announce(state, 'closed', payload, (lang, tz) => fmtClosed(payload, lang, tz))) next.announcedClosed = true;
       }
 
       // Resolved
@@ -841,11 +1434,31 @@ async function tick() {
           : m.options;
 
         const niceWinner = mapWinnerToLabel(m.winner, finalOptions) || m.winner || '—';
-        await send(
-          fmtResolved({ ...m, winner: niceWinner, options: finalOptions, title: next.lastSeen?.title || m.title }),
-          'RESOLVED'
-        );
-        next.announcedResolved = true;
+        const payload = {
+          ...m, winner: niceWinner, options: finalOptions,
+          title: next.lastSeen?.title || m.title, category: next.lastSeen?.category || ''
+        };
+        next.winner = niceWinner;
+        next.resolvedAt = Date.now();
+        const calledIt = scoreGame(m.id, winningLabel(niceWinner, finalOptions));
+        updateOriginalPosts(m.id, payload);
+        const photo = await announcementPhoto(state, 'resolved', payload);
+        const footer = (chatId, lang) => fmtCalledIt(calledIt.get(String(chatId)), lang);
+        if (!announce(state, 'resolved', payload, (lang, tz) => fmtResolved(payload, lang, tz), { card: photo, footer })) next.announcedResolved = true;
+        // Nothing more to watch after this
+        if (notifyWatchers('resolved', payload, (lang, tz) => fmtResolved(payload, lang, tz))) {
+          store.setSetting('watchlists', dropMarket(watchlists(), m.id));
+        }
+        if (resolvedChartEnabled) {
+          try {
+            const png = await renderOddsChart(m.id, payload.title);
+            const caption = (lang) => t(lang, 'chart.resolvedCaption', { title: escapeHtml(payload.title) });
+            if (png) announce(state, 'resolved', payload, caption, { key: 'resolved-chart', kind: 'photo', photo: png });
+          } catch (e) {
+            console.error('[chart] resolved chart failed', m.id, e?.message || e);
+          }
+        }
+        // Retired now: the outbox still delivers what is queued and sets announcedResolved
         next.retired = true;
       }
 
@@ -855,10 +1468,9 @@ async function tick() {
         const opts = card?.options?.length ? card.options :
                      prev.lastSeen?.options?.length ? prev.lastSeen.options :
                      m.options || [];
-        await send(
-          fmtTrending({ ...m, options: opts, category: next.lastSeen?.category || m.category }),
-          'TRENDING'
-        );
+        const payload = { ...m, options: opts, category: next.lastSeen?.category || m.category };
+        const photo = await announcementPhoto(state, 'trending', payload);
+        announce(state, 'trending', payload, (lang, tz) => fmtTrending(payload, lang, tz), { card: photo });
       }
       next.wasTrending = trendingNow;
 
@@ -869,17 +1481,514 @@ async function tick() {
     // GC retired if file gets huge
     const MAX_RETIRED = 2000;
     const ids = Object.keys(state.markets);
+    const removedIds = [];
     if (ids.length > MAX_RETIRED) {
-      for (const id of ids) if (state.markets[id]?.retired) delete state.markets[id];
+      for (const id of ids) {
+        if (state.markets[id]?.retired) { delete state.markets[id]; removedIds.push(id); }
+      }
     }
 
-    saveState(state);
+    saveTickState(state, { oddsSamples, removedIds });
+    scheduleReminders(loadState());
+    console.log('[tick] stats', fmtTickStats(stats));
     console.log('[tick] END', summarizeState(state));
+    ok = true;
   } catch (e) {
     console.error('tick error:', e?.message || e);
+  } finally {
+    recordTick(startedAt, ok);
+  }
+}
+
+/* =========================
+   MARKET CARD
+   ========================= */
+const MARKET_REFRESH_COOLDOWN_MS = Math.max(0, parseInt(MARKET_REFRESH_COOLDOWN_SECONDS, 10) || 0) * 1000;
+const lastRefreshByUser = new Map(); // userId -> ms
+const inflightDetails   = new Map(); // url -> Promise, so parallel refreshes share one scrape
+
+// Returns seconds left to wait, or 0 and records the refresh
+function takeRefreshSlot(userId, nowMs = Date.now()) {
+  const last = lastRefreshByUser.get(userId) || 0;
+  const wait = last + MARKET_REFRESH_COOLDOWN_MS - nowMs;
+  if (wait > 0) return Math.ceil(wait / 1000);
+  lastRefreshByUser.set(userId, nowMs);
+  return 0;
+}
+
+function marketUrl(id) {
+  const saved = store.getMarket(id)?.url;
+  return saved && isAuracleUrl(saved) ? saved : `${AURACLE_BASE_URL.replace(/\/+$/, '')}/MarketDetails?id=${encodeURIComponent(id)}`;
+}
+
+// Card for an id or an Auracle link; null for anything else
+async function loadMarketCard(arg) {
+  const id = parseMarketArg(arg);
+  if (!id) return null;
+  const url = marketUrl(id);
+  if (!inflightDetails.has(url)) {
+    inflightDetails.set(url, source.fetchDetail(url, { debug: dbg }).finally(() => inflightDetails.delete(url)));
+  }
+  const detail = await inflightDetails.get(url);
+  if (!detail?.id) return null;
+
+  const tracked = store.getMarket(detail.id);
+  const options = detail.options?.length ? detail.options : tracked?.lastSeen?.options || [];
+  return {
+    ...detail,
+    title: detail.title || tracked?.lastSeen?.title || `Market ${detail.id}`,
+    category: tracked?.lastSeen?.category || '',
+    options,
+    winner: detail.winner ? (mapWinnerToLabel(detail.winner, options) || detail.winner) : null,
+  };
+}
+
+function marketCardKeyboard(m, lang = DEFAULT_LANG) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t(lang, 'card.refresh'), callback_data: `mkt:r:${m.id}` },
+        { text: t(lang, 'card.watch'), callback_data: `mkt:w:${m.id}` },
+      ],
+      [{ text: t(lang, 'card.open'), url: m.url }],
+    ],
+  };
+}
+
+bot.command('market', async (ctx) => {
+  const arg = (ctx.message.text || '').replace(/^\/\S+\s*/, '');
+  if (!arg.trim()) { await ctx.reply(tr(ctx, 'market.usage')); return; }
+  const wait = takeRefreshSlot(ctx.from?.id);
+  if (wait) { await ctx.reply(tr(ctx, 'market.wait', { seconds: wait })); return; }
+  try {
+    const m = await loadMarketCard(arg);
+    if (!m) { await ctx.reply(tr(ctx, 'market.notFound')); return; }
+    await ctx.reply(fmtMarketCard(m, ctx.lang, ctx.tz), {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: marketCardKeyboard(m, ctx.lang),
+    });
+  } catch (e) {
+    await ctx.reply(tr(ctx, 'market.failed', { error: String(e.message || e).slice(0, 300) }));
+  }
+});
+
+bot.action(/^mkt:r:(.+)$/, async (ctx) => {
+  const wait = takeRefreshSlot(ctx.from?.id);
+  if (wait) { await ctx.answerCbQuery(tr(ctx, 'market.slowDown', { seconds: wait })); return; }
+  await ctx.answerCbQuery(tr(ctx, 'market.refreshing'));
+  try {
+    const m = await loadMarketCard(ctx.match[1]);
+    if (!m) return;
+    await ctx.editMessageText(fmtMarketCard(m, ctx.lang, ctx.tz), {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: marketCardKeyboard(m, ctx.lang),
+    });
+  } catch (e) {
+    const desc = e?.response?.description || e.message || '';
+    if (!/not modified/i.test(desc)) console.error('[market] refresh failed', ctx.match[1], desc);
+  }
+});
+
+// The Watch button on cards and announcements
+bot.action(/^mkt:w:(.+)$/, async (ctx) => {
+  const id = ctx.match[1];
+  const userId = ctx.from.id;
+  // The bot can only DM people who have opened a chat with it: send the
+  // others there first, /start then adds the market
+  const username = ctx.botInfo?.username;
+  if (ctx.chat?.type !== 'private' && !(String(userId) in watchlists()) && username && START_PAYLOAD_RE.test(`w_${id}`)) {
+    await ctx.answerCbQuery(undefined, { url: `https://t.me/${username}?start=w_${id}` });
+    return;
+  }
+  const result = watchMarket(userId, id);
+  await ctx.answerCbQuery(watchReply(ctx, result, id).slice(0, 200));
+});
+
+/* =========================
+   WATCHLISTS
+   ========================= */
+// Personal follow lists kept per user (lib/watchlist.js). The commands only
+// work in a private chat, which is where the DMs go.
+const WATCH_MAX = Math.max(1, parseInt(WATCHLIST_MAX, 10) || 20);
+// Announcements that get a Watch button: the market can still change
+const WATCH_BUTTON_EVENTS = new Set(['open', 'trending', 'odds', 'closing', 'closed', 'closedEdit']);
+// Telegram's limit on /start parameters
+const START_PAYLOAD_RE = /^[\w-]{1,64}$/;
+
+function watchlists() {
+  return store.getSetting('watchlists', {}) || {};
+}
+
+function watchKeyboard(marketId, lang = DEFAULT_LANG) {
+  return { inline_keyboard: [[{ text: t(lang, 'card.watch'), callback_data: `mkt:w:${marketId}` }]] };
+}
+
+const watchTitle = (id) => store.getMarket(id)?.lastSeen?.title || id;
+
+// → 'added' | 'already' | 'full' | 'over' | 'unknown'. Only markets the tick
+// already follows: an id typed by a user must never add to what gets scraped.
+function watchMarket(userId, id) {
+  const mk = store.getMarket(id);
+  if (!mk) return 'unknown';
+  if (mk.retired || mk.lastStatus === 'resolved') return 'over';
+  const { lists, result } = addWatch(watchlists(), userId, id, { max: WATCH_MAX });
+  if (result !== 'added') return result;
+  store.setSetting('watchlists', lists);
+  console.log(`[watch] ${userId} watches ${id}`);
+  return result;
+}
+
+function watchReply(ctx, result, id) {
+  const count = (watchlists()[String(ctx.from.id)] || []).length;
+  return tr(ctx, `watch.${result}`, { title: watchTitle(id), count, max: WATCH_MAX });
+}
+
+// Blocked the bot or deleted their account
+function forgetWatcher(userId, why = '') {
+  const lists = watchlists();
+  if (!(String(userId) in lists)) return;
+  store.setSetting('watchlists', dropUser(lists, userId));
+  console.log(`[watch] dropped the watchlist of ${userId}: ${why}`);
+}
+
+// DM everyone watching the market and return how many that is. Keys work as
+// in announce: a close or a resolution is queued once per user however many
+// ticks see it.
+function notifyWatchers(event, m, render) {
+  if (isPaused(event)) return 0;
+  const users = watchersOf(watchlists(), m.id);
+  if (!users.length) return 0;
+  const languages = chatLanguages();
+  const zones = chatTimezones();
+  const k = DELIVERY_FLAGS[event] ? event : `${event}@${Date.now()}`;
+  if (dbg) console.log(`[watch] ${event} "${m.title}" → ${users.length} watcher(s)`);
+  outbox.enqueue(users.map(userId => {
+    const lang = chatLang(userId, languages);
+    return {
+      key: `${m.id}:watch-${k}:${userId}`, chatId: userId, event: 'watch', marketId: m.id,
+      kind: 'message', text: `${t(lang, 'watch.header')}\n${render(lang, chatTz(userId, zones))}`, photo: null, thread: false,
+    };
+  }));
+  return users.length;
+}
+
+// Commands for the user's own list, so private chats only
+function requirePrivate(ctx, next) {
+  if (ctx.chat?.type === 'private') return next();
+  const username = ctx.botInfo?.username;
+  return ctx.reply(tr(ctx, 'watch.privateOnly', { bot: username ? `@${username}` : tr(ctx, 'watch.theBot') }));
+}
+
+const commandArg = (ctx) => (ctx.message.text || '').replace(/^\/\S+\s*/, '').trim();
+
+bot.start(requirePrivate, async (ctx) => {
+  const payload = String(ctx.payload || '');
+  const lists = watchlists();
+  // An empty list marks someone the bot can DM, so Watch buttons work directly next time
+  if (!(String(ctx.from.id) in lists)) store.setSetting('watchlists', { ...lists, [String(ctx.from.id)]: [] });
+  if (payload.startsWith('w_')) {
+    const id = payload.slice(2);
+    await ctx.reply(watchReply(ctx, watchMarket(ctx.from.id, id), id));
+    return;
+  }
+  await ctx.reply(tr(ctx, 'watch.welcome'));
+});
+
+bot.command('watch', requirePrivate, async (ctx) => {
+  const id = parseMarketArg(commandArg(ctx));
+  if (!id) { await ctx.reply(tr(ctx, 'watch.usage')); return; }
+  await ctx.reply(watchReply(ctx, watchMarket(ctx.from.id, id), id));
+});
+
+bot.command('unwatch', requirePrivate, async (ctx) => {
+  const id = parseMarketArg(commandArg(ctx));
+  if (!id) { await ctx.reply(tr(ctx, 'watch.unwatchUsage')); return; }
+  const { lists, removed } = removeWatch(watchlists(), ctx.from.id, id);
+  if (!removed) { await ctx.reply(tr(ctx, 'watch.notWatched', { id })); return; }
+  store.setSetting('watchlists', lists);
+  console.log(`[watch] ${ctx.from.id} unwatches ${id}`);
+  await ctx.reply(tr(ctx, 'watch.removed', { title: watchTitle(id) }));
+});
+
+bot.command('watchlist', requirePrivate, async (ctx) => {
+  const ids = watchlists()[String(ctx.from.id)] || [];
+  if (!ids.length) { await ctx.reply(tr(ctx, 'watch.empty')); return; }
+  const lines = ids.map(id => {
+    const mk = store.getMarket(id);
+    const status = mk?.lastStatus in { open: 1, closed: 1, resolved: 1 } ? tr(ctx, `status.${mk.lastStatus}`) : '—';
+    return `• <a href="${escapeHtml(marketUrl(id))}">${escapeHtml(watchTitle(id))}</a> — ${status}\n  <code>/unwatch ${escapeHtml(id)}</code>`;
+  });
+  await ctx.reply([tr(ctx, 'watch.list', { count: ids.length, max: WATCH_MAX }), ...lines].join('\n'), {
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+  });
+});
+
+/* =========================
+   PREDICTION GAME
+   ========================= */
+// Chats that turn it on with /game get pick buttons on new-market posts;
+// picks close with the market and are scored when it resolves (lib/game.js).
+const LEADERBOARD_SIZE = 10;
+const CALLED_IT_NAMES = 10;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+function gameChats() {
+  return store.getSetting('gameChats', {}) || {};
+}
+
+function gameScores() {
+  return store.getSetting('gameScores', {}) || {};
+}
+
+const playerName = (from) => from.username ? `@${from.username}` : [from.first_name, from.last_name].filter(Boolean).join(' ') || String(from.id);
+
+function isPickable(mk, now = Date.now()) {
+  if (!mk || mk.retired || mk.lastStatus !== 'open') return false;
+  return !(Date.parse(mk.lastSeen?.closeISO || '') <= now);
+}
+
+// One button per option with the odds when the post went out, two to a row
+// (Telegram allows at most 8 per row)
+const PICK_BUTTONS_PER_ROW = 2;
+function pickButtons(marketId) {
+  const options = uniqueOptions(store.getMarket(marketId)?.lastSeen?.options || []);
+  if (options.length < 2) return [];
+  const buttons = options.map(o => ({
+    text: `🎯 ${o.label}${o.pct != null ? ` · ${o.pct}%` : ''}`,
+    callback_data: `g:${marketId}:${optionKey(o.label)}`,
+  }));
+  // Telegram caps callback data at 64 bytes
+  if (!buttons.every(b => Buffer.byteLength(b.callback_data) <= 64)) return [];
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += PICK_BUTTONS_PER_ROW) rows.push(buttons.slice(i, i + PICK_BUTTONS_PER_ROW));
+  return rows;
+}
+
+// Pick buttons on open posts in chats playing the game, then the Watch button
+function announcementKeyboard(item) {
+  if (!item.marketId || !WATCH_BUTTON_EVENTS.has(item.event)) return null;
+  const picks = item.event === 'open' && gameChats()[String(item.chatId)] ? pickButtons(item.marketId) : [];
+  return { inline_keyboard: [...picks, ...watchKeyboard(item.marketId, chatLang(item.chatId)).inline_keyboard] };
+}
+
+// Score every chat's picks into its ledger and clear them from the market.
+// A null winner (invalid or unmapped result) voids the picks.
+// → Map chatId → results, for the resolved post
+function scoreGame(marketId, winner) {
+  const byChat = new Map();
+  store.transaction(() => {
+    const mk = store.getMarket(marketId);
+    if (!mk?.picks) return;
+    if (winner) {
+      const ledgers = { ...gameScores() };
+      for (const [chatId, picks] of Object.entries(mk.picks)) {
+        const results = scorePicks(picks, winner);
+        if (!results.length) continue;
+        ledgers[chatId] = recordResults(ledgers[chatId], results, { marketId });
+        byChat.set(chatId, results);
+      }
+      store.setSetting('gameScores', ledgers);
+    }
+    delete mk.picks;
+    store.putMarket(marketId, mk);
+  });
+  if (byChat.size) console.log(`[game] ${marketId} scored in ${byChat.size} chat(s), winner ${winner}`);
+  return byChat;
+}
+
+// "Who called it" lines for the resolved post, '' when nobody played
+function fmtCalledIt(results, lang = DEFAULT_LANG) {
+  if (!results?.length) return '';
+  const right = results.filter(r => r.correct);
+  if (!right.length) return t(lang, 'game.nobodyCalledIt', { count: results.length });
+  const names = right.slice(0, CALLED_IT_NAMES).map(r => `${escapeHtml(r.name)} +${r.points}`).join(', ');
+  const more = right.length > CALLED_IT_NAMES ? ` ${t(lang, 'game.andMore', { count: right.length - CALLED_IT_NAMES })}` : '';
+  return t(lang, 'game.calledIt', { count: right.length, total: results.length, names: names + more });
+}
+
+bot.action(/^g:(.+):(\w+)$/, async (ctx) => {
+  const [, id, key] = ctx.match;
+  const chatId = String(ctx.chat?.id);
+  const userId = String(ctx.from.id);
+  let reply;
+  store.transaction(() => {
+    const mk = store.getMarket(id);
+    if (!isPickable(mk)) { reply = tr(ctx, 'game.closed'); return; }
+    // Only what is on offer now, at today's odds
+    const option = optionByKey(mk.lastSeen?.options, key);
+    if (!option) { reply = tr(ctx, 'game.gone'); return; }
+    const mine = mk.picks?.[chatId]?.[userId];
+    // Tapping the same option again keeps the odds it was first picked at
+    if (mine?.label === option.label) { reply = tr(ctx, 'game.already', { label: option.label, points: pickPoints(mine.pct) }); return; }
+    const picks = { ...(mk.picks || {}) };
+    picks[chatId] = { ...(picks[chatId] || {}), [userId]: { label: option.label, pct: option.pct, at: Date.now(), name: playerName(ctx.from) } };
+    store.putMarket(id, { ...mk, picks });
+    reply = tr(ctx, mine ? 'game.changed' : 'game.picked', { label: option.label, pct: option.pct ?? '?', points: pickPoints(option.pct) });
+  });
+  await ctx.answerCbQuery(reply.slice(0, 200));
+});
+
+// Show or switch the game for this chat; switching is an admin call outside private chats
+bot.command('game', async (ctx) => {
+  const arg = commandArg(ctx).toLowerCase();
+  if (!arg) {
+    await ctx.reply(tr(ctx, gameChats()[String(ctx.chat.id)] ? 'game.isOn' : 'game.isOff'));
+    return;
+  }
+  if (!['on', 'off'].includes(arg)) { await ctx.reply(tr(ctx, 'game.usage')); return; }
+  const setGame = async () => {
+    setChatPreference('gameChats', ctx.chat.id, arg === 'on' ? true : null);
+    console.log(`[game] chat ${ctx.chat.id} → ${arg} by ${describeCaller(ctx)}`);
+    await ctx.reply(tr(ctx, arg === 'on' ? 'game.turnedOn' : 'game.turnedOff'));
+  };
+  if (ctx.chat.type !== 'private') return requireAdmin(ctx, setGame);
+  await setGame();
+});
+
+// This week (from Monday in the chat's timezone) or "all" for all time
+bot.command('leaderboard', async (ctx) => {
+  const allTime = /^all/i.test(commandArg(ctx));
+  const since = allTime ? null : weekStart(Date.now(), ctx.tz);
+  const rows = leaderboard(gameScores()[String(ctx.chat.id)], { since }).slice(0, LEADERBOARD_SIZE);
+  if (!rows.length) { await ctx.reply(tr(ctx, allTime ? 'game.noScores' : 'game.noScoresWeek')); return; }
+  const lines = rows.map((r, i) =>
+    `${MEDALS[i] || `${i + 1}.`} ${escapeHtml(r.name)} — <b>${r.points}</b> ${tr(ctx, 'game.record', { correct: r.correct, count: r.picks })}`);
+  const header = allTime ? tr(ctx, 'game.boardAll') : tr(ctx, 'game.boardWeek', { since: escapeHtml(fmtDateTime(since, ctx.tz, ctx.lang)) });
+  await ctx.reply([header, ...lines].join('\n'), { parse_mode: 'HTML' });
+});
+
+// The caller's open picks in this chat and where they stand
+bot.command('mypicks', async (ctx) => {
+  const chatId = String(ctx.chat.id);
+  const userId = String(ctx.from.id);
+  const open = Object.entries(loadState().markets || {})
+    .filter(([, mk]) => mk.picks?.[chatId]?.[userId])
+    .map(([id, mk]) => {
+      const p = mk.picks[chatId][userId];
+      return `• ${escapeHtml(mk.lastSeen?.title || id)} — ${escapeHtml(p.label)} @ ${p.pct ?? '?'}% ${tr(ctx, 'game.worth', { points: pickPoints(p.pct) })}`;
+    });
+  const ledger = gameScores()[chatId];
+  const mine = ledger?.totals?.[userId];
+  const rank = leaderboard(ledger).findIndex(r => r.userId === userId) + 1;
+  const lines = [
+    tr(ctx, 'game.myPicks'),
+    ...(open.length ? open : [tr(ctx, 'game.noOpenPicks')]),
+    '',
+    mine ? tr(ctx, 'game.standing', { points: mine.points, correct: mine.correct, count: mine.picks, rank }) : tr(ctx, 'game.noStanding'),
+  ];
+  await ctx.reply(lines.join('\n'), { parse_mode: 'HTML', disable_web_page_preview: true });
+});
+
+/* =========================
+   MARKETS BROWSER
+   ========================= */
+const MARKETS_PAGE_SIZE = 8;
+const MARKET_FILTERS = ['open', 'closed', 'trending'];
+const MARKET_SORTS = ['close', 'odds'];
+
+const favouritePct = (mk) => Math.max(-1, ...(mk.lastSeen?.options || []).map(o => o.pct ?? -1));
+const closeMsOf = (mk) => {
+  const ms = Date.parse(mk.lastSeen?.closeISO || '');
+  return isNaN(ms) ? Infinity : ms;
+};
+
+function listMarkets(markets = {}, { filter = 'open', category = '', sort = 'close' } = {}) {
+  const cat = category.trim().toUpperCase();
+  const rows = Object.entries(markets).filter(([, mk]) => {
+    if (!mk.lastSeen?.title) return false;
+    if (filter === 'open'     && (mk.lastStatus !== 'open' || mk.retired)) return false;
+    if (filter === 'closed'   && mk.lastStatus !== 'closed') return false;
+    if (filter === 'trending' && (!mk.wasTrending || mk.retired)) return false;
+    if (cat && !(mk.lastSeen.category || '').toUpperCase().includes(cat)) return false;
+    return true;
+  });
+  if (sort === 'odds') rows.sort(([, a], [, b]) => favouritePct(b) - favouritePct(a));
+  // Closed markets: most recently closed first; everything else: soonest close first
+  else if (filter === 'closed') {
+    const recent = (mk) => closeMsOf(mk) === Infinity ? 0 : closeMsOf(mk);
+    rows.sort(([, a], [, b]) => recent(b) - recent(a));
   }
+  else rows.sort(([, a], [, b]) => closeMsOf(a) - closeMsOf(b));
+  return rows;
+}
+
+function fmtMarketsPage(rows, { filter, category, sort, page }, lang = DEFAULT_LANG) {
+  const pages = Math.max(1, Math.ceil(rows.length / MARKETS_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+  const slice = rows.slice(p * MARKETS_PAGE_SIZE, (p + 1) * MARKETS_PAGE_SIZE);
+  const head = `📋 <b>${t(lang, `markets.heading.${filter}`)}</b>` +
+    (category ? ` · 📂 ${escapeHtml(category)}` : '') +
+    ` · ${t(lang, 'markets.sortedBy', { sort: t(lang, `markets.sort.${sort}`) })} (${rows.length})`;
+  if (!slice.length) return { text: `${head}\n\n${t(lang, 'markets.empty')}`, page: p, pages };
+
+  const lines = slice.map(([id, mk], i) => {
+    const lead = [...(mk.lastSeen.options || [])].filter(o => o.pct != null).sort((a, b) => b.pct - a.pct)[0];
+    const closeMs = closeMsOf(mk);
+    const eta = mk.lastStatus === 'open' && closeMs !== Infinity
+      ? humanizeEta(closeMs, Date.now(), lang)
+      : (mk.lastStatus === 'closed' ? t(lang, 'markets.closed') : '');
+    const meta = [lead ? `${escapeHtml(lead.label)} <b>${lead.pct}%</b>` : '', escapeHtml(eta)].filter(Boolean).join(' · ');
+    return `${p * MARKETS_PAGE_SIZE + i + 1}. <a href="${escapeHtml(mk.url)}">${escapeHtml(mk.lastSeen.title)}</a>` +
+      (meta ? `\n    ${meta}` : '') + `  <code>${escapeHtml(id)}</code>`;
+  });
+  return { text: `${head}\n\n${lines.join('\n')}`, page: p, pages };
+}
+
+// callback_data is capped at 64 bytes, so the category rides along cut to fit
+function marketsKeyboard({ filter, category, sort, page, pages }, lang = DEFAULT_LANG) {
+  const cb = (pg, srt = sort) => {
+    const head = `mkts:${filter}:${srt}:${pg}:`;
+    return head + sliceBytes(category, 64 - Buffer.byteLength(head));
+  };
+  const nav = [];
+  if (page > 0)         nav.push({ text: t(lang, 'markets.prev'), callback_data: cb(page - 1) });
+  nav.push({ text: `${page + 1}/${pages}`, callback_data: cb(page) });
+  if (page < pages - 1) nav.push({ text: t(lang, 'markets.next'), callback_data: cb(page + 1) });
+  const other = sort === 'odds' ? 'close' : 'odds';
+  return {
+    inline_keyboard: [
+      nav,
+      [{ text: t(lang, 'markets.sortBy', { sort: t(lang, `markets.sort.${other}`) }), callback_data: cb(0, other) }],
+    ],
+  };
+}
+
+function renderMarketsBrowser(opts, lang = DEFAULT_LANG) {
+  const rows = listMarkets(loadState().markets, opts);
+  const { text, page, pages } = fmtMarketsPage(rows, opts, lang);
+  return {
+    text,
+    extra: {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: marketsKeyboard({ ...opts, page, pages }, lang),
+    },
+  };
 }
 
+bot.command('markets', async (ctx) => {
+  const args = (ctx.message.text || '').trim().split(/\s+/).slice(1);
+  let filter = 'open';
+  if (MARKET_FILTERS.includes((args[0] || '').toLowerCase())) filter = args.shift().toLowerCase();
+  const { text, extra } = renderMarketsBrowser({ filter, category: args.join(' '), sort: 'close', page: 0 }, ctx.lang);
+  await ctx.reply(text, extra);
+});
+
+bot.action(/^mkts:(\w+):(\w+):(\d+):(.*)$/, async (ctx) => {
+  const [, filter, sort, page, category] = ctx.match;
+  if (!MARKET_FILTERS.includes(filter) || !MARKET_SORTS.includes(sort)) { await ctx.answerCbQuery(); return; }
+  const { text, extra } = renderMarketsBrowser({ filter, category, sort, page: parseInt(page, 10) }, ctx.lang);
+  await ctx.answerCbQuery();
+  try { await ctx.editMessageText(text, extra); }
+  catch (e) {
+    const desc = e?.response?.description || e.message || '';
+    if (!/not modified/i.test(desc)) console.error('[markets] page edit failed', desc);
+  }
+});
+
 /* =========================
    COMMANDS
    ========================= */
@@ -887,51 +1996,183 @@ bot.command('ping', (ctx) => ctx.reply('pong 🏓'));
 
 bot.command('health', async (ctx) => {
   try {
-    const { trending, active } = await fetchMarketsFromSections({ debug: true });
+    const { trending, active } = await source.fetchList({ debug: true });
     const aSample = await Promise.all(
       active.slice(0,2).map(async (c) => {
-        const d = await scrapeMarketDetail(c.url, { debug: false });
+        const d = await source.fetchDetail(c.url, { debug: false });
         return (d?.title || '(no title)').toUpperCase();
       })
     );
     const tSample = await Promise.all(
       trending.slice(0,2).map(async (c) => {
-        const d = await scrapeMarketDetail(c.url, { debug: false });
+        const d = await source.fetchDetail(c.url, { debug: false });
         return (d?.title || '(no title)').toUpperCase();
       })
     );
-    await ctx.reply(
-      `Active: ${active.length}  |  Trending: ${trending.length}\n` +
-      `Active sample: ${aSample.join(' | ') || '—'}\n` +
-      `Trending sample: ${tSample.join(' | ') || '—'}`
-    );
+    await ctx.reply(tr(ctx, 'health.summary', {
+      active: active.length, trending: trending.length,
+      activeSample: aSample.join(' | ') || '—', trendingSample: tSample.join(' | ') || '—',
+    }));
   } catch (e) {
-    await ctx.reply(`Fetch failed: ${String(e.message || e).slice(0, 300)}`);
+    await ctx.reply(tr(ctx, 'health.failed', { error: String(e.message || e).slice(0, 300) }));
+  }
+});
+
+bot.command('chart', async (ctx) => {
+  const id = parseMarketArg((ctx.message.text || '').replace(/^\/\S+\s*/, ''));
+  if (!id) { await ctx.reply(tr(ctx, 'chart.usage')); return; }
+  // Drawing opens a browser page, so it shares the /market cooldown
+  const wait = takeRefreshSlot(ctx.from?.id);
+  if (wait) { await ctx.reply(tr(ctx, 'chart.wait', { seconds: wait })); return; }
+  const title = store.getMarket(id)?.lastSeen?.title || `Market ${id}`;
+  try {
+    const png = await renderOddsChart(id, title, ctx.tz);
+    if (!png) { await ctx.reply(tr(ctx, 'chart.none', { id })); return; }
+    await ctx.replyWithPhoto({ source: png }, { caption: tr(ctx, 'chart.caption', { title: escapeHtml(title) }), parse_mode: 'HTML' });
+  } catch (e) {
+    await ctx.reply(tr(ctx, 'chart.failed', { error: String(e.message || e).slice(0, 300) }));
   }
 });
 
 bot.command('whereami', async (ctx) => {
   const target = getTargetChatId();
   const here   = ctx.chat?.id;
-  await ctx.reply(`Target chat: ${String(target)}\nThis chat: ${String(here)}\nTip: /set_target here`);
+  const sub    = getSubscriptions(loadState())[String(here)];
+  await ctx.reply(tr(ctx, 'whereami', {
+    target: String(target), here: String(here), subscription: describeSubscription(sub, ctx.lang),
+  }));
+});
+
+bot.command('subscribe', requireAdmin, async (ctx) => {
+  const args = (ctx.message.text || '').replace(/^\/\S+\s*/, '');
+  let filters;
+  try { filters = parseSubscriptionArgs(args, ctx.lang); }
+  catch (e) {
+    await ctx.reply(`${e.message}\n${tr(ctx, 'subscribe.usage')}`);
+    return;
+  }
+  const st = loadState();
+  const subs = getSubscriptions(st);
+  const key = String(ctx.chat.id);
+  subs[key] = { ...(subs[key] || newSubscription(key)), ...filters };
+  saveState(st);
+  scheduleDigests(st);
+  await ctx.reply(tr(ctx, 'subscribe.ok', { subscription: describeSubscription(subs[key], ctx.lang) }));
+});
+
+bot.command('unsubscribe', requireAdmin, async (ctx) => {
+  const st = loadState();
+  const subs = getSubscriptions(st);
+  const key = String(ctx.chat.id);
+  if (!subs[key]) { await ctx.reply(tr(ctx, 'unsubscribe.notSubscribed')); return; }
+  delete subs[key];
+  saveState(st);
+  scheduleDigests(st);
+  await ctx.reply(tr(ctx, 'unsubscribe.ok'));
+});
+
+bot.command('subscriptions', requireAdmin, async (ctx) => {
+  const subs = Object.values(getSubscriptions(loadState()));
+  if (!subs.length) { await ctx.reply(tr(ctx, 'subscriptions.none')); return; }
+  await ctx.reply(subs.map(s => `${s.chatId}: ${describeSubscription(s, ctx.lang)}`).join('\n'));
 });
 
-bot.command('set_target', async (ctx) => {
+bot.command('set_target', requireAdmin, async (ctx) => {
   const parts = (ctx.message.text || '').trim().split(/\s+/);
   const arg = parts[1];
-  if (!arg) { await ctx.reply('Usage: /set_target <chatId|here>'); return; }
+  if (!arg) { await ctx.reply(tr(ctx, 'setTarget.usage')); return; }
   const id = (arg === 'here') ? ctx.chat.id : arg;
   setTargetChatId(id);
-  await ctx.reply(`OK. Target chat set to: ${id}`);
+  scheduleDigests();
+  await ctx.reply(tr(ctx, 'setTarget.ok', { id }));
+});
+
+const digestUsage = (ctx) => tr(ctx, 'digest.usage', { presets: Object.keys(DIGEST_PRESETS).join('|') });
+
+bot.command('digest', requireAdmin, async (ctx) => {
+  const args = (ctx.message.text || '').replace(/^\/\S+\s*/, '');
+  const st = loadState();
+  const subs = getSubscriptions(st);
+  const key = String(ctx.chat.id);
+  if (!subs[key]) { await ctx.reply(tr(ctx, 'common.notSubscribed')); return; }
+  if (!args.trim()) {
+    const d = subs[key].digest;
+    await ctx.reply(`${d ? tr(ctx, 'digest.current', d) : tr(ctx, 'digest.notSet')}\n${digestUsage(ctx)}`);
+    return;
+  }
+  let parsed;
+  try { parsed = parseDigestArgs(args, { defaultTz: subs[key].digest?.tz || ctx.tz }); }
+  catch (e) {
+    const why = e.code ? tr(ctx, `digest.${e.code}`, { value: e.value, presets: Object.keys(DIGEST_PRESETS).join(', ') }) : e.message;
+    await ctx.reply(`${why}\n${digestUsage(ctx)}`);
+    return;
+  }
+  if (parsed.off) delete subs[key].digest;
+  else subs[key].digest = parsed;
+  saveState(st);
+  scheduleDigests(st);
+  await ctx.reply(parsed.off ? tr(ctx, 'digest.off') : tr(ctx, 'digest.scheduled', parsed));
+});
+
+// Preview only: posts here, right away, and leaves the next digest's period alone
+bot.command('digest_now', async (ctx) => {
+  const st = loadState();
+  const key = String(ctx.chat.id);
+  const sub = getSubscriptions(st)[key] || newSubscription(key);
+  const { text } = buildDigest(st, sub, { since: digestSince(key), lang: ctx.lang });
+  await ctx.reply(text, { parse_mode: 'HTML', disable_web_page_preview: true });
 });
 
-bot.command('announce_open_now', async (ctx) => {
+// Anyone may pick the language of their own DM; in groups it is an admin call
+bot.command('lang', async (ctx) => {
+  const arg = (ctx.message.text || '').trim().split(/\s+/)[1]?.toLowerCase();
+  const languages = LANGUAGES.join('|');
+  if (!arg) {
+    await ctx.reply(tr(ctx, 'lang.current', { name: tr(ctx, 'lang.name'), languages }));
+    return;
+  }
+  if (!isLanguage(arg)) { await ctx.reply(tr(ctx, 'lang.usage', { languages })); return; }
+  if (ctx.chat.type !== 'private') return requireAdmin(ctx, () => setChatLang(ctx, arg));
+  await setChatLang(ctx, arg);
+});
+
+async function setChatLang(ctx, lang) {
+  setChatPreference('chatLanguages', ctx.chat.id, lang === DEFAULT_LANG ? null : lang);
+  ctx.lang = lang;
+  console.log(`[lang] chat ${ctx.chat.id} → ${lang} by ${describeCaller(ctx)}`);
+  await ctx.reply(tr(ctx, 'lang.set', { name: tr(ctx, 'lang.name') }));
+}
+
+// Where close times are shown for this chat; same permissions as /lang
+bot.command('tz', async (ctx) => {
+  const arg = (ctx.message.text || '').trim().split(/\s+/)[1];
+  if (!arg) {
+    await ctx.reply(tr(ctx, 'tz.current', { tz: ctx.tz, time: fmtDateTime(Date.now(), ctx.tz, ctx.lang), default: TZ }));
+    return;
+  }
+  const reset = /^(reset|default)$/i.test(arg);
+  if (!reset && !isValidTimeZone(arg)) { await ctx.reply(`${tr(ctx, 'digest.badTimezone', { value: arg })}\n${tr(ctx, 'tz.usage')}`); return; }
+  if (ctx.chat.type !== 'private') return requireAdmin(ctx, () => setChatTz(ctx, reset ? null : arg));
+  await setChatTz(ctx, reset ? null : arg);
+});
+
+async function setChatTz(ctx, tz) {
+  // Normalized so "europe/madrid" is stored the way Intl spells it
+  const zone = tz && new Intl.DateTimeFormat('en-US', { timeZone: tz }).resolvedOptions().timeZone;
+  setChatPreference('chatTimezones', ctx.chat.id, zone);
+  ctx.tz = zone || TZ;
+  console.log(`[tz] chat ${ctx.chat.id} → ${ctx.tz} by ${describeCaller(ctx)}`);
+  await ctx.reply(tr(ctx, 'tz.set', { tz: ctx.tz, time: fmtDateTime(Date.now(), ctx.tz, ctx.lang) }));
+}
+
+bot.command('announce_open_now', requireAdmin, async (ctx) => {
   const parts = (ctx.message.text || '').trim().split(/\s+/);
   const limit = Math.max(1, Math.min(parseInt(parts[1] || '3', 10) || 3, 20));
-  const { active } = await fetchMarketsFromSections({ debug: false });
+  const { active } = await source.fetchList({ debug: false });
+  const state = loadState();
   let count = 0;
   for (const card of active.slice(0, limit)) {
-    const detail = await scrapeMarketDetail(card.url, { debug: dbg });
+    const detail = await source.fetchDetail(card.url, { debug: dbg });
     const merged = {
       ...card,
       id: card.id || detail?.id,
@@ -939,70 +2180,404 @@ bot.command('announce_open_now', async (ctx) => {
       title: (detail?.title || 'Unknown').toUpperCase(),
       options: (card.options?.length ? card.options : detail?.options || [])
     };
-    await send(fmtNewMarket(merged), 'OPEN(TEST)');
-    const st = loadState();
-    st.markets[merged.id] = {
-      ...(st.markets[merged.id] || {}),
+    // A fresh key each time: this is a deliberate re-post, not a retry
+    const photo = await announcementPhoto(state, 'open', merged);
+    announce(state, 'open', merged, (lang, tz) => fmtNewMarket(merged, lang, tz), { key: `open@${Date.now()}`, card: photo });
+    store.putMarket(merged.id, {
+      ...(store.getMarket(merged.id) || {}),
       announcedOpen: true,
       lastStatus: 'open',
       url: merged.url,
       missingCount: 0,
       wasTrending: false,
-      lastSeen: { title: merged.title, category: merged.category, endsIn: merged.endsIn, options: merged.options }
-    };
-    saveState(st);
+      lastSeen: { title: merged.title, category: merged.category, endsIn: merged.endsIn, closeISO: detail?.closeISO || '', closeText: detail?.closeText || '', options: merged.options }
+    });
     count++;
   }
-  await ctx.reply(`Announced ${count} open market(s) to target chat.`);
+  await ctx.reply(tr(ctx, 'announceOpenNow.queued', { count }));
 });
 
-bot.command('tick_now', async (ctx) => {
+bot.command('tick_now', requireAdmin, async (ctx) => {
   try {
-    await ctx.reply('Tick started…');
+    await ctx.reply(tr(ctx, 'tick.started'));
     await tick();
-    await ctx.reply('Tick finished.');
+    await ctx.reply(tr(ctx, 'tick.finished'));
   } catch (e) {
-    await ctx.reply(`Tick error: ${e.message || e}`);
+    await ctx.reply(tr(ctx, 'tick.error', { error: e.message || e }));
   }
 });
 
 bot.command('state', async (ctx) => {
   try {
     const s = summarizeState(loadState());
-    await ctx.reply(
-      `seeded: ${s.seeded}\n` +
-      `target: ${s.targetChatId}\n` +
-      `tracked: ${s.total}\n` +
-      `statuses: open=${s.open}, closed=${s.closed}, resolved=${s.resolved}, retired=${s.retired}\n` +
-      `announced: open=${s.aO}, closed=${s.aC}, resolved=${s.aR}`
-    );
+    await ctx.reply(tr(ctx, 'state.summary', { ...s, target: s.targetChatId }));
   } catch {
-    await ctx.reply('state read error');
+    await ctx.reply(tr(ctx, 'state.error'));
+  }
+});
+
+bot.command('reseed_off', requireAdmin, async (ctx) => {
+  store.setSetting('seeded', true);
+  await ctx.reply(tr(ctx, 'reseedOff.ok'));
+});
+
+bot.command('odds_config', requireAdmin, async (ctx) => {
+  const args = (ctx.message.text || '').replace(/^\/\S+\s*/, '');
+  const st = loadState();
+  const updates = {};
+  for (const [, key, val] of args.matchAll(/(\w+)\s*=\s*(\S*)/g)) {
+    const k = key.toLowerCase();
+    if (!['points', 'window', 'cooldown'].includes(k)) {
+      await ctx.reply(tr(ctx, 'oddsConfig.unknown', { key }));
+      return;
+    }
+    if (!/^\d+$/.test(val)) {
+      await ctx.reply(tr(ctx, 'oddsConfig.notNumber', { key, value: val }));
+      return;
+    }
+    updates[k] = parseInt(val, 10);
+  }
+  if ((updates.points ?? 1) < 1 || (updates.window ?? 1) < 1) {
+    await ctx.reply(tr(ctx, 'oddsConfig.min'));
+    return;
+  }
+  if (Object.keys(updates).length) {
+    st.settings = { ...(st.settings || {}), odds: { ...(st.settings?.odds || {}), ...updates } };
+    saveState(st);
+  }
+  const o = getOddsSettings(st);
+  await ctx.reply(tr(ctx, 'oddsConfig.current', o));
+});
+
+bot.command('reminders', requireAdmin, async (ctx) => {
+  const arg = (ctx.message.text || '').replace(/^\/\S+\s*/, '').trim();
+  const st = loadState();
+  if (arg) {
+    const leads = parseLeadMinutes(arg);
+    if (!leads.length && !/^(off|none|0)$/i.test(arg)) {
+      await ctx.reply(tr(ctx, 'reminders.usage'));
+      return;
+    }
+    st.settings = { ...(st.settings || {}), reminders: { leads } };
+    saveState(st);
+    scheduleReminders(st);
+  }
+  const leads = getReminderLeads(st);
+  await ctx.reply(leads.length
+    ? tr(ctx, 'reminders.current', { leads: leads.map(l => fmtLeadTime(l, ctx.lang)).join(', ') })
+    : tr(ctx, 'reminders.off'));
+});
+
+bot.command('admin_add', requireOwner, async (ctx) => {
+  const id = commandTargetUserId(ctx);
+  if (!id) { await ctx.reply(tr(ctx, 'admin.addUsage')); return; }
+  const st = loadState();
+  const admins = getAdminIds(st);
+  if (isOwner(id) || admins.includes(id)) { await ctx.reply(tr(ctx, 'admin.already', { id })); return; }
+  st.admins = [...admins, id];
+  saveState(st);
+  console.log(`[auth] admin added ${id} by ${describeCaller(ctx)}`);
+  await ctx.reply(tr(ctx, 'admin.added', { id }));
+});
+
+bot.command('admin_remove', requireOwner, async (ctx) => {
+  const id = commandTargetUserId(ctx);
+  if (!id) { await ctx.reply(tr(ctx, 'admin.removeUsage')); return; }
+  if (isOwner(id)) { await ctx.reply(tr(ctx, 'admin.isOwner', { id })); return; }
+  const st = loadState();
+  const admins = getAdminIds(st);
+  if (!admins.includes(id)) { await ctx.reply(tr(ctx, 'admin.notAdmin', { id })); return; }
+  st.admins = admins.filter(a => a !== id);
+  saveState(st);
+  console.log(`[auth] admin removed ${id} by ${describeCaller(ctx)}`);
+  await ctx.reply(tr(ctx, 'admin.removed', { id }));
+});
+
+bot.command('admins', requireAdmin, async (ctx) => {
+  const admins = getAdminIds(loadState());
+  await ctx.reply(tr(ctx, 'admin.list', {
+    owners: [...OWNER_IDS].join(', ') || '—',
+    admins: admins.join(', ') || '—',
+    chatAdmins: tr(ctx, chatAdminsAllowed ? 'common.yes' : 'common.no'),
+  }));
+});
+
+// /outbox                   queue counts and the latest dead letters
+// /outbox retry <id|all>    put dead letters back in the queue
+// /outbox drop <id|all>     forget dead letters
+bot.command('outbox', requireAdmin, async (ctx) => {
+  const [action, target] = (ctx.message.text || '').replace(/^\/\S+\s*/, '').trim().split(/\s+/);
+  if (action === 'retry' || action === 'drop') {
+    const id = target === 'all' ? null : parseInt(target, 10);
+    if (id !== null && !Number.isFinite(id)) { await ctx.reply(tr(ctx, 'outbox.usageFor', { action })); return; }
+    const n = action === 'retry' ? store.requeueDead(id) : store.dropDead(id);
+    console.log(`[outbox] ${action} ${target} → ${n} item(s) by ${describeCaller(ctx)}`);
+    if (action === 'retry' && n) outbox.drain();
+    await ctx.reply(tr(ctx, action === 'retry' ? 'outbox.requeued' : 'outbox.dropped', { count: n }));
+    return;
+  }
+  if (action) { await ctx.reply(tr(ctx, 'outbox.usage')); return; }
+
+  const { pending, sent, dead } = store.outboxStats();
+  const lines = [tr(ctx, 'outbox.summary', { pending, sent, dead })];
+  for (const d of store.deadLetters(10)) {
+    lines.push(`#${d.id} ${fmtDateTime(d.updatedAt, ctx.tz, ctx.lang)} chat ${d.chatId} ${d.event}${d.marketId ? ` market ${d.marketId}` : ''} — ${d.lastError || 'unknown error'}`);
+  }
+  if (dead) lines.push(tr(ctx, 'outbox.hint'));
+  await ctx.reply(lines.join('\n'));
+});
+
+// Used for /template previews so every placeholder has something to show
+const templateSample = (lang) => ({
+  id: 'sample', title: t(lang, 'template.sampleTitle'), category: 'NBA', status: 'open',
+  closeISO: new Date(Date.now() + 3 * 3600_000 + 60_000).toISOString(),
+  options: [{ label: 'Lakers', pct: 62 }, { label: 'Celtics', pct: 38 }], winner: 'Lakers',
+  url: `${AURACLE_BASE_URL.replace(/\/+$/, '')}/MarketDetails?id=sample`,
+});
+const templateUsage = (ctx) => tr(ctx, 'template.usage', {
+  events: TEMPLATE_EVENTS.join('|'),
+  fields: TEMPLATE_FIELDS.map(f => `{${f}}`).join(' '),
+});
+
+function updateChatTemplates(chatId, fn) {
+  const st = loadState();
+  const sub = getSubscriptions(st)[chatId];
+  if (!sub) return;
+  const templates = fn({ ...(sub.templates || {}) });
+  if (Object.keys(templates).length) sub.templates = templates;
+  else delete sub.templates;
+  saveState(st);
+}
+
+async function replyTemplatePreview(ctx, event, source) {
+  const sample = templateSample(ctx.lang);
+  await ctx.reply(renderEventTemplate(event, sample, { lang: ctx.lang, tz: ctx.tz, source }), { parse_mode: 'HTML', disable_web_page_preview: true });
+}
+
+bot.command('template', requireAdmin, async (ctx) => {
+  const m = (ctx.message.text || '').match(/^\/\S+[ \t]*(\w*)[ \t]*(\w*)[ \t]*\n?([\s\S]*)$/);
+  const [, action, event, body] = m || [];
+  if (!['set', 'show', 'reset'].includes(action) || !(TEMPLATE_EVENTS.includes(event) || (action === 'reset' && event === 'all'))) {
+    await ctx.reply(templateUsage(ctx));
+    return;
+  }
+  const key = String(ctx.chat.id);
+  const sub = getSubscriptions(loadState())[key];
+  if (!sub && action !== 'show') { await ctx.reply(tr(ctx, 'common.notSubscribed')); return; }
+
+  if (action === 'show') {
+    const own = sub?.templates?.[event];
+    const source = own || defaultTemplate(event, ctx.lang);
+    await ctx.reply(`${tr(ctx, own ? 'template.showCustom' : 'template.showDefault', { event })}\n\n${source}`);
+    await replyTemplatePreview(ctx, event, source);
+    return;
   }
+
+  if (action === 'reset') {
+    updateChatTemplates(key, (templates) => { if (event === 'all') return {}; delete templates[event]; return templates; });
+    await ctx.reply(event === 'all' ? tr(ctx, 'template.resetAll') : tr(ctx, 'template.resetOne', { event }));
+    return;
+  }
+
+  const source = body.trim();
+  if (!source) { await ctx.reply(templateUsage(ctx)); return; }
+  try {
+    parseTemplate(source, { known: TEMPLATE_FIELDS });
+    checkTelegramHtml(source);
+  } catch (e) {
+    if (!(e instanceof TemplateError)) throw e;
+    await ctx.reply(tr(ctx, 'template.invalid', { error: e.message }));
+    return;
+  }
+  // Telegram is the final judge of the HTML; only keep what it accepted
+  try {
+    await replyTemplatePreview(ctx, event, source);
+  } catch (e) {
+    await ctx.reply(tr(ctx, 'template.rejected', { error: e?.response?.description || e.message }));
+    return;
+  }
+  updateChatTemplates(key, (templates) => ({ ...templates, [event]: source }));
+  console.log(`[template] ${event} set for chat ${key} by ${describeCaller(ctx)}`);
+  await ctx.reply(tr(ctx, 'template.saved', { event }));
 });
 
-bot.command('reseed_off', async (ctx) => {
-  const st = loadState(); st.seeded = true; saveState(st);
-  await ctx.reply('Seeding disabled (seeded=true).');
+/* =========================
+   INLINE MODE
+   ========================= */
+// "@bot lakers" from any chat. Inline mode has to be switched on once with
+// BotFather (/setinline) for Telegram to deliver these queries.
+const INLINE_CACHE_TTL_MS = 30_000;
+const INLINE_PAGE = 20;
+const inlineCache = new Map(); // normalized query -> { at, ranked }
+
+// Every query word must appear in the title, category or an option label.
+// Live markets rank first; closed, retired and no-longer-listed ones sink.
+function searchMarkets(markets = {}, query = '') {
+  const words = query.trim().toUpperCase().split(/\s+/).filter(Boolean);
+  const out = [];
+  for (const [id, mk] of Object.entries(markets)) {
+    const seen = mk.lastSeen;
+    if (!seen?.title) continue;
+    const title = seen.title.toUpperCase();
+    const cat   = (seen.category || '').toUpperCase();
+    const opts  = (seen.options || []).map(o => (o.label || '').toUpperCase());
+
+    let score = 0;
+    let matched = true;
+    for (const w of words) {
+      if (title.includes(w))                 score += title.split(/\W+/).some(t => t.startsWith(w)) ? 4 : 3;
+      else if (cat.includes(w))              score += 2;
+      else if (opts.some(o => o.includes(w))) score += 1;
+      else { matched = false; break; }
+    }
+    if (!matched) continue;
+
+    if (mk.lastStatus === 'open' && !mk.retired) score += 10;
+    else if (mk.lastStatus === 'closed')          score += 3;
+    if (mk.retired) score -= 5;
+    score -= Math.min(5, mk.missingCount || 0);
+    out.push({ id, mk, score });
+  }
+  return out.sort((a, b) => b.score - a.score);
+}
+
+// Inline queries come from no chat: answer in the asking user's app language
+function inlineLang(from) {
+  const code = String(from?.language_code || '').slice(0, 2).toLowerCase();
+  return isLanguage(code) ? code : DEFAULT_LANG;
+}
+
+function inlineResult({ id, mk }, lang = DEFAULT_LANG) {
+  const m = { ...mk.lastSeen, id, url: mk.url, status: mk.lastStatus, winner: mk.winner };
+  const live = mk.lastStatus === 'open' && !mk.retired;
+  const lead = [...(m.options || [])].filter(o => o.pct != null).sort((a, b) => b.pct - a.pct)[0];
+  return {
+    type: 'article',
+    id: String(id).slice(0, 64),
+    title: m.title,
+    description: [
+      t(lang, live ? 'inline.live' : mk.lastStatus === 'resolved' || mk.retired ? 'inline.resolved' : 'inline.closed'),
+      m.category,
+      lead ? `${lead.label} ${lead.pct}%` : '',
+    ].filter(Boolean).join(' · '),
+    input_message_content: {
+      message_text: live ? fmtNewMarket(m, lang) : fmtMarketStatus(m, lang),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    },
+    reply_markup: { inline_keyboard: [[{ text: t(lang, 'card.open'), url: m.url }]] },
+  };
+}
+
+bot.on('inline_query', async (ctx) => {
+  const query  = (ctx.inlineQuery.query || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  const offset = parseInt(ctx.inlineQuery.offset || '0', 10) || 0;
+  try {
+    let cached = inlineCache.get(query);
+    if (!cached || Date.now() - cached.at > INLINE_CACHE_TTL_MS) {
+      cached = { at: Date.now(), ranked: searchMarkets(loadState().markets, query) };
+      inlineCache.set(query, cached);
+      if (inlineCache.size > 200) inlineCache.delete(inlineCache.keys().next().value);
+    }
+    const page = cached.ranked.slice(offset, offset + INLINE_PAGE);
+    const nextOffset = offset + INLINE_PAGE < cached.ranked.length ? String(offset + INLINE_PAGE) : '';
+    const lang = inlineLang(ctx.from);
+    await ctx.answerInlineQuery(page.map(r => inlineResult(r, lang)), {
+      cache_time: INLINE_CACHE_TTL_MS / 1000,
+      // Results are in the user's language, so Telegram must not share them
+      is_personal: true,
+      next_offset: nextOffset,
+    });
+  } catch (e) {
+    console.error('[inline] error', e?.response?.description || e.message);
+  }
 });
 
 /* =========================
    BOOT + LOOP
    ========================= */
+// Webhook mode when a public URL is configured: Telegram posts updates to a
+// secret path on our own HTTP server. BOT_MODE=polling forces long polling.
+const webhook = resolveWebhook();
+
+function resolveWebhook() {
+  const mode = String(BOT_MODE).toLowerCase();
+  if (mode === 'polling') return null;
+  if (mode !== 'auto' && mode !== 'webhook') console.warn(`[webhook] unknown BOT_MODE "${BOT_MODE}", treating it as auto`);
+  if (!WEBHOOK_URL) {
+    if (mode === 'webhook') console.warn('[webhook] BOT_MODE=webhook but WEBHOOK_URL is not set: falling back to polling');
+    return null;
+  }
+  // Answering inside the webhook response hides API errors and message ids; always call the API
+  bot.telegram.webhookReply = false;
+  const hookPath = `/telegraf/${bot.secretPathComponent()}`;
+  const secretToken = WEBHOOK_SECRET ||
+    crypto.createHash('sha256').update(`webhook-secret:${TELEGRAM_BOT_TOKEN}`).digest('hex');
+  return {
+    url: `${WEBHOOK_URL.replace(/\/+$/, '')}${hookPath}`,
+    path: hookPath,
+    secretToken,
+  };
+}
+
+const sameSecret = (given, secret) => {
+  const a = Buffer.from(String(given || '')), b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Telegram sends an update again when the answer is slow, and handlers like
+// /tick_now take minutes: acknowledge as soon as the update is read and handle
+// it afterwards. A failed update is logged, not delivered again.
+async function handleWebhook(req, res) {
+  if (req.method !== 'POST' || !sameSecret(req.headers['x-telegram-bot-api-secret-token'], webhook.secretToken)) {
+    console.warn(`[webhook] rejected ${req.method} from ${req.socket.remoteAddress}: bad method or secret token`);
+    res.writeHead(403).end();
+    return;
+  }
+  let update;
+  try {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    update = JSON.parse(body);
+  } catch {
+    res.writeHead(415).end();
+    return;
+  }
+  res.writeHead(200).end();
+  bot.handleUpdate(update).catch((e) => {
+    console.error('[webhook] update failed:', e?.response?.description || e?.message || e);
+  });
+}
+
+const COMMANDS = [
+  'ping', 'health', 'markets', 'market', 'chart', 'whereami', 'set_target',
+  'subscribe', 'unsubscribe', 'subscriptions', 'digest', 'digest_now', 'lang', 'tz',
+  'announce_open_now', 'tick_now', 'state', 'reseed_off', 'odds_config', 'reminders',
+  'admin_add', 'admin_remove', 'admins', 'outbox', 'template', 'watch', 'unwatch', 'watchlist',
+  'game', 'leaderboard', 'mypicks',
+];
+
+// English is the default menu; Telegram shows the others by the user's app language
+async function registerCommands() {
+  const menu = (lang) => COMMANDS.map(command => ({ command, description: t(lang, `cmd.${command}`) }));
+  await bot.telegram.setMyCommands(menu(DEFAULT_LANG));
+  for (const lang of LANGUAGES.filter(l => l !== DEFAULT_LANG)) {
+    await bot.telegram.setMyCommands(menu(lang), { language_code: lang });
+  }
+}
+
 (async () => {
   try {
-    await bot.launch();
-    console.log('✅ Bot running');
-    await bot.telegram.setMyCommands([
-      { command: 'ping', description: 'Ping the bot' },
-      { command: 'health', description: 'Active/Trending counts (titles from details)' },
-      { command: 'whereami', description: 'Show current & target chat' },
-      { command: 'set_target', description: 'Set target chat id or "here"' },
-      { command: 'announce_open_now', description: 'Announce N open markets now (from Active)' },
-      { command: 'tick_now', description: 'Run a tick immediately' },
-      { command: 'state', description: 'Show tracked/announced counts' },
-      { command: 'reseed_off', description: 'Mark seeded=true (skip first-run announcements)' },
-    ]);
+    if (webhook) {
+      bot.botInfo ??= await bot.telegram.getMe();
+      await bot.telegram.setWebhook(webhook.url, { secret_token: webhook.secretToken });
+      console.log(`✅ Bot running (webhook via ${WEBHOOK_URL})`);
+    } else {
+      // launch() only settles once polling stops, so finish booting from onLaunch
+      bot.launch(() => console.log('✅ Bot running (long polling)'))
+        .catch((e) => console.error('[bot] launch error:', e?.response?.description || e?.message || e));
+    }
+    await registerCommands();
   } catch (e) {
     console.error('[bot] launch error:', e?.message || e);
   }
@@ -1015,6 +2590,9 @@ setInterval(() => {
 
 // self scheduler
 const intervalSec = Math.max(5, parseInt(POLL_INTERVAL_SECONDS || '30', 10));
+if (!OWNER_IDS.size && !chatAdminsAllowed) {
+  console.warn('[auth] no BOT_OWNER_IDS set and ALLOW_CHAT_ADMINS off: admin commands are locked until state.admins is populated');
+}
 console.log(`[HTTP] listening on ${PORT}`);
 console.log(`[loop] every ${intervalSec}s (TZ=${TZ})`);
 async function loopTick() {
@@ -1022,13 +2600,41 @@ async function loopTick() {
   catch (e) { console.error('[loop] tick error:', e?.message || e); }
   finally { setTimeout(loopTick, intervalSec * 1000); }
 }
+scheduleReminders(loadState());
+scheduleDigests();
+outbox.start();
+const queued = store.outboxStats();
+if (queued.pending || queued.dead) console.log(`[outbox] ${queued.pending} pending, ${queued.dead} dead letter(s)`);
 loopTick();
 
 /* =========================
    HTTP SERVER
    ========================= */
+const api = createApi({
+  store,
+  apiKeys: API_KEYS.split(',').map(s => s.trim()).filter(Boolean),
+  corsOrigin: API_CORS_ORIGIN,
+  eventTypes: [...EVENT_TYPES, 'digest'],
+});
+
 const server = http.createServer(async (req, res) => {
-  if (req.url === '/status') {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (webhook && pathname === webhook.path) {
+    await handleWebhook(req, res);
+    return;
+  }
+  if (pathname === '/metrics') {
+    if (METRICS_TOKEN && req.headers.authorization !== `Bearer ${METRICS_TOKEN}`) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' });
+      res.end('unauthorized\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+    res.end(metrics.render());
+    return;
+  }
+  if (api.handle(req, res)) return;
+  if (pathname === '/status') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     const st = loadState();
     res.end(JSON.stringify({ ok: true, now: new Date().toISOString(), ...summarizeState(st) }));
@@ -1041,5 +2647,19 @@ server.listen(PORT, () => console.log(`[http] listening on :${PORT}`));
 
 process.on('unhandledRejection', (r) => console.error('[unhandledRejection]', r));
 process.on('uncaughtException',  (e) => console.error('[uncaughtException]', e));
-process.once('SIGINT',  async () => { try { if (browser) await browser.close(); } catch {} bot.stop('SIGINT');  server.close(); });
-process.once('SIGTERM', async () => { try { if (browser) await browser.close(); } catch {} bot.stop('SIGTERM'); server.close(); });
+// Only remove the webhook if it is still ours; another deployment may have taken over
+async function stopBot(signal) {
+  if (!webhook) { bot.stop(signal); return; }
+  try {
+    const info = await bot.telegram.getWebhookInfo();
+    if (info.url === webhook.url) {
+      await bot.telegram.deleteWebhook();
+      console.log('[webhook] removed');
+    }
+  } catch (e) {
+    console.error('[webhook] could not remove webhook:', e?.response?.description || e?.message || e);
+  }
+}
+
+process.once('SIGINT',  async () => { try { stopDigests(); await outbox.stop(); await source.close(); await closeBrowser(); } catch {} await stopBot('SIGINT');  server.close(); store.close(); });
+process.once('SIGTERM', async () => { try { stopDigests(); await outbox.stop(); await source.close(); await closeBrowser(); } catch {} await stopBot('SIGTERM'); server.close(); store.close(); });
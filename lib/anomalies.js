@@ -0,0 +1,152 @@
+/* =========================
+   SCRAPER ANOMALIES
+   =========================
+   When Auracle changes its markup the scrapers rarely throw: the list comes
+   back empty, odds come back null, statuses go backwards. inspectTick looks
+   at one tick next to a baseline taken from healthy ticks and lists what
+   looks wrong; nextHealth carries that from tick to tick and decides when the
+   scraper counts as broken, which findings are worth an alert, and when it
+   has recovered.
+
+   Findings are { code, vars, url? }: the text lives in the ops.<code> catalog
+   entries, url is the page worth a snapshot.
+*/
+export const ANOMALY_DEFAULTS = {
+  minListed:     3,    // the baseline list must be this long before an empty one is news
+  minSample:     3,    // fewer scraped details than this say nothing about shares
+  missingJump:   0.3,  // share of details without odds or a title, above the baseline's
+  sumTolerance:  15,   // implied percentages may add up to 100 ± this
+  sumShare:      0.5,  // share of markets with odds that must be off before it counts
+  timeoutStreak: 3,    // ticks in a row with navigation timeouts
+  believeAfter:  3,    // scrapes in a row showing the same earlier status before it is taken as real
+  recoverAfter:  2,    // clean ticks before the scraper counts as fixed
+  realertMs:     60 * 60_000, // the same finding is not alerted again sooner than this
+};
+
+const STATUS_RANK = { open: 0, closed: 1, resolved: 2 };
+
+export const isTimeout = (e) => e?.name === 'TimeoutError' || /timeout|timed out/i.test(String(e?.message || e || ''));
+
+const hasOdds = (d) => d.options?.length >= 2 && d.options.every(o => o.pct != null);
+const pct = (share) => Math.round(share * 100);
+
+/**
+ * listed:   cards on the market list (trending + active), null if the list failed
+ * details:  detail pages scraped this tick (not the ones filled in from cards)
+ * failures: [{ url, error }] from this tick's scrapes
+ * markets:  state.markets as they were before the tick
+ * health:   the previous nextHealth result
+ * → { findings, regressed: Set of market ids, accepted: [market id], sample }
+ * where sample feeds nextHealth. A market that keeps showing the same earlier
+ * status (a closed market whose close date moved) is believed after
+ * believeAfter scrapes: it lands in accepted and is no longer a finding.
+ */
+export function inspectTick({ listed = null, details = [], failures = [], markets = {}, health = {}, settings = {} }) {
+  const { minListed, minSample, missingJump, sumTolerance, sumShare, timeoutStreak, believeAfter } = { ...ANOMALY_DEFAULTS, ...settings };
+  const baseline = health.baseline || {};
+  const findings = [];
+
+  if (listed === 0 && baseline.listed >= minListed) {
+    findings.push({ code: 'listEmpty', vars: { usual: baseline.listed } });
+  }
+
+  let missingShare = null;
+  if (details.length >= minSample) {
+    const noTitle = details.filter(d => !d.title?.trim());
+    const noOdds = details.filter(d => !hasOdds(d));
+    const missing = details.filter(d => !d.title?.trim() || !hasOdds(d));
+    missingShare = missing.length / details.length;
+    if (missingShare - (baseline.missingShare || 0) >= missingJump) {
+      findings.push({
+        code: 'missingFields', url: missing[0].url,
+        vars: { noOdds: noOdds.length, noTitle: noTitle.length, total: details.length, usual: pct(baseline.missingShare || 0) },
+      });
+    }
+  }
+
+  const withOdds = details.filter(d => d.status === 'open' && hasOdds(d));
+  const off = withOdds.filter(d => Math.abs(d.options.reduce((a, o) => a + o.pct, 0) - 100) > sumTolerance);
+  if (withOdds.length >= minSample && off.length / withOdds.length >= sumShare) {
+    const sum = off[0].options.reduce((a, o) => a + o.pct, 0);
+    findings.push({ code: 'oddsSum', url: off[0].url, vars: { off: off.length, total: withOdds.length, example: off[0].id, sum } });
+  }
+
+  // Markets not scraped this tick keep their count
+  const regressions = { ...(health.regressions || {}) };
+  const regressed = new Set();
+  const accepted = [];
+  const examples = [];
+  for (const d of details) {
+    const was = markets[d.id]?.lastStatus;
+    if (!(was in STATUS_RANK) || !(d.status in STATUS_RANK) || STATUS_RANK[d.status] >= STATUS_RANK[was]) {
+      delete regressions[d.id];
+      continue;
+    }
+    const seen = regressions[d.id]?.to === d.status ? regressions[d.id].seen + 1 : 1;
+    if (seen >= believeAfter) {
+      delete regressions[d.id];
+      accepted.push(d.id);
+      continue;
+    }
+    regressions[d.id] = { to: d.status, seen };
+    regressed.add(d.id);
+    examples.push({ d, was });
+  }
+  if (examples.length) {
+    const { d, was } = examples[0];
+    findings.push({ code: 'statusRegression', url: d.url, vars: { count: examples.length, example: d.id, from: was, to: d.status } });
+  }
+
+  const timeouts = failures.filter(f => isTimeout(f.error));
+  const streak = timeouts.length ? (health.timeoutStreak || 0) + 1 : 0;
+  if (streak >= timeoutStreak) {
+    findings.push({ code: 'timeouts', url: timeouts[0].url, vars: { count: timeouts.length, ticks: streak } });
+  }
+
+  return { findings, regressed, accepted, sample: { listed, missingShare, timeoutStreak: streak, regressions } };
+}
+
+/**
+ * → { health, alert, recovered }. health is what to keep for the next tick;
+ * alert is the findings not alerted within realertMs; recovered is true on
+ * the tick the scraper stops counting as broken. Only clean ticks move the
+ * baseline, so a breakage that lasts keeps being found.
+ */
+export function nextHealth(health = {}, { findings = [], sample = {}, now = Date.now(), settings = {} } = {}) {
+  const { recoverAfter, realertMs } = { ...ANOMALY_DEFAULTS, ...settings };
+  const next = {
+    baseline: health.baseline || null,
+    timeoutStreak: sample.timeoutStreak || 0,
+    regressions: sample.regressions || health.regressions || {},
+    cleanStreak: 0,
+    broken: !!health.broken,
+    since: health.since || null,
+    alertedAt: { ...(health.alertedAt || {}) },
+  };
+
+  if (findings.length) {
+    if (!next.broken) { next.broken = true; next.since = now; }
+    const alert = findings.filter(f => !(now - (next.alertedAt[f.code] || 0) < realertMs));
+    for (const f of alert) next.alertedAt[f.code] = now;
+    return { health: next, alert, recovered: false };
+  }
+
+  // A list that failed to load says nothing either way
+  if (sample.listed == null) {
+    next.cleanStreak = health.cleanStreak || 0;
+    return { health: next, alert: [], recovered: false };
+  }
+  next.cleanStreak = (health.cleanStreak || 0) + 1;
+  next.baseline = {
+    listed: sample.listed,
+    missingShare: sample.missingShare ?? next.baseline?.missingShare ?? 0,
+  };
+  let recovered = false;
+  if (next.broken && next.cleanStreak >= recoverAfter) {
+    recovered = true;
+    next.broken = false;
+    next.since = null;
+    next.alertedAt = {};
+  }
+  return { health: next, alert: [], recovered };
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+
+/* =========================
+   REST API (read-only)
+   =========================
+     GET /markets?status=&category=&limit=&offset=   tracked markets, soonest close first
+     GET /markets/:id                                  one market with snapshots and flags
+     GET /events?market=&event=&limit=&before=         recent announcements, newest first
+
+   Every request needs an X-API-Key header (or Authorization: Bearer) matching
+   one of apiKeys. With no keys configured the API answers 503. Responses are
+   JSON; errors are { error, message }.
+*/
+export const MARKET_STATUSES = ['all', 'open', 'closed', 'resolved', 'trending'];
+const MAX_LIMIT = 200;
+
+export function createApi({ store, apiKeys = [], corsOrigin = '*', eventTypes = [] }) {
+  const keys = apiKeys.map(k => Buffer.from(k));
+
+  function authorized(req) {
+    const given = req.headers['x-api-key'] || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!given) return false;
+    const buf = Buffer.from(String(given));
+    return keys.some(k => k.length === buf.length && crypto.timingSafeEqual(k, buf));
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Headers': 'X-API-Key, Authorization',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Max-Age': '600',
+      'Vary': 'Origin',
+      ...(body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+      ...headers,
+    });
+    res.end(body === null ? undefined : JSON.stringify(body));
+  }
+  const fail = (res, status, error, message) => send(res, status, { error, message });
+
+  // Returns false when the path is not an API route, so the caller can serve it
+  function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = matchRoute(url.pathname);
+    if (!route) return false;
+
+    if (req.method === 'OPTIONS') { send(res, 204, null); return true; }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      fail(res, 405, 'method_not_allowed', 'Only GET is supported');
+      return true;
+    }
+    if (!keys.length) { fail(res, 503, 'api_disabled', 'Set API_KEYS to enable the API'); return true; }
+    if (!authorized(req)) {
+      fail(res, 401, 'unauthorized', 'Missing or invalid API key');
+      return true;
+    }
+
+    try {
+      const out = route.name === 'markets' ? listMarkets(url.searchParams)
+        : route.name === 'market' ? getMarket(route.id)
+        : listEvents(url.searchParams);
+      send(res, out.status || 200, out.body);
+    } catch (e) {
+      if (e instanceof BadRequest) fail(res, 400, 'bad_request', e.message);
+      else {
+        console.error('[api] error', req.url, e?.message || e);
+        fail(res, 500, 'internal', 'Something went wrong');
+      }
+    }
+    return true;
+  }
+
+  function listMarkets(params) {
+    const status = (params.get('status') || 'all').toLowerCase();
+    if (!MARKET_STATUSES.includes(status)) throw new BadRequest(`status must be one of ${MARKET_STATUSES.join(', ')}`);
+    const category = (params.get('category') || '').trim().toUpperCase();
+    const limit = intParam(params, 'limit', 50, 1, MAX_LIMIT);
+    const offset = intParam(params, 'offset', 0, 0, Infinity);
+
+    const rows = Object.entries(store.load().markets || {})
+      .filter(([, mk]) => mk.lastSeen?.title)
+      .filter(([, mk]) => status === 'all' || (status === 'trending' ? mk.wasTrending && !mk.retired : mk.lastStatus === status))
+      .filter(([, mk]) => !category || (mk.lastSeen.category || '').toUpperCase().includes(category))
+      .sort(([a, x], [b, y]) => closeMs(x) - closeMs(y) || a.localeCompare(b));
+
+    return {
+      body: {
+        total: rows.length, limit, offset,
+        markets: rows.slice(offset, offset + limit).map(([id, mk]) => marketSummary(id, mk)),
+      },
+    };
+  }
+
+  function getMarket(id) {
+    const mk = store.getMarket(id);
+    if (!mk) return { status: 404, body: { error: 'not_found', message: `No tracked market ${id}` } };
+    return {
+      body: {
+        ...marketSummary(id, mk),
+        lastSeen: mk.lastSeen || null,
+        closedSnapshot: mk.closedSnapshot || null,
+        announced: { open: !!mk.announcedOpen, closed: !!mk.announcedClosed, resolved: !!mk.announcedResolved },
+        missingCount: mk.missingCount || 0,
+      },
+    };
+  }
+
+  function listEvents(params) {
+    const event = params.get('event');
+    if (event && eventTypes.length && !eventTypes.includes(event)) {
+      throw new BadRequest(`event must be one of ${eventTypes.join(', ')}`);
+    }
+    const limit = intParam(params, 'limit', 50, 1, MAX_LIMIT);
+    const beforeId = params.has('before') ? intParam(params, 'before', null, 1, Infinity) : null;
+    const events = store.recentAnnouncements(limit, { marketId: params.get('market') || null, event: event || null, beforeId });
+    return {
+      body: {
+        events,
+        // Pass as ?before= for the next page
+        next: events.length === limit ? events[events.length - 1].id : null,
+      },
+    };
+  }
+
+  return { handle };
+}
+
+class BadRequest extends Error {}
+
+function matchRoute(pathname) {
+  const p = pathname.replace(/\/+$/, '') || '/';
+  if (p === '/markets') return { name: 'markets' };
+  if (p === '/events') return { name: 'events' };
+  const m = p.match(/^\/markets\/([^/]+)$/);
+  if (!m) return null;
+  try { return { name: 'market', id: decodeURIComponent(m[1]) }; }
+  catch { return { name: 'market', id: m[1] }; }
+}
+
+function intParam(params, name, fallback, min, max) {
+  if (!params.has(name)) return fallback;
+  const raw = params.get(name);
+  const n = Number(raw);
+  if (!/^\d+$/.test(raw) || n < min || n > max) {
+    throw new BadRequest(`${name} must be an integer${max === Infinity ? ` >= ${min}` : ` from ${min} to ${max}`}`);
+  }
+  return n;
+}
+
+function closeMs(mk) {
+  const ms = Date.parse(mk.lastSeen?.closeISO || '');
+  return isNaN(ms) ? Infinity : ms;
+}
+
+function marketSummary(id, mk) {
+  const seen = mk.lastSeen || {};
+  return {
+    id,
+    title: seen.title || null,
+    category: seen.category || null,
+    status: mk.lastStatus || 'unknown',
+    url: mk.url || null,
+    closeISO: seen.closeISO || null,
+    closeText: seen.closeText || null,
+    options: seen.options || [],
+    winner: mk.winner || null,
+    trending: !!mk.wasTrending,
+    retired: !!mk.retired,
+  };
+}
@@ -0,0 +1,71 @@
+/* =========================
+   MARKET CARD
+   =========================
+   A branded picture of a market for photo announcements: title, category,
+   an odds bar per option and the winner once resolved. Self-contained like
+   the odds chart, so the headless browser renders it offline and screenshots
+   #card. The text stays language-neutral: the caption carries the words.
+*/
+import { cleanLabel, uniqueOptions } from './util.js';
+
+const W = 1000;
+// Same palette as the odds chart
+const COLORS = ['#a855f7', '#22d3ee', '#facc15'];
+const BADGES = {
+  open:     { text: '● LIVE', color: '#22c55e' },
+  closed:   { text: '■ CLOSED', color: '#f97316' },
+  resolved: { text: '✔ RESOLVED', color: '#38bdf8' },
+};
+
+const esc = (s = '') => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// What the picture shows: two markets (or one market twice) with the same key
+// render the same image
+export function cardKey(m) {
+  const opts = uniqueOptions(m.options || []).map(o => `${o.label}=${o.pct ?? ''}`).join('|');
+  return [m.id, m.status || 'open', m.title || '', m.category || '', opts, m.winner || ''].join('\n');
+}
+
+export function buildCardHtml({ title = '', category = '', status = 'open', options = [], winner = '' }) {
+  const heading = title.length > 110 ? `${title.slice(0, 109)}…` : title;
+  const badge = BADGES[status] || BADGES.open;
+  const won = cleanLabel(String(winner || '')).toUpperCase();
+
+  const bars = uniqueOptions(options).map((o, i) => {
+    const color = COLORS[i % COLORS.length];
+    const pct = o.pct ?? 0;
+    const isWinner = status === 'resolved' && won && o.label.toUpperCase() === won;
+    return `<div class="opt${isWinner ? ' won' : ''}">
+      <div class="row"><span class="label">${isWinner ? '🏆 ' : ''}${esc(o.label)}</span><span class="pct">${o.pct == null ? '?' : `${o.pct}%`}</span></div>
+      <div class="track"><div class="fill" style="width:${pct}%;background:${color}"></div></div>
+    </div>`;
+  }).join('');
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><style>
+  html, body { margin: 0; background: #0f1220; font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; }
+  #card { width: ${W}px; box-sizing: border-box; padding: 36px 44px 40px; color: #e5e7f0;
+    background: linear-gradient(135deg, #161a2e 0%, #0f1220 60%, #1d1233 100%); }
+  .top { display: flex; justify-content: space-between; align-items: center; margin-bottom: 22px; }
+  .brand { font-size: 22px; font-weight: 800; letter-spacing: 6px; color: #a855f7; }
+  .badge { font-size: 16px; font-weight: 700; letter-spacing: 1px; padding: 6px 14px; border-radius: 999px;
+    color: ${badge.color}; border: 2px solid ${badge.color}; }
+  .category { font-size: 18px; color: #8b90a8; text-transform: uppercase; letter-spacing: 2px; margin-bottom: 8px; }
+  h1 { font-size: 38px; line-height: 1.2; margin: 0 0 30px; }
+  .opt { margin-top: 18px; }
+  .row { display: flex; justify-content: space-between; font-size: 24px; margin-bottom: 8px; }
+  .pct { font-weight: 700; }
+  .track { height: 18px; border-radius: 9px; background: #2a2f45; overflow: hidden; }
+  .fill { height: 100%; border-radius: 9px; }
+  .won .label { font-weight: 800; color: #facc15; }
+</style></head><body>
+<div id="card">
+  <div class="top"><span class="brand">AURACLE</span><span class="badge">${badge.text}</span></div>
+  ${category ? `<div class="category">${esc(category)}</div>` : ''}
+  <h1>${esc(heading)}</h1>
+  ${bars}
+</div>
+</body></html>`;
+}
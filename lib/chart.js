@@ -0,0 +1,91 @@
+/* =========================
+   ODDS CHART
+   =========================
+   Builds a self-contained HTML page with an inline SVG line chart of implied
+   probability over time. No external scripts or fonts, so the headless browser
+   can render it offline and screenshot #chart.
+*/
+const W = 1000, H = 520;
+const PAD = { top: 70, right: 30, bottom: 60, left: 60 };
+// Same palette as the purple/cyan/yellow IMPLIED panels on Auracle
+const COLORS = ['#a855f7', '#22d3ee', '#facc15'];
+
+const esc = (s = '') => String(s)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// points: [{ at (ms), options: [{ label, pct }] }] → up to three series by label
+export function seriesFromPoints(points = []) {
+  const byKey = new Map();
+  for (const p of points) {
+    for (const o of p.options || []) {
+      if (!o?.label || o.pct == null) continue;
+      const key = o.label.toUpperCase();
+      if (!byKey.has(key)) {
+        if (byKey.size >= 3) continue;
+        byKey.set(key, { label: o.label, values: [] });
+      }
+      byKey.get(key).values.push({ at: p.at, pct: o.pct });
+    }
+  }
+  return [...byKey.values()];
+}
+
+// The zone goes on the label: one chart can be posted to chats in different zones
+function fmtTime(ms, timeZone) {
+  return new Date(ms).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false, timeZone, timeZoneName: 'short',
+  });
+}
+
+export function buildChartHtml({ title, points = [], timeZone = 'UTC', subtitle = '' }) {
+  const series = seriesFromPoints(points);
+  const heading = title.length > 70 ? `${title.slice(0, 69)}…` : title;
+  const times = points.map(p => p.at);
+  const t0 = Math.min(...times), t1 = Math.max(...times);
+  const span = Math.max(1, t1 - t0);
+  const plotW = W - PAD.left - PAD.right;
+  const plotH = H - PAD.top - PAD.bottom;
+  const x = (t) => PAD.left + ((t - t0) / span) * plotW;
+  const y = (pct) => PAD.top + (1 - pct / 100) * plotH;
+
+  const grid = [0, 25, 50, 75, 100].map(v => `
+    <line x1="${PAD.left}" x2="${W - PAD.right}" y1="${y(v)}" y2="${y(v)}" stroke="#2a2f45" />
+    <text x="${PAD.left - 10}" y="${y(v) + 5}" text-anchor="end" fill="#8b90a8" font-size="14">${v}%</text>`).join('');
+
+  const lines = series.map((s, i) => {
+    const color = COLORS[i % COLORS.length];
+    // A single sample still gets a visible flat line across the plot
+    const vals = s.values.length === 1 ? [s.values[0], { ...s.values[0], at: t0 + span }] : s.values;
+    const d = vals.map((v, j) => `${j ? 'L' : 'M'}${x(v.at).toFixed(1)},${y(v.pct).toFixed(1)}`).join(' ');
+    const last = s.values[s.values.length - 1];
+    return `<path d="${d}" fill="none" stroke="${color}" stroke-width="3" stroke-linejoin="round" />
+      <circle cx="${x(vals[vals.length - 1].at)}" cy="${y(last.pct)}" r="5" fill="${color}" />`;
+  }).join('');
+
+  const legend = series.map((s, i) => {
+    const last = s.values[s.values.length - 1];
+    const lx = PAD.left + i * 300;
+    return `<rect x="${lx}" y="${H - 24}" width="14" height="14" rx="3" fill="${COLORS[i % COLORS.length]}" />
+      <text x="${lx + 22}" y="${H - 12}" fill="#e5e7f0" font-size="15">${esc(s.label)} — ${last.pct}%</text>`;
+  }).join('');
+
+  const axis = times.length ? `
+    <text x="${PAD.left}" y="${H - PAD.bottom + 22}" fill="#8b90a8" font-size="13">${esc(fmtTime(t0, timeZone))}</text>
+    <text x="${W - PAD.right}" y="${H - PAD.bottom + 22}" text-anchor="end" fill="#8b90a8" font-size="13">${esc(fmtTime(t1, timeZone))}</text>` : '';
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><style>
+  html, body { margin: 0; background: #0f1220; font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; }
+</style></head><body>
+<svg id="chart" xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">
+  <rect width="${W}" height="${H}" fill="#0f1220" />
+  <text x="${PAD.left}" y="34" fill="#ffffff" font-size="22" font-weight="700">${esc(heading)}</text>
+  <text x="${PAD.left}" y="56" fill="#8b90a8" font-size="14">${esc(subtitle || 'Implied probability over time')}</text>
+  ${grid}
+  ${lines}
+  ${axis}
+  ${legend}
+</svg>
+</body></html>`;
+}
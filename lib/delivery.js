@@ -0,0 +1,56 @@
+/* =========================
+   DELIVERY BOOKKEEPING
+   =========================
+   The outbox confirms posts while a tick is still running: a tick holds its
+   markets across awaits (cards, charts) and writes them back at the end. So
+   what Telegram confirmed lives in the store, never in the tick's copy:
+
+     - a market the store does not know yet is put there before anything
+       about it is queued (rememberMarket), so its confirmation has a record
+       to land on
+     - confirmDelivery records the open post's message id and flips the
+       market's delivery flag
+     - saveTickMarkets writes the tick's markets back over the store, keeping
+       the confirmations, reminder marks and game picks made meanwhile
+*/
+export const DELIVERY_FLAGS = { open: 'announcedOpen', closed: 'announcedClosed', resolved: 'announcedResolved' };
+
+// → true when the market was new to the store
+export function rememberMarket(store, id, mk) {
+  if (store.getMarket(id)) return false;
+  store.putMarket(id, mk);
+  return true;
+}
+
+// Telegram has the message: log it, remember open posts for threading and
+// flip the market's announced flag. A market deleted meanwhile stays deleted.
+export function confirmDelivery(store, item, message, now = Date.now()) {
+  store.recordAnnouncement({ marketId: item.marketId, chatId: item.chatId, event: item.event, messageId: message?.message_id });
+  if (!item.marketId) return;
+  store.transaction(() => {
+    const mk = store.getMarket(item.marketId);
+    if (!mk) return;
+    if (item.event === 'open' && message?.message_id) {
+      const post = { open: message.message_id, at: new Date(now).toISOString(), ...(item.kind === 'photo' ? { photo: true } : {}) };
+      mk.messages = { ...(mk.messages || {}), [item.chatId]: post };
+    }
+    const flag = DELIVERY_FLAGS[item.event];
+    if (flag) mk[flag] = true;
+    store.putMarket(item.marketId, mk);
+  });
+}
+
+// Markets added by commands mid-tick are left alone; only `removedIds` go.
+// Call inside a store transaction.
+export function saveTickMarkets(store, markets, { removedIds = [] } = {}) {
+  for (const [id, mk] of Object.entries(markets)) {
+    const saved = store.getMarket(id);
+    if (!saved) continue;
+    if (saved.remindersSent) mk.remindersSent = saved.remindersSent;
+    if (saved.messages) mk.messages = saved.messages;
+    if (saved.picks) mk.picks = saved.picks; else delete mk.picks;
+    for (const flag of Object.values(DELIVERY_FLAGS)) if (saved[flag]) mk[flag] = true;
+  }
+  store.saveMarkets(markets, { prune: false });
+  for (const id of removedIds) store.deleteMarket(id);
+}
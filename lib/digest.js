@@ -0,0 +1,110 @@
+import cron from 'node-cron';
+import { isValidTimeZone } from './time.js';
+
+/* =========================
+   DIGESTS
+   =========================
+   A subscribed chat can ask for a periodic summary on its own cron schedule
+   and timezone. collectDigest picks what goes into one: markets opened and
+   resolved since the previous digest, markets closing within a day and the
+   biggest odds moves over the same period. Formatting stays with the other
+   message templates.
+*/
+export const DIGEST_PRESETS = {
+  daily:  '0 9 * * *', // 09:00 every day
+  weekly: '0 9 * * 1', // 09:00 on Mondays
+};
+
+export const DIGEST_DEFAULTS = {
+  closingWithinMs: 24 * 60 * 60 * 1000,
+  maxMovers:       5,
+  minMovePoints:   1,
+};
+
+export { isValidTimeZone };
+
+// "daily", "weekly tz=Europe/Madrid", "30 8 * * 1-5 tz=America/New_York" or "off"
+// → { cron, tz } | { off: true }; throws with a user-facing message, plus
+// code ('badTimezone' | 'badCron') and value for callers that translate it
+export function parseDigestArgs(text = '', { defaultTz = 'UTC' } = {}) {
+  let rest = text.trim();
+  if (/^(off|none|stop)$/i.test(rest)) return { off: true };
+  let tz = defaultTz;
+  const tzMatch = rest.match(/(?:^|\s)(?:tz|timezone)\s*=\s*(\S+)/i);
+  if (tzMatch) {
+    tz = tzMatch[1];
+    rest = rest.replace(tzMatch[0], '').trim();
+  }
+  if (!isValidTimeZone(tz)) {
+    throw Object.assign(new Error(`Unknown timezone "${tz}" (use an IANA name like Europe/Madrid)`), { code: 'badTimezone', value: tz });
+  }
+
+  const expr = DIGEST_PRESETS[rest.toLowerCase()] || rest.replace(/\s+/g, ' ');
+  // Five fields only: a seconds field would let a typo post every second
+  if (expr.split(' ').length !== 5 || !cron.validate(expr)) {
+    throw Object.assign(
+      new Error(`"${rest}" is not a 5-field cron expression or one of ${Object.keys(DIGEST_PRESETS).join(', ')}`),
+      { code: 'badCron', value: rest },
+    );
+  }
+  return { cron: expr, tz };
+}
+
+const closeMsOf = (mk) => {
+  const ms = Date.parse(mk.lastSeen?.closeISO || '');
+  return isNaN(ms) ? null : ms;
+};
+
+function entry(id, mk) {
+  const seen = mk.lastSeen || {};
+  return { id, title: seen.title || id, url: mk.url || '', category: seen.category || '', options: seen.options || [] };
+}
+
+// Largest single-option move between the first and last sample in the period
+function biggestMove(samples) {
+  if (samples.length < 2) return null;
+  const first = new Map(samples[0].options.filter(o => o.pct != null).map(o => [o.label.toUpperCase(), o.pct]));
+  let best = null;
+  for (const o of samples[samples.length - 1].options) {
+    const from = o.pct == null ? undefined : first.get(o.label.toUpperCase());
+    if (from == null) continue;
+    if (!best || Math.abs(o.pct - from) > Math.abs(best.to - best.from)) best = { label: o.label, from, to: o.pct };
+  }
+  return best;
+}
+
+/**
+ * markets:     state.markets
+ * since, now:  the period covered, in ms
+ * match:       (market record) → bool, the chat's category/keyword filters
+ * oddsHistory: (id, sinceMs) → [{ at, options }] oldest first
+ * → { opened, resolved, closing, movers }, each a list of market entries
+ */
+export function collectDigest({ markets = {}, since, now = Date.now(), match = () => true, oddsHistory = () => [], settings = {} }) {
+  const opts = { ...DIGEST_DEFAULTS, ...settings };
+  const inPeriod = (ms) => ms != null && ms > since && ms <= now;
+  const opened = [], resolved = [], closing = [], movers = [];
+
+  for (const [id, mk] of Object.entries(markets)) {
+    if (!mk.lastSeen?.title || !match(mk)) continue;
+    if (inPeriod(mk.openedAt)) opened.push({ ...entry(id, mk), at: mk.openedAt });
+    if (mk.lastStatus === 'resolved' && inPeriod(mk.resolvedAt)) {
+      resolved.push({ ...entry(id, mk), at: mk.resolvedAt, winner: mk.winner || null });
+    }
+    if (mk.lastStatus !== 'open' || mk.retired) continue;
+    const closeMs = closeMsOf(mk);
+    if (closeMs != null && closeMs > now && closeMs - now <= opts.closingWithinMs) closing.push({ ...entry(id, mk), closeMs });
+    const move = biggestMove(oddsHistory(id, since));
+    if (move && Math.abs(move.to - move.from) >= opts.minMovePoints) movers.push({ ...entry(id, mk), move });
+  }
+
+  const swing = (e) => Math.abs(e.move.to - e.move.from);
+  return {
+    opened:   opened.sort((a, b) => a.at - b.at),
+    resolved: resolved.sort((a, b) => a.at - b.at),
+    closing:  closing.sort((a, b) => a.closeMs - b.closeMs),
+    movers:   movers.sort((a, b) => swing(b) - swing(a)).slice(0, opts.maxMovers),
+  };
+}
+
+export const digestIsEmpty = (d) => !d.opened.length && !d.resolved.length && !d.closing.length && !d.movers.length;
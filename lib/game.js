@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { cleanLabel, uniqueOptions } from './util.js';
+import { zonedTimeToUtc } from './time.js';
+
+/* =========================
+   PREDICTION GAME
+   =========================
+   Free-to-play "call it": members of a chat pick an option on the open post
+   until the market closes, and score when it resolves. A correct pick is
+   worth more the less likely it looked when it was made: 10 points at 50%,
+   20 at 25%, 100 at 5% or less, 5 at 95% or more.
+
+   Picks live on the market: picks[chatId][userId] = { label, pct, at, name }.
+   Scores live in one ledger per chat: totals per user for the all-time board
+   and recent results for the weekly one.
+*/
+export const GAME_DEFAULTS = {
+  pointsAtEven: 10,
+  minPct:       5,
+  maxPct:       95,
+  keepRecentMs: 14 * 24 * 60 * 60 * 1000, // longer than a week, for the weekly board
+};
+
+export function pickPoints(pct, settings = {}) {
+  const { pointsAtEven, minPct, maxPct } = { ...GAME_DEFAULTS, ...settings };
+  if (pct == null || !Number.isFinite(Number(pct))) return pointsAtEven;
+  const p = Math.min(maxPct, Math.max(minPct, Number(pct)));
+  return Math.round((pointsAtEven * 50) / p);
+}
+
+const sameLabel = (a, b) => !!a && !!b && cleanLabel(a).toUpperCase() === cleanLabel(b).toUpperCase();
+
+// Short stable key for an option, for pick buttons: the options can come back
+// in another order or as another set, so a position would pick the wrong one
+export function optionKey(label = '') {
+  return crypto.createHash('sha1').update(cleanLabel(label).toUpperCase()).digest('hex').slice(0, 8);
+}
+
+// The option on offer that a pick button's key stands for, or undefined
+export function optionByKey(options = [], key) {
+  return uniqueOptions(options).find(o => optionKey(o.label) === key);
+}
+
+// The option that won, as the pick buttons spell it, or null when the result
+// is none of them (invalid, or a winner we could not map): nobody scores then
+export function winningLabel(winner, options = []) {
+  return uniqueOptions(options).find(o => sameLabel(o.label, winner))?.label || null;
+}
+
+// One chat's picks against the winning label (see mapWinnerToLabel) → best first
+export function scorePicks(picks = {}, winner) {
+  return Object.entries(picks)
+    .map(([userId, p]) => {
+      const correct = sameLabel(p.label, winner);
+      return { userId, name: p.name || userId, label: p.label, pct: p.pct ?? null, correct, points: correct ? pickPoints(p.pct) : 0 };
+    })
+    .sort((a, b) => b.points - a.points || a.name.localeCompare(b.name));
+}
+
+// → a new ledger with one market's results added; recent results older than keepRecentMs go
+export function recordResults(ledger = {}, results = [], { marketId, at = Date.now(), keepRecentMs = GAME_DEFAULTS.keepRecentMs } = {}) {
+  const totals = { ...(ledger.totals || {}) };
+  for (const r of results) {
+    const t = totals[r.userId] || { name: r.name, points: 0, correct: 0, picks: 0 };
+    totals[r.userId] = { name: r.name, points: t.points + r.points, correct: t.correct + (r.correct ? 1 : 0), picks: t.picks + 1 };
+  }
+  const recent = [
+    ...(ledger.recent || []).filter(r => at - r.at < keepRecentMs),
+    ...results.map(r => ({ userId: r.userId, name: r.name, marketId, points: r.points, correct: r.correct, at })),
+  ];
+  return { totals, recent };
+}
+
+// since = null → all time; otherwise results recorded at or after since
+export function leaderboard(ledger = {}, { since = null } = {}) {
+  let rows;
+  if (since == null) {
+    rows = Object.entries(ledger.totals || {}).map(([userId, t]) => ({ userId, ...t }));
+  } else {
+    const byUser = new Map();
+    for (const r of ledger.recent || []) {
+      if (r.at < since) continue;
+      const t = byUser.get(r.userId) || { userId: r.userId, name: r.name, points: 0, correct: 0, picks: 0 };
+      byUser.set(r.userId, { ...t, name: r.name, points: t.points + r.points, correct: t.correct + (r.correct ? 1 : 0), picks: t.picks + 1 });
+    }
+    rows = [...byUser.values()];
+  }
+  return rows.sort((a, b) => b.points - a.points || b.correct - a.correct || a.name.localeCompare(b.name));
+}
+
+const weekdayFormats = new Map();
+// Monday 00:00 of the week `now` falls in, on timeZone's calendar
+export function weekStart(now = Date.now(), timeZone = 'UTC') {
+  if (!weekdayFormats.has(timeZone)) {
+    weekdayFormats.set(timeZone, new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', year: 'numeric', month: 'numeric', day: 'numeric' }));
+  }
+  const p = Object.fromEntries(weekdayFormats.get(timeZone).formatToParts(now).map(x => [x.type, x.value]));
+  const back = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].indexOf(p.weekday);
+  return zonedTimeToUtc({ year: +p.year, month: +p.month, day: +p.day - back }, timeZone);
+}
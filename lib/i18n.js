@@ -0,0 +1,36 @@
+import en from './locales/en.js';
+import es from './locales/es.js';
+import pt from './locales/pt.js';
+
+/* =========================
+   I18N
+   =========================
+   One flat catalog per language in lib/locales. A message is a string with
+   {name} placeholders, or { one, other, ... } picked by the language's plural
+   rules for vars.count. Keys missing from a catalog fall back to English, and
+   unknown keys come back as the key itself so they show up in testing.
+   Values are inserted as given: escape them first for HTML messages.
+*/
+export const CATALOGS = { en, es, pt };
+export const LANGUAGES = Object.keys(CATALOGS);
+export const DEFAULT_LANG = 'en';
+
+// Regional formats for dates and numbers
+const LOCALES = { en: 'en-US', es: 'es-ES', pt: 'pt-BR' };
+
+export const isLanguage = (lang) => Object.hasOwn(CATALOGS, lang);
+export const localeOf = (lang) => LOCALES[lang] || LOCALES[DEFAULT_LANG];
+
+const pluralRules = new Map();
+function pluralCategory(lang, n) {
+  if (!pluralRules.has(lang)) pluralRules.set(lang, new Intl.PluralRules(localeOf(lang)));
+  return pluralRules.get(lang).select(Number(n) || 0);
+}
+
+export function t(lang, key, vars = {}) {
+  const from = isLanguage(lang) && CATALOGS[lang][key] != null ? lang : DEFAULT_LANG;
+  let msg = CATALOGS[from][key];
+  if (msg == null) return key;
+  if (typeof msg === 'object') msg = msg[pluralCategory(from, vars.count)] ?? msg.other;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (Object.hasOwn(vars, name) ? String(vars[name]) : m));
+}
@@ -0,0 +1,296 @@
+// English is the reference catalog: every key the bot uses lives here.
+export default {
+  'lang.name': 'English',
+
+  /* Relative times and durations */
+  'eta.days':    { one: 'in about {count} day', other: 'in about {count} days' },
+  'eta.hours':   { one: 'in about {count} hour', other: 'in about {count} hours' },
+  'eta.minutes': { one: 'in about {count} minute', other: 'in about {count} minutes' },
+  'eta.moments': 'in about moments',
+  'duration.days':    { one: '{count} day', other: '{count} days' },
+  'duration.hours':   { one: '{count} hour', other: '{count} hours' },
+  'duration.minutes': { one: '{count} minute', other: '{count} minutes' },
+
+  /* Announcements (default templates, see /template) */
+  'template.open': [
+    '🔥 <b>New Market Live on Auracle</b>',
+    '🏟️ <b>{title}</b>',
+    '{#category}📂 <b>{category}</b>\n{/category}{#closes}⏳ {closes}\n{/closes}{options}',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.closed': [
+    '🛑 <b>Market Closed — Final Pool</b>',
+    '🏟️ <b>{title}</b>',
+    '📊 {optionsInline}{^options}—{/options}',
+    '👀 Awaiting resolution…',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.resolved': [
+    '✅ <b>Market Resolved</b>',
+    '🏟️ <b>{title}</b>',
+    '🏆 <b>Winner:</b> {winner}{^winner}—{/winner}',
+    '📊 Final: {optionsSummary}{^options}—{/options}',
+    '💰 Rewards available on Auracle.',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.trending': [
+    '📈 <b>Now Trending on Auracle</b>',
+    '🏟️ <b>{title}</b>',
+    '{#category}📂 <b>{category}</b>\n{/category}{#closes}⏳ {closes}\n{/closes}{options}',
+    '🔗 {url}',
+  ].join('\n'),
+
+  'status.header':   '📌 <b>Market on Auracle</b>',
+  'status.line':     'Status: {status}',
+  'status.live':     '🟢 <b>Live</b>',
+  'status.open':     '🟢 <b>Open</b>',
+  'status.closed':   '🛑 <b>Closed</b> — awaiting resolution',
+  'status.resolved': '✅ <b>Resolved</b>',
+  'status.resolvedWinner': '✅ <b>Resolved</b> — 🏆 {winner}',
+
+  'inline.live':     '🟢 Live',
+  'inline.closed':   '🛑 Closed',
+  'inline.resolved': '✅ Resolved',
+
+  'odds.header':       '<b>Odds moved</b>',
+  'odds.newFavourite': '🔄 New favourite: <b>{to}</b> (was {from})',
+  'odds.within':       '⏱️ within {minutes} min',
+
+  'closing.header':     '⏰ <b>Closing in {lead}</b>',
+  'closing.lastChance': '🎯 Last chance to get your call in.',
+
+  'card.closes':  '⏳ Closes {time}',
+  'card.winner':  '🏆 <b>Winner:</b> {winner}',
+  'card.updated': '🕒 Updated {time}',
+  'card.refresh': '🔄 Refresh',
+  'card.watch':   '👀 Watch',
+  'card.open':    'Open on Auracle',
+
+  'chart.caption':         '📈 <b>{title}</b>',
+  'chart.resolvedCaption': '📈 <b>{title}</b> — odds over time',
+
+  'digest.header':   '🗞️ <b>Auracle Digest</b>',
+  'digest.since':    '🗓️ Since {time}',
+  'digest.opened':   '🔥 <b>New markets</b> ({count})',
+  'digest.resolved': '✅ <b>Resolved</b> ({count})',
+  'digest.closing':  '⏰ <b>Closing in the next 24 hours</b> ({count})',
+  'digest.movers':   '📈 <b>Biggest odds moves</b>',
+  'digest.more':     '…and {count} more',
+  'digest.empty':    'Nothing new since the last digest.',
+
+  /* /markets browser */
+  'markets.heading.open':     'Open markets',
+  'markets.heading.closed':   'Closed markets',
+  'markets.heading.trending': 'Trending markets',
+  'markets.sortedBy':   'sorted by {sort}',
+  'markets.sort.odds':  'favourite odds',
+  'markets.sort.close': 'close time',
+  'markets.sortBy':     'Sort by {sort}',
+  'markets.empty':      'Nothing here right now.',
+  'markets.closed':     'closed',
+  'markets.prev':       '◀ Prev',
+  'markets.next':       'Next ▶',
+
+  /* Command replies */
+  'common.notSubscribed':   'This chat is not subscribed. /subscribe first.',
+  'common.yes': 'yes',
+  'common.no':  'no',
+
+  'auth.denied':    '⛔ Not authorized. This command is limited to bot admins.',
+  'auth.ownerOnly': '⛔ Not authorized. Only bot owners can manage admins.',
+
+  'market.usage':    'Usage: /market <id|url>',
+  'market.wait':     'Please wait {seconds}s before looking up another market.',
+  'market.notFound': 'Market not found.',
+  'market.failed':   'Lookup failed: {error}',
+  'market.slowDown': 'Slow down — try again in {seconds}s.',
+  'market.refreshing':     'Refreshing…',
+
+  'health.summary': 'Active: {active}  |  Trending: {trending}\nActive sample: {activeSample}\nTrending sample: {trendingSample}',
+  'health.failed':  'Fetch failed: {error}',
+
+  'chart.usage':  'Usage: /chart <marketId|url>',
+  'chart.none':   'No odds history recorded for {id} yet.',
+  'chart.failed': 'Chart failed: {error}',
+  'chart.wait':   'Please wait {seconds}s before drawing another chart.',
+
+  'whereami': 'Target chat: {target}\nThis chat: {here}\nSubscription: {subscription}\nTip: /set_target here',
+
+  'subscription.none':       'not subscribed',
+  'subscription.any':        'any',
+  'subscription.events':     'events: {list}',
+  'subscription.categories': 'categories: {list}',
+  'subscription.keywords':   'keywords: {list}',
+  'subscription.digest':     'digest: {cron} ({tz})',
+  'subscription.templates':  'templates: {list}',
+  'subscription.default':    ' (default)',
+  'subscription.unknownEvent':  'Unknown event type(s): {list} (use {allowed})',
+  'subscription.unknownFilter': 'Unknown filter "{key}" (use events=, category=, keywords=)',
+  'subscription.notFilter':     '"{text}" is not a filter (use key=value: events=, category=, keywords=)',
+
+  'subscribe.usage': 'Usage: /subscribe [events=open,closed,resolved,trending] [category=Sports,...] [keywords=word,...]',
+  'subscribe.ok':    'Subscribed. {subscription}',
+  'unsubscribe.notSubscribed': 'This chat is not subscribed.',
+  'unsubscribe.ok':  'Unsubscribed. This chat will no longer receive announcements.',
+  'subscriptions.none': 'No subscribed chats.',
+
+  'setTarget.usage': 'Usage: /set_target <chatId|here>',
+  'setTarget.ok':    'OK. Target chat set to: {id}',
+
+  'digest.usage':      'Usage: /digest <{presets}|cron expression> [tz=Area/City] or /digest off\ne.g. /digest 30 8 * * 1-5 tz=Europe/Madrid (08:30 on weekdays)',
+  'digest.current':    'Digest: {cron} ({tz})',
+  'digest.notSet':     'No digest for this chat.',
+  'digest.off':        'Digest turned off.',
+  'digest.scheduled':  'Digest scheduled: {cron} ({tz}). Preview with /digest_now.',
+  'digest.badTimezone': 'Unknown timezone "{value}" (use an IANA name like Europe/Madrid)',
+  'digest.badCron':    '"{value}" is not a 5-field cron expression or one of {presets}',
+
+  'announceOpenNow.queued': { one: 'Queued {count} open market for subscribed chats.', other: 'Queued {count} open markets for subscribed chats.' },
+
+  'tick.started':  'Tick started…',
+  'tick.finished': 'Tick finished.',
+  'tick.error':    'Tick error: {error}',
+
+  'state.summary': 'seeded: {seeded}\ntarget: {target}\nsubscriptions: {subscriptions}\ntracked: {total}\n' +
+    'statuses: open={open}, closed={closed}, resolved={resolved}, retired={retired}\n' +
+    'announced: open={aO}, closed={aC}, resolved={aR}',
+  'state.error': 'state read error',
+  'reseedOff.ok': 'Seeding disabled (seeded=true).',
+
+  'oddsConfig.unknown': 'Unknown setting "{key}". Usage: /odds_config [points=N] [window=minutes] [cooldown=minutes]',
+  'oddsConfig.notNumber': '"{key}" needs a whole number, not "{value}". Usage: /odds_config [points=N] [window=minutes] [cooldown=minutes]',
+  'oddsConfig.min':     'points and window must be at least 1.',
+  'oddsConfig.current': 'Odds alerts: move ≥ {points} pts within {window} min, cooldown {cooldown} min per market.',
+
+  'reminders.usage':   'Usage: /reminders <minutes,...|off>  e.g. /reminders 60,15',
+  'reminders.current': 'Closing reminders: {leads} before close.',
+  'reminders.off':     'Closing reminders are off.',
+
+  'admin.addUsage':    'Usage: /admin_add <userId> (or reply to a message from that user)',
+  'admin.removeUsage': 'Usage: /admin_remove <userId> (or reply to a message from that user)',
+  'admin.already':     '{id} is already an admin.',
+  'admin.added':       'OK. {id} is now an admin.',
+  'admin.isOwner':     '{id} is an owner (BOT_OWNER_IDS) and cannot be removed here.',
+  'admin.notAdmin':    '{id} is not an admin.',
+  'admin.removed':     'OK. {id} is no longer an admin.',
+  'admin.list':        'owners: {owners}\nadmins: {admins}\nchat administrators may act: {chatAdmins}',
+
+  'outbox.usage':    'Usage: /outbox [retry|drop <id|all>]',
+  'outbox.usageFor': 'Usage: /outbox {action} <id|all>',
+  'outbox.requeued': { one: 'Requeued {count} dead letter.', other: 'Requeued {count} dead letters.' },
+  'outbox.dropped':  { one: 'Dropped {count} dead letter.', other: 'Dropped {count} dead letters.' },
+  'outbox.summary':  'Outbox: {pending} pending, {sent} sent (last 7 days), {dead} dead',
+  'outbox.hint':     'Use /outbox retry <id|all> or /outbox drop <id|all>.',
+
+  'template.usage': [
+    'Usage: /template show|reset <{events}>',
+    '       /template set <{events}> followed by the template (new lines allowed)',
+    'Placeholders: {fields}',
+    'Sections: {#category}shown when set{/category} {^winner}shown when empty{/winner}',
+    'Values are escaped for you; the template itself is Telegram HTML.',
+  ].join('\n'),
+  'template.showCustom':  'Custom {event} template:',
+  'template.showDefault': 'Default {event} template:',
+  'template.resetAll':    'All templates reset to the defaults.',
+  'template.resetOne':    '{event} template reset to the default.',
+  'template.invalid':     'Template not saved: {error}',
+  'template.rejected':    'Template not saved, Telegram rejected the preview: {error}',
+  'template.saved':       'Saved. {event} announcements in this chat now use the template above.',
+  'template.sampleTitle': 'Lakers vs Celtics — Who wins Game 7?',
+
+  'lang.current': 'Language: {name}. Change it with /lang <{languages}>.',
+  'lang.set':     'Language set to {name}.',
+  'lang.usage':   'Usage: /lang <{languages}>',
+
+  'tz.current': 'Time zone: {tz} (now {time}). Change it with /tz <Area/City>, or /tz reset for the bot default ({default}).',
+  'tz.set':     'Time zone set to {tz} (now {time}).',
+  'tz.usage':   'Usage: /tz <Area/City|reset>  e.g. /tz America/New_York',
+
+  /* Scraper health (ops chat) */
+  'ops.header':           '🚨 <b>Scraper looks broken</b>',
+  'ops.listEmpty':        'The market list came back empty (usually {usual} markets).',
+  'ops.missingFields':    '{noOdds} of {total} detail pages had no odds and {noTitle} no title (usually {usual}% incomplete).',
+  'ops.oddsSum':          'Odds on {off} of {total} open markets do not add up to 100%, e.g. {example} at {sum}%.',
+  'ops.statusRegression': {
+    one:   '{count} market went back from {from} to {to} ({example}).',
+    other: '{count} markets went back from a later status, e.g. {example} from {from} to {to}.',
+  },
+  'ops.timeouts':         '{count} page loads timed out, {ticks} ticks in a row.',
+  'ops.paused':           'Paused until it recovers: {events}.',
+  'ops.recovered':        '✅ Scraper looks healthy again (broken since {since}). Announcements resume.',
+
+  /* Watchlists (private chat) */
+  'watch.header':      '👀 <b>On your watchlist</b>',
+  'watch.welcome':     'Hi! Send /watch <marketId> or tap 👀 Watch on an announcement and I will message you when that market moves, closes or resolves. /watchlist shows what you follow.',
+  'watch.usage':       'Usage: /watch <marketId|url>',
+  'watch.unwatchUsage': 'Usage: /unwatch <marketId|url>',
+  'watch.privateOnly': 'Watchlists live in a private chat: open {bot} and send /watch there.',
+  'watch.theBot':      'the bot',
+  'watch.added':       '👀 Watching {title} ({count}/{max}). You will hear from me when the odds move, it closes and it resolves.',
+  'watch.already':     '👀 {title} is already on your watchlist.',
+  'watch.full':        'Your watchlist is full ({max} markets). /unwatch one first.',
+  'watch.over':        '{title} has already resolved.',
+  'watch.unknown':     '{title} is not a market I follow. Use the id from an announcement or /markets.',
+  'watch.removed':     'Removed {title} from your watchlist.',
+  'watch.notWatched':  '{id} is not on your watchlist.',
+  'watch.empty':       'Your watchlist is empty. Use /watch <marketId> or the 👀 Watch button on announcements.',
+  'watch.list':        '👀 <b>Your watchlist</b> ({count}/{max})',
+
+  /* Prediction game */
+  'game.picked':   '🎯 You picked {label} at {pct}%: worth {points} points if it wins.',
+  'game.changed':  '🎯 Changed your pick to {label} at {pct}%: worth {points} points if it wins.',
+  'game.already':  '🎯 You already picked {label} ({points} points if it wins).',
+  'game.closed':   '⏳ Picks are closed for this market.',
+  'game.gone':     '⏳ That option is no longer offered: pick again from the current odds.',
+  'game.isOn':     '🎯 The prediction game is on in this chat. /game off to stop it.',
+  'game.isOff':    'The prediction game is off in this chat. /game on adds pick buttons to new markets.',
+  'game.usage':    'Usage: /game <on|off>',
+  'game.turnedOn': '🎯 Prediction game on: new markets get pick buttons. Calling the underdog scores more. /leaderboard, /mypicks.',
+  'game.turnedOff': 'Prediction game off. Scores so far are kept.',
+  'game.boardWeek': '🏆 <b>Leaderboard</b> — this week (since {since})',
+  'game.boardAll': '🏆 <b>Leaderboard</b> — all time',
+  'game.record':   { one: '({correct}/{count} call)', other: '({correct}/{count} calls)' },
+  'game.noScoresWeek': 'No scores this week yet. /leaderboard all shows all time.',
+  'game.noScores': 'No scores yet: pick on a new market and wait for it to resolve.',
+  'game.myPicks':  '🎯 <b>Your open picks</b>',
+  'game.noOpenPicks': 'None right now.',
+  'game.worth':    '(worth {points})',
+  'game.standing': { one: 'All time: <b>{points}</b> points, {correct}/{count} call right, #{rank} here.', other: 'All time: <b>{points}</b> points, {correct}/{count} calls right, #{rank} here.' },
+  'game.noStanding': 'No resolved picks yet.',
+  'game.calledIt': '🎯 <b>Called it</b> ({count} of {total}): {names}',
+  'game.nobodyCalledIt': { one: '🎯 The only pick missed.', other: '🎯 Nobody called it: all {count} picks missed.' },
+  'game.andMore':  'and {count} more',
+
+  /* Command menu */
+  'cmd.ping':              'Ping the bot',
+  'cmd.health':            'Active/Trending counts (titles from details)',
+  'cmd.markets':           'Browse tracked markets: [open|closed|trending] [category]',
+  'cmd.market':            'Live card for a market id or url',
+  'cmd.chart':             'Odds-over-time chart for a market id',
+  'cmd.whereami':          'Show current & target chat',
+  'cmd.set_target':        'Set target chat id or "here"',
+  'cmd.subscribe':         'Subscribe this chat (events=, category=, keywords=)',
+  'cmd.unsubscribe':       'Stop announcements in this chat',
+  'cmd.subscriptions':     'List subscribed chats and filters',
+  'cmd.digest':            'Show/set this chat\'s digest schedule (daily, weekly or cron) and timezone',
+  'cmd.digest_now':        'Preview this chat\'s digest',
+  'cmd.lang':              'Show/set this chat\'s language',
+  'cmd.tz':              'Show/set this chat\'s timezone for close times',
+  'cmd.announce_open_now': 'Announce N open markets now (from Active)',
+  'cmd.tick_now':          'Run a tick immediately',
+  'cmd.state':             'Show tracked/announced counts',
+  'cmd.reseed_off':        'Mark seeded=true (skip first-run announcements)',
+  'cmd.odds_config':       'Show/set odds alert points, window, cooldown',
+  'cmd.reminders':         'Show/set closing reminder lead times (minutes)',
+  'cmd.admin_add':         'Grant admin to a user id (owners only)',
+  'cmd.admin_remove':      'Revoke admin from a user id (owners only)',
+  'cmd.admins':            'List owners and admins',
+  'cmd.outbox':            'Queued/dead messages; retry or drop dead letters',
+  'cmd.template':          'Show, set or reset this chat\'s announcement templates',
+  'cmd.watch':             'Watch a market and get DMs about it (private chat)',
+  'cmd.unwatch':           'Stop watching a market',
+  'cmd.watchlist':         'Markets you watch',
+  'cmd.game':              'Show or switch the prediction game in this chat (on|off)',
+  'cmd.leaderboard':       'Prediction game leaderboard: this week, or "all"',
+  'cmd.mypicks':           'Your open picks and score',
+};
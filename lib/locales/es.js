@@ -0,0 +1,295 @@
+export default {
+  'lang.name': 'Español',
+
+  /* Relative times and durations */
+  'eta.days':    { one: 'en aproximadamente {count} día', other: 'en aproximadamente {count} días' },
+  'eta.hours':   { one: 'en aproximadamente {count} hora', other: 'en aproximadamente {count} horas' },
+  'eta.minutes': { one: 'en aproximadamente {count} minuto', other: 'en aproximadamente {count} minutos' },
+  'eta.moments': 'en unos instantes',
+  'duration.days':    { one: '{count} día', other: '{count} días' },
+  'duration.hours':   { one: '{count} hora', other: '{count} horas' },
+  'duration.minutes': { one: '{count} minuto', other: '{count} minutos' },
+
+  /* Announcements (default templates, see /template) */
+  'template.open': [
+    '🔥 <b>Nuevo mercado en Auracle</b>',
+    '🏟️ <b>{title}</b>',
+    '{#category}📂 <b>{category}</b>\n{/category}{#closes}⏳ {closes}\n{/closes}{options}',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.closed': [
+    '🛑 <b>Mercado cerrado — Pozo final</b>',
+    '🏟️ <b>{title}</b>',
+    '📊 {optionsInline}{^options}—{/options}',
+    '👀 Esperando la resolución…',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.resolved': [
+    '✅ <b>Mercado resuelto</b>',
+    '🏟️ <b>{title}</b>',
+    '🏆 <b>Ganador:</b> {winner}{^winner}—{/winner}',
+    '📊 Final: {optionsSummary}{^options}—{/options}',
+    '💰 Recompensas disponibles en Auracle.',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.trending': [
+    '📈 <b>Tendencia en Auracle</b>',
+    '🏟️ <b>{title}</b>',
+    '{#category}📂 <b>{category}</b>\n{/category}{#closes}⏳ {closes}\n{/closes}{options}',
+    '🔗 {url}',
+  ].join('\n'),
+
+  'status.header':   '📌 <b>Mercado en Auracle</b>',
+  'status.line':     'Estado: {status}',
+  'status.live':     '🟢 <b>En vivo</b>',
+  'status.open':     '🟢 <b>Abierto</b>',
+  'status.closed':   '🛑 <b>Cerrado</b> — esperando la resolución',
+  'status.resolved': '✅ <b>Resuelto</b>',
+  'status.resolvedWinner': '✅ <b>Resuelto</b> — 🏆 {winner}',
+
+  'inline.live':     '🟢 En vivo',
+  'inline.closed':   '🛑 Cerrado',
+  'inline.resolved': '✅ Resuelto',
+
+  'odds.header':       '<b>Las probabilidades cambiaron</b>',
+  'odds.newFavourite': '🔄 Nuevo favorito: <b>{to}</b> (antes {from})',
+  'odds.within':       '⏱️ en {minutes} min',
+
+  'closing.header':     '⏰ <b>Cierra en {lead}</b>',
+  'closing.lastChance': '🎯 Última oportunidad para hacer tu pronóstico.',
+
+  'card.closes':  '⏳ Cierra el {time}',
+  'card.winner':  '🏆 <b>Ganador:</b> {winner}',
+  'card.updated': '🕒 Actualizado el {time}',
+  'card.refresh': '🔄 Actualizar',
+  'card.watch':   '👀 Seguir',
+  'card.open':    'Abrir en Auracle',
+
+  'chart.caption':         '📈 <b>{title}</b>',
+  'chart.resolvedCaption': '📈 <b>{title}</b> — probabilidades en el tiempo',
+
+  'digest.header':   '🗞️ <b>Resumen de Auracle</b>',
+  'digest.since':    '🗓️ Desde el {time}',
+  'digest.opened':   '🔥 <b>Mercados nuevos</b> ({count})',
+  'digest.resolved': '✅ <b>Resueltos</b> ({count})',
+  'digest.closing':  '⏰ <b>Cierran en las próximas 24 horas</b> ({count})',
+  'digest.movers':   '📈 <b>Mayores cambios de probabilidades</b>',
+  'digest.more':     '…y {count} más',
+  'digest.empty':    'Nada nuevo desde el último resumen.',
+
+  /* /markets browser */
+  'markets.heading.open':     'Mercados abiertos',
+  'markets.heading.closed':   'Mercados cerrados',
+  'markets.heading.trending': 'Mercados en tendencia',
+  'markets.sortedBy':   'ordenados por {sort}',
+  'markets.sort.odds':  'probabilidad del favorito',
+  'markets.sort.close': 'hora de cierre',
+  'markets.sortBy':     'Ordenar por {sort}',
+  'markets.empty':      'No hay nada aquí por ahora.',
+  'markets.closed':     'cerrado',
+  'markets.prev':       '◀ Anterior',
+  'markets.next':       'Siguiente ▶',
+
+  /* Command replies */
+  'common.notSubscribed': 'Este chat no está suscrito. Usa /subscribe primero.',
+  'common.yes': 'sí',
+  'common.no':  'no',
+
+  'auth.denied':    '⛔ No autorizado. Este comando es solo para administradores del bot.',
+  'auth.ownerOnly': '⛔ No autorizado. Solo los propietarios del bot pueden gestionar administradores.',
+
+  'market.usage':    'Uso: /market <id|url>',
+  'market.wait':     'Espera {seconds} s antes de consultar otro mercado.',
+  'market.notFound': 'Mercado no encontrado.',
+  'market.failed':   'La consulta falló: {error}',
+  'market.slowDown': 'Más despacio — inténtalo de nuevo en {seconds} s.',
+  'market.refreshing':     'Actualizando…',
+
+  'health.summary': 'Activos: {active}  |  En tendencia: {trending}\nMuestra de activos: {activeSample}\nMuestra en tendencia: {trendingSample}',
+  'health.failed':  'La descarga falló: {error}',
+
+  'chart.usage':  'Uso: /chart <marketId|url>',
+  'chart.none':   'Todavía no hay historial de probabilidades para {id}.',
+  'chart.failed': 'El gráfico falló: {error}',
+  'chart.wait':   'Espera {seconds} s antes de pedir otro gráfico.',
+
+  'whereami': 'Chat de destino: {target}\nEste chat: {here}\nSuscripción: {subscription}\nConsejo: /set_target here',
+
+  'subscription.none':       'sin suscripción',
+  'subscription.any':        'cualquiera',
+  'subscription.events':     'eventos: {list}',
+  'subscription.categories': 'categorías: {list}',
+  'subscription.keywords':   'palabras clave: {list}',
+  'subscription.digest':     'resumen: {cron} ({tz})',
+  'subscription.templates':  'plantillas: {list}',
+  'subscription.default':    ' (predeterminado)',
+  'subscription.unknownEvent':  'Tipo(s) de evento desconocido(s): {list} (usa {allowed})',
+  'subscription.unknownFilter': 'Filtro desconocido "{key}" (usa events=, category=, keywords=)',
+  'subscription.notFilter':     '"{text}" no es un filtro (usa clave=valor: events=, category=, keywords=)',
+
+  'subscribe.usage': 'Uso: /subscribe [events=open,closed,resolved,trending] [category=Sports,...] [keywords=palabra,...]',
+  'subscribe.ok':    'Suscrito. {subscription}',
+  'unsubscribe.notSubscribed': 'Este chat no está suscrito.',
+  'unsubscribe.ok':  'Suscripción cancelada. Este chat ya no recibirá anuncios.',
+  'subscriptions.none': 'No hay chats suscritos.',
+
+  'setTarget.usage': 'Uso: /set_target <chatId|here>',
+  'setTarget.ok':    'OK. Chat de destino: {id}',
+
+  'digest.usage':      'Uso: /digest <{presets}|expresión cron> [tz=Área/Ciudad] o /digest off\np. ej. /digest 30 8 * * 1-5 tz=Europe/Madrid (08:30 entre semana)',
+  'digest.current':    'Resumen: {cron} ({tz})',
+  'digest.notSet':     'Este chat no tiene resumen.',
+  'digest.off':        'Resumen desactivado.',
+  'digest.scheduled':  'Resumen programado: {cron} ({tz}). Vista previa con /digest_now.',
+  'digest.badTimezone': 'Zona horaria desconocida "{value}" (usa un nombre IANA como Europe/Madrid)',
+  'digest.badCron':    '"{value}" no es una expresión cron de 5 campos ni uno de {presets}',
+
+  'announceOpenNow.queued': { one: '{count} mercado abierto en cola para los chats suscritos.', other: '{count} mercados abiertos en cola para los chats suscritos.' },
+
+  'tick.started':  'Ciclo iniciado…',
+  'tick.finished': 'Ciclo terminado.',
+  'tick.error':    'Error en el ciclo: {error}',
+
+  'state.summary': 'inicializado: {seeded}\ndestino: {target}\nsuscripciones: {subscriptions}\nseguidos: {total}\n' +
+    'estados: abiertos={open}, cerrados={closed}, resueltos={resolved}, retirados={retired}\n' +
+    'anunciados: abiertos={aO}, cerrados={aC}, resueltos={aR}',
+  'state.error': 'error al leer el estado',
+  'reseedOff.ok': 'Inicialización desactivada (seeded=true).',
+
+  'oddsConfig.unknown': 'Ajuste desconocido "{key}". Uso: /odds_config [points=N] [window=minutos] [cooldown=minutos]',
+  'oddsConfig.notNumber': '"{key}" necesita un número entero, no "{value}". Uso: /odds_config [points=N] [window=minutos] [cooldown=minutos]',
+  'oddsConfig.min':     'points y window deben ser al menos 1.',
+  'oddsConfig.current': 'Alertas de probabilidades: cambio ≥ {points} pts en {window} min, espera de {cooldown} min por mercado.',
+
+  'reminders.usage':   'Uso: /reminders <minutos,...|off>  p. ej. /reminders 60,15',
+  'reminders.current': 'Recordatorios de cierre: {leads} antes del cierre.',
+  'reminders.off':     'Los recordatorios de cierre están desactivados.',
+
+  'admin.addUsage':    'Uso: /admin_add <userId> (o responde a un mensaje de ese usuario)',
+  'admin.removeUsage': 'Uso: /admin_remove <userId> (o responde a un mensaje de ese usuario)',
+  'admin.already':     '{id} ya es administrador.',
+  'admin.added':       'OK. {id} ahora es administrador.',
+  'admin.isOwner':     '{id} es propietario (BOT_OWNER_IDS) y no se puede quitar aquí.',
+  'admin.notAdmin':    '{id} no es administrador.',
+  'admin.removed':     'OK. {id} ya no es administrador.',
+  'admin.list':        'propietarios: {owners}\nadministradores: {admins}\nlos administradores del chat pueden actuar: {chatAdmins}',
+
+  'outbox.usage':    'Uso: /outbox [retry|drop <id|all>]',
+  'outbox.usageFor': 'Uso: /outbox {action} <id|all>',
+  'outbox.requeued': { one: '{count} mensaje fallido vuelto a la cola.', other: '{count} mensajes fallidos vueltos a la cola.' },
+  'outbox.dropped':  { one: '{count} mensaje fallido descartado.', other: '{count} mensajes fallidos descartados.' },
+  'outbox.summary':  'Cola de salida: {pending} pendientes, {sent} enviados (últimos 7 días), {dead} fallidos',
+  'outbox.hint':     'Usa /outbox retry <id|all> o /outbox drop <id|all>.',
+
+  'template.usage': [
+    'Uso: /template show|reset <{events}>',
+    '     /template set <{events}> seguido de la plantilla (se permiten saltos de línea)',
+    'Marcadores: {fields}',
+    'Secciones: {#category}se muestra si hay valor{/category} {^winner}se muestra si está vacío{/winner}',
+    'Los valores se escapan automáticamente; la plantilla en sí es HTML de Telegram.',
+  ].join('\n'),
+  'template.showCustom':  'Plantilla personalizada de {event}:',
+  'template.showDefault': 'Plantilla predeterminada de {event}:',
+  'template.resetAll':    'Todas las plantillas vuelven a las predeterminadas.',
+  'template.resetOne':    'La plantilla de {event} vuelve a la predeterminada.',
+  'template.invalid':     'Plantilla no guardada: {error}',
+  'template.rejected':    'Plantilla no guardada, Telegram rechazó la vista previa: {error}',
+  'template.saved':       'Guardada. Los anuncios de {event} en este chat usan ahora la plantilla de arriba.',
+  'template.sampleTitle': 'Lakers vs Celtics — ¿Quién gana el séptimo partido?',
+
+  'lang.current': 'Idioma: {name}. Cámbialo con /lang <{languages}>.',
+  'lang.set':     'Idioma cambiado a {name}.',
+  'lang.usage':   'Uso: /lang <{languages}>',
+
+  'tz.current': 'Zona horaria: {tz} (ahora {time}). Cámbiala con /tz <Área/Ciudad>, o /tz reset para la del bot ({default}).',
+  'tz.set':     'Zona horaria cambiada a {tz} (ahora {time}).',
+  'tz.usage':   'Uso: /tz <Área/Ciudad|reset>  p. ej. /tz Europe/Madrid',
+
+  /* Scraper health (ops chat) */
+  'ops.header':           '🚨 <b>El scraper parece roto</b>',
+  'ops.listEmpty':        'La lista de mercados llegó vacía (suele tener {usual}).',
+  'ops.missingFields':    '{noOdds} de {total} páginas de detalle sin probabilidades y {noTitle} sin título (lo normal es un {usual}% incompleto).',
+  'ops.oddsSum':          'Las probabilidades de {off} de {total} mercados abiertos no suman 100%, p. ej. {example} con {sum}%.',
+  'ops.statusRegression': {
+    one:   '{count} mercado volvió de {from} a {to} ({example}).',
+    other: '{count} mercados volvieron a un estado anterior, p. ej. {example} de {from} a {to}.',
+  },
+  'ops.timeouts':         '{count} cargas de página agotaron el tiempo, {ticks} ciclos seguidos.',
+  'ops.paused':           'En pausa hasta que se recupere: {events}.',
+  'ops.recovered':        '✅ El scraper vuelve a funcionar (roto desde {since}). Se reanudan los anuncios.',
+
+  /* Watchlists (private chat) */
+  'watch.header':      '👀 <b>En tu lista de seguimiento</b>',
+  'watch.welcome':     '¡Hola! Envía /watch <idMercado> o pulsa 👀 Seguir en un anuncio y te escribiré cuando ese mercado se mueva, cierre o se resuelva. /watchlist muestra lo que sigues.',
+  'watch.usage':       'Uso: /watch <idMercado|url>',
+  'watch.unwatchUsage': 'Uso: /unwatch <idMercado|url>',
+  'watch.privateOnly': 'Las listas de seguimiento van por chat privado: abre {bot} y envía /watch allí.',
+  'watch.theBot':      'el bot',
+  'watch.added':       '👀 Siguiendo {title} ({count}/{max}). Te escribiré cuando cambien las probabilidades, cierre y se resuelva.',
+  'watch.already':     '👀 {title} ya está en tu lista.',
+  'watch.full':        'Tu lista está llena ({max} mercados). Quita uno con /unwatch primero.',
+  'watch.over':        '{title} ya se resolvió.',
+  'watch.unknown':     '{title} no es un mercado que yo siga. Usa el id de un anuncio o de /markets.',
+  'watch.removed':     '{title} quitado de tu lista.',
+  'watch.notWatched':  '{id} no está en tu lista.',
+  'watch.empty':       'Tu lista está vacía. Usa /watch <idMercado> o el botón 👀 Seguir de los anuncios.',
+  'watch.list':        '👀 <b>Tu lista de seguimiento</b> ({count}/{max})',
+
+  /* Prediction game */
+  'game.picked':   '🎯 Elegiste {label} al {pct}%: vale {points} puntos si gana.',
+  'game.changed':  '🎯 Cambiaste tu elección a {label} al {pct}%: vale {points} puntos si gana.',
+  'game.already':  '🎯 Ya elegiste {label} ({points} puntos si gana).',
+  'game.closed':   '⏳ Las elecciones están cerradas para este mercado.',
+  'game.gone':     '⏳ Esa opción ya no está disponible: elige de nuevo con las probabilidades actuales.',
+  'game.isOn':     '🎯 El juego de predicciones está activo en este chat. /game off para pararlo.',
+  'game.isOff':    'El juego de predicciones está desactivado en este chat. /game on añade botones a los mercados nuevos.',
+  'game.usage':    'Uso: /game <on|off>',
+  'game.turnedOn': '🎯 Juego de predicciones activado: los mercados nuevos traen botones. Acertar con el menos favorito da más puntos. /leaderboard, /mypicks.',
+  'game.turnedOff': 'Juego de predicciones desactivado. Las puntuaciones se conservan.',
+  'game.boardWeek': '🏆 <b>Clasificación</b> — esta semana (desde {since})',
+  'game.boardAll': '🏆 <b>Clasificación</b> — histórica',
+  'game.record':   { one: '({correct}/{count} acierto)', other: '({correct}/{count} aciertos)' },
+  'game.noScoresWeek': 'Aún no hay puntos esta semana. /leaderboard all muestra la histórica.',
+  'game.noScores': 'Aún no hay puntos: elige en un mercado nuevo y espera a que se resuelva.',
+  'game.myPicks':  '🎯 <b>Tus elecciones abiertas</b>',
+  'game.noOpenPicks': 'Ninguna por ahora.',
+  'game.worth':    '(vale {points})',
+  'game.standing': { one: 'Histórico: <b>{points}</b> puntos, {correct}/{count} acierto, n.º {rank} aquí.', other: 'Histórico: <b>{points}</b> puntos, {correct}/{count} aciertos, n.º {rank} aquí.' },
+  'game.noStanding': 'Aún no tienes elecciones resueltas.',
+  'game.calledIt': { one: '🎯 <b>Lo acertó</b> ({count} de {total}): {names}', other: '🎯 <b>Lo acertaron</b> ({count} de {total}): {names}' },
+  'game.nobodyCalledIt': { one: '🎯 La única elección falló.', other: '🎯 Nadie acertó: fallaron las {count} elecciones.' },
+  'game.andMore':  'y {count} más',
+
+  /* Command menu */
+  'cmd.ping':              'Comprobar que el bot responde',
+  'cmd.health':            'Recuento de activos/en tendencia (títulos del detalle)',
+  'cmd.markets':           'Explorar mercados: [open|closed|trending] [categoría]',
+  'cmd.market':            'Ficha en vivo de un mercado por id o url',
+  'cmd.chart':             'Gráfico de probabilidades de un mercado',
+  'cmd.whereami':          'Mostrar el chat actual y el de destino',
+  'cmd.set_target':        'Fijar el chat de destino o "here"',
+  'cmd.subscribe':         'Suscribir este chat (events=, category=, keywords=)',
+  'cmd.unsubscribe':       'Dejar de anunciar en este chat',
+  'cmd.subscriptions':     'Listar chats suscritos y sus filtros',
+  'cmd.digest':            'Ver/fijar el horario del resumen (daily, weekly o cron) y la zona horaria',
+  'cmd.digest_now':        'Vista previa del resumen de este chat',
+  'cmd.lang':              'Ver/cambiar el idioma de este chat',
+  'cmd.tz':              'Ver/cambiar la zona horaria de este chat',
+  'cmd.announce_open_now': 'Anunciar ahora N mercados abiertos',
+  'cmd.tick_now':          'Ejecutar un ciclo ahora',
+  'cmd.state':             'Mostrar recuentos de seguidos/anunciados',
+  'cmd.reseed_off':        'Marcar seeded=true (omitir anuncios iniciales)',
+  'cmd.odds_config':       'Ver/fijar puntos, ventana y espera de alertas',
+  'cmd.reminders':         'Ver/fijar recordatorios de cierre (minutos)',
+  'cmd.admin_add':         'Dar permisos de administrador (solo propietarios)',
+  'cmd.admin_remove':      'Quitar permisos de administrador (solo propietarios)',
+  'cmd.admins':            'Listar propietarios y administradores',
+  'cmd.outbox':            'Mensajes en cola/fallidos; reintentar o descartar',
+  'cmd.template':          'Ver, fijar o restablecer las plantillas de este chat',
+  'cmd.watch':             'Seguir un mercado y recibir mensajes privados (chat privado)',
+  'cmd.unwatch':           'Dejar de seguir un mercado',
+  'cmd.watchlist':         'Mercados que sigues',
+  'cmd.game':              'Ver o cambiar el juego de predicciones en este chat (on|off)',
+  'cmd.leaderboard':       'Clasificación del juego: esta semana, o "all"',
+  'cmd.mypicks':           'Tus elecciones abiertas y tu puntuación',
+};
@@ -0,0 +1,295 @@
+export default {
+  'lang.name': 'Português',
+
+  /* Relative times and durations */
+  'eta.days':    { one: 'em cerca de {count} dia', other: 'em cerca de {count} dias' },
+  'eta.hours':   { one: 'em cerca de {count} hora', other: 'em cerca de {count} horas' },
+  'eta.minutes': { one: 'em cerca de {count} minuto', other: 'em cerca de {count} minutos' },
+  'eta.moments': 'em instantes',
+  'duration.days':    { one: '{count} dia', other: '{count} dias' },
+  'duration.hours':   { one: '{count} hora', other: '{count} horas' },
+  'duration.minutes': { one: '{count} minuto', other: '{count} minutos' },
+
+  /* Announcements (default templates, see /template) */
+  'template.open': [
+    '🔥 <b>Novo mercado no Auracle</b>',
+    '🏟️ <b>{title}</b>',
+    '{#category}📂 <b>{category}</b>\n{/category}{#closes}⏳ {closes}\n{/closes}{options}',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.closed': [
+    '🛑 <b>Mercado fechado — Pool final</b>',
+    '🏟️ <b>{title}</b>',
+    '📊 {optionsInline}{^options}—{/options}',
+    '👀 Aguardando o resultado…',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.resolved': [
+    '✅ <b>Mercado resolvido</b>',
+    '🏟️ <b>{title}</b>',
+    '🏆 <b>Vencedor:</b> {winner}{^winner}—{/winner}',
+    '📊 Final: {optionsSummary}{^options}—{/options}',
+    '💰 Recompensas disponíveis no Auracle.',
+    '🔗 {url}',
+  ].join('\n'),
+  'template.trending': [
+    '📈 <b>Em alta no Auracle</b>',
+    '🏟️ <b>{title}</b>',
+    '{#category}📂 <b>{category}</b>\n{/category}{#closes}⏳ {closes}\n{/closes}{options}',
+    '🔗 {url}',
+  ].join('\n'),
+
+  'status.header':   '📌 <b>Mercado no Auracle</b>',
+  'status.line':     'Status: {status}',
+  'status.live':     '🟢 <b>Ao vivo</b>',
+  'status.open':     '🟢 <b>Aberto</b>',
+  'status.closed':   '🛑 <b>Fechado</b> — aguardando o resultado',
+  'status.resolved': '✅ <b>Resolvido</b>',
+  'status.resolvedWinner': '✅ <b>Resolvido</b> — 🏆 {winner}',
+
+  'inline.live':     '🟢 Ao vivo',
+  'inline.closed':   '🛑 Fechado',
+  'inline.resolved': '✅ Resolvido',
+
+  'odds.header':       '<b>As probabilidades mudaram</b>',
+  'odds.newFavourite': '🔄 Novo favorito: <b>{to}</b> (antes {from})',
+  'odds.within':       '⏱️ em {minutes} min',
+
+  'closing.header':     '⏰ <b>Fecha em {lead}</b>',
+  'closing.lastChance': '🎯 Última chance de fazer o seu palpite.',
+
+  'card.closes':  '⏳ Fecha em {time}',
+  'card.winner':  '🏆 <b>Vencedor:</b> {winner}',
+  'card.updated': '🕒 Atualizado em {time}',
+  'card.refresh': '🔄 Atualizar',
+  'card.watch':   '👀 Acompanhar',
+  'card.open':    'Abrir no Auracle',
+
+  'chart.caption':         '📈 <b>{title}</b>',
+  'chart.resolvedCaption': '📈 <b>{title}</b> — probabilidades ao longo do tempo',
+
+  'digest.header':   '🗞️ <b>Resumo do Auracle</b>',
+  'digest.since':    '🗓️ Desde {time}',
+  'digest.opened':   '🔥 <b>Novos mercados</b> ({count})',
+  'digest.resolved': '✅ <b>Resolvidos</b> ({count})',
+  'digest.closing':  '⏰ <b>Fecham nas próximas 24 horas</b> ({count})',
+  'digest.movers':   '📈 <b>Maiores mudanças de probabilidade</b>',
+  'digest.more':     '…e mais {count}',
+  'digest.empty':    'Nada de novo desde o último resumo.',
+
+  /* /markets browser */
+  'markets.heading.open':     'Mercados abertos',
+  'markets.heading.closed':   'Mercados fechados',
+  'markets.heading.trending': 'Mercados em alta',
+  'markets.sortedBy':   'ordenados por {sort}',
+  'markets.sort.odds':  'probabilidade do favorito',
+  'markets.sort.close': 'horário de fechamento',
+  'markets.sortBy':     'Ordenar por {sort}',
+  'markets.empty':      'Nada por aqui no momento.',
+  'markets.closed':     'fechado',
+  'markets.prev':       '◀ Anterior',
+  'markets.next':       'Próxima ▶',
+
+  /* Command replies */
+  'common.notSubscribed': 'Este chat não está inscrito. Use /subscribe primeiro.',
+  'common.yes': 'sim',
+  'common.no':  'não',
+
+  'auth.denied':    '⛔ Não autorizado. Este comando é restrito aos administradores do bot.',
+  'auth.ownerOnly': '⛔ Não autorizado. Somente os donos do bot podem gerenciar administradores.',
+
+  'market.usage':    'Uso: /market <id|url>',
+  'market.wait':     'Aguarde {seconds}s antes de consultar outro mercado.',
+  'market.notFound': 'Mercado não encontrado.',
+  'market.failed':   'A consulta falhou: {error}',
+  'market.slowDown': 'Calma — tente de novo em {seconds}s.',
+  'market.refreshing':     'Atualizando…',
+
+  'health.summary': 'Ativos: {active}  |  Em alta: {trending}\nAmostra de ativos: {activeSample}\nAmostra em alta: {trendingSample}',
+  'health.failed':  'A busca falhou: {error}',
+
+  'chart.usage':  'Uso: /chart <marketId|url>',
+  'chart.none':   'Ainda não há histórico de probabilidades para {id}.',
+  'chart.failed': 'O gráfico falhou: {error}',
+  'chart.wait':   'Aguarde {seconds}s antes de pedir outro gráfico.',
+
+  'whereami': 'Chat de destino: {target}\nEste chat: {here}\nInscrição: {subscription}\nDica: /set_target here',
+
+  'subscription.none':       'não inscrito',
+  'subscription.any':        'qualquer',
+  'subscription.events':     'eventos: {list}',
+  'subscription.categories': 'categorias: {list}',
+  'subscription.keywords':   'palavras-chave: {list}',
+  'subscription.digest':     'resumo: {cron} ({tz})',
+  'subscription.templates':  'modelos: {list}',
+  'subscription.default':    ' (padrão)',
+  'subscription.unknownEvent':  'Tipo(s) de evento desconhecido(s): {list} (use {allowed})',
+  'subscription.unknownFilter': 'Filtro desconhecido "{key}" (use events=, category=, keywords=)',
+  'subscription.notFilter':     '"{text}" não é um filtro (use chave=valor: events=, category=, keywords=)',
+
+  'subscribe.usage': 'Uso: /subscribe [events=open,closed,resolved,trending] [category=Sports,...] [keywords=palavra,...]',
+  'subscribe.ok':    'Inscrito. {subscription}',
+  'unsubscribe.notSubscribed': 'Este chat não está inscrito.',
+  'unsubscribe.ok':  'Inscrição cancelada. Este chat não receberá mais anúncios.',
+  'subscriptions.none': 'Nenhum chat inscrito.',
+
+  'setTarget.usage': 'Uso: /set_target <chatId|here>',
+  'setTarget.ok':    'OK. Chat de destino: {id}',
+
+  'digest.usage':      'Uso: /digest <{presets}|expressão cron> [tz=Área/Cidade] ou /digest off\nex.: /digest 30 8 * * 1-5 tz=America/Sao_Paulo (08:30 nos dias úteis)',
+  'digest.current':    'Resumo: {cron} ({tz})',
+  'digest.notSet':     'Este chat não tem resumo.',
+  'digest.off':        'Resumo desativado.',
+  'digest.scheduled':  'Resumo agendado: {cron} ({tz}). Veja uma prévia com /digest_now.',
+  'digest.badTimezone': 'Fuso horário desconhecido "{value}" (use um nome IANA como America/Sao_Paulo)',
+  'digest.badCron':    '"{value}" não é uma expressão cron de 5 campos nem um de {presets}',
+
+  'announceOpenNow.queued': { one: '{count} mercado aberto na fila para os chats inscritos.', other: '{count} mercados abertos na fila para os chats inscritos.' },
+
+  'tick.started':  'Ciclo iniciado…',
+  'tick.finished': 'Ciclo concluído.',
+  'tick.error':    'Erro no ciclo: {error}',
+
+  'state.summary': 'inicializado: {seeded}\ndestino: {target}\ninscrições: {subscriptions}\nacompanhados: {total}\n' +
+    'status: abertos={open}, fechados={closed}, resolvidos={resolved}, retirados={retired}\n' +
+    'anunciados: abertos={aO}, fechados={aC}, resolvidos={aR}',
+  'state.error': 'erro ao ler o estado',
+  'reseedOff.ok': 'Inicialização desativada (seeded=true).',
+
+  'oddsConfig.unknown': 'Ajuste desconhecido "{key}". Uso: /odds_config [points=N] [window=minutos] [cooldown=minutos]',
+  'oddsConfig.notNumber': '"{key}" precisa de um número inteiro, não "{value}". Uso: /odds_config [points=N] [window=minutos] [cooldown=minutos]',
+  'oddsConfig.min':     'points e window devem ser pelo menos 1.',
+  'oddsConfig.current': 'Alertas de probabilidade: mudança ≥ {points} pts em {window} min, intervalo de {cooldown} min por mercado.',
+
+  'reminders.usage':   'Uso: /reminders <minutos,...|off>  ex.: /reminders 60,15',
+  'reminders.current': 'Lembretes de fechamento: {leads} antes do fechamento.',
+  'reminders.off':     'Os lembretes de fechamento estão desativados.',
+
+  'admin.addUsage':    'Uso: /admin_add <userId> (ou responda a uma mensagem desse usuário)',
+  'admin.removeUsage': 'Uso: /admin_remove <userId> (ou responda a uma mensagem desse usuário)',
+  'admin.already':     '{id} já é administrador.',
+  'admin.added':       'OK. {id} agora é administrador.',
+  'admin.isOwner':     '{id} é dono (BOT_OWNER_IDS) e não pode ser removido aqui.',
+  'admin.notAdmin':    '{id} não é administrador.',
+  'admin.removed':     'OK. {id} não é mais administrador.',
+  'admin.list':        'donos: {owners}\nadministradores: {admins}\nadministradores do chat podem agir: {chatAdmins}',
+
+  'outbox.usage':    'Uso: /outbox [retry|drop <id|all>]',
+  'outbox.usageFor': 'Uso: /outbox {action} <id|all>',
+  'outbox.requeued': { one: '{count} mensagem com falha voltou para a fila.', other: '{count} mensagens com falha voltaram para a fila.' },
+  'outbox.dropped':  { one: '{count} mensagem com falha descartada.', other: '{count} mensagens com falha descartadas.' },
+  'outbox.summary':  'Fila de saída: {pending} pendentes, {sent} enviadas (últimos 7 dias), {dead} com falha',
+  'outbox.hint':     'Use /outbox retry <id|all> ou /outbox drop <id|all>.',
+
+  'template.usage': [
+    'Uso: /template show|reset <{events}>',
+    '     /template set <{events}> seguido do modelo (quebras de linha permitidas)',
+    'Marcadores: {fields}',
+    'Seções: {#category}aparece se tiver valor{/category} {^winner}aparece se estiver vazio{/winner}',
+    'Os valores são escapados automaticamente; o modelo em si é HTML do Telegram.',
+  ].join('\n'),
+  'template.showCustom':  'Modelo personalizado de {event}:',
+  'template.showDefault': 'Modelo padrão de {event}:',
+  'template.resetAll':    'Todos os modelos voltaram ao padrão.',
+  'template.resetOne':    'O modelo de {event} voltou ao padrão.',
+  'template.invalid':     'Modelo não salvo: {error}',
+  'template.rejected':    'Modelo não salvo, o Telegram rejeitou a prévia: {error}',
+  'template.saved':       'Salvo. Os anúncios de {event} neste chat agora usam o modelo acima.',
+  'template.sampleTitle': 'Lakers x Celtics — Quem vence o jogo 7?',
+
+  'lang.current': 'Idioma: {name}. Altere com /lang <{languages}>.',
+  'lang.set':     'Idioma alterado para {name}.',
+  'lang.usage':   'Uso: /lang <{languages}>',
+
+  'tz.current': 'Fuso horário: {tz} (agora {time}). Altere com /tz <Área/Cidade>, ou /tz reset para o padrão do bot ({default}).',
+  'tz.set':     'Fuso horário alterado para {tz} (agora {time}).',
+  'tz.usage':   'Uso: /tz <Área/Cidade|reset>  ex.: /tz America/Sao_Paulo',
+
+  /* Scraper health (ops chat) */
+  'ops.header':           '🚨 <b>O scraper parece quebrado</b>',
+  'ops.listEmpty':        'A lista de mercados veio vazia (normalmente {usual}).',
+  'ops.missingFields':    '{noOdds} de {total} páginas de detalhe sem probabilidades e {noTitle} sem título (normalmente {usual}% incompletas).',
+  'ops.oddsSum':          'As probabilidades de {off} de {total} mercados abertos não somam 100%, ex. {example} com {sum}%.',
+  'ops.statusRegression': {
+    one:   '{count} mercado voltou de {from} para {to} ({example}).',
+    other: '{count} mercados voltaram a um status anterior, ex. {example} de {from} para {to}.',
+  },
+  'ops.timeouts':         '{count} carregamentos de página expiraram, {ticks} ciclos seguidos.',
+  'ops.paused':           'Pausado até se recuperar: {events}.',
+  'ops.recovered':        '✅ O scraper voltou a funcionar (quebrado desde {since}). Os anúncios voltam.',
+
+  /* Watchlists (private chat) */
+  'watch.header':      '👀 <b>Na sua lista</b>',
+  'watch.welcome':     'Olá! Envie /watch <idMercado> ou toque em 👀 Acompanhar num anúncio e eu aviso quando esse mercado mudar, fechar ou for resolvido. /watchlist mostra o que você acompanha.',
+  'watch.usage':       'Uso: /watch <idMercado|url>',
+  'watch.unwatchUsage': 'Uso: /unwatch <idMercado|url>',
+  'watch.privateOnly': 'As listas ficam no chat privado: abra {bot} e envie /watch lá.',
+  'watch.theBot':      'o bot',
+  'watch.added':       '👀 Acompanhando {title} ({count}/{max}). Eu aviso quando as probabilidades mudarem, fechar e for resolvido.',
+  'watch.already':     '👀 {title} já está na sua lista.',
+  'watch.full':        'Sua lista está cheia ({max} mercados). Remova um com /unwatch antes.',
+  'watch.over':        '{title} já foi resolvido.',
+  'watch.unknown':     '{title} não é um mercado que eu acompanho. Use o id de um anúncio ou de /markets.',
+  'watch.removed':     '{title} removido da sua lista.',
+  'watch.notWatched':  '{id} não está na sua lista.',
+  'watch.empty':       'Sua lista está vazia. Use /watch <idMercado> ou o botão 👀 Acompanhar nos anúncios.',
+  'watch.list':        '👀 <b>Sua lista</b> ({count}/{max})',
+
+  /* Prediction game */
+  'game.picked':   '🎯 Você escolheu {label} a {pct}%: vale {points} pontos se vencer.',
+  'game.changed':  '🎯 Você mudou sua escolha para {label} a {pct}%: vale {points} pontos se vencer.',
+  'game.already':  '🎯 Você já escolheu {label} ({points} pontos se vencer).',
+  'game.closed':   '⏳ As escolhas estão encerradas para este mercado.',
+  'game.gone':     '⏳ Essa opção não está mais disponível: escolha de novo com as probabilidades atuais.',
+  'game.isOn':     '🎯 O jogo de palpites está ativo neste chat. /game off para parar.',
+  'game.isOff':    'O jogo de palpites está desativado neste chat. /game on adiciona botões aos mercados novos.',
+  'game.usage':    'Uso: /game <on|off>',
+  'game.turnedOn': '🎯 Jogo de palpites ativado: mercados novos ganham botões. Acertar o azarão vale mais. /leaderboard, /mypicks.',
+  'game.turnedOff': 'Jogo de palpites desativado. As pontuações são mantidas.',
+  'game.boardWeek': '🏆 <b>Classificação</b> — esta semana (desde {since})',
+  'game.boardAll': '🏆 <b>Classificação</b> — geral',
+  'game.record':   { one: '({correct}/{count} acerto)', other: '({correct}/{count} acertos)' },
+  'game.noScoresWeek': 'Ainda não há pontos nesta semana. /leaderboard all mostra a geral.',
+  'game.noScores': 'Ainda não há pontos: escolha num mercado novo e espere ele ser resolvido.',
+  'game.myPicks':  '🎯 <b>Suas escolhas abertas</b>',
+  'game.noOpenPicks': 'Nenhuma no momento.',
+  'game.worth':    '(vale {points})',
+  'game.standing': { one: 'Geral: <b>{points}</b> pontos, {correct}/{count} acerto, nº {rank} aqui.', other: 'Geral: <b>{points}</b> pontos, {correct}/{count} acertos, nº {rank} aqui.' },
+  'game.noStanding': 'Você ainda não tem escolhas resolvidas.',
+  'game.calledIt': { one: '🎯 <b>Acertou</b> ({count} de {total}): {names}', other: '🎯 <b>Acertaram</b> ({count} de {total}): {names}' },
+  'game.nobodyCalledIt': { one: '🎯 A única escolha errou.', other: '🎯 Ninguém acertou: as {count} escolhas erraram.' },
+  'game.andMore':  'e mais {count}',
+
+  /* Command menu */
+  'cmd.ping':              'Verificar se o bot responde',
+  'cmd.health':            'Contagem de ativos/em alta (títulos do detalhe)',
+  'cmd.markets':           'Navegar pelos mercados: [open|closed|trending] [categoria]',
+  'cmd.market':            'Card ao vivo de um mercado por id ou url',
+  'cmd.chart':             'Gráfico de probabilidades de um mercado',
+  'cmd.whereami':          'Mostrar o chat atual e o de destino',
+  'cmd.set_target':        'Definir o chat de destino ou "here"',
+  'cmd.subscribe':         'Inscrever este chat (events=, category=, keywords=)',
+  'cmd.unsubscribe':       'Parar os anúncios neste chat',
+  'cmd.subscriptions':     'Listar chats inscritos e filtros',
+  'cmd.digest':            'Ver/definir o horário do resumo (daily, weekly ou cron) e o fuso',
+  'cmd.digest_now':        'Prévia do resumo deste chat',
+  'cmd.lang':              'Ver/alterar o idioma deste chat',
+  'cmd.tz':              'Ver/alterar o fuso horário deste chat',
+  'cmd.announce_open_now': 'Anunciar agora N mercados abertos',
+  'cmd.tick_now':          'Executar um ciclo agora',
+  'cmd.state':             'Mostrar contagens de acompanhados/anunciados',
+  'cmd.reseed_off':        'Marcar seeded=true (pular anúncios iniciais)',
+  'cmd.odds_config':       'Ver/definir pontos, janela e intervalo dos alertas',
+  'cmd.reminders':         'Ver/definir lembretes de fechamento (minutos)',
+  'cmd.admin_add':         'Tornar um usuário administrador (só donos)',
+  'cmd.admin_remove':      'Remover um administrador (só donos)',
+  'cmd.admins':            'Listar donos e administradores',
+  'cmd.outbox':            'Mensagens na fila/com falha; reenviar ou descartar',
+  'cmd.template':          'Ver, definir ou redefinir os modelos deste chat',
+  'cmd.watch':             'Acompanhar um mercado e receber mensagens privadas (chat privado)',
+  'cmd.unwatch':           'Parar de acompanhar um mercado',
+  'cmd.watchlist':         'Mercados que você acompanha',
+  'cmd.game':              'Ver ou mudar o jogo de palpites neste chat (on|off)',
+  'cmd.leaderboard':       'Classificação do jogo: esta semana, ou "all"',
+  'cmd.mypicks':           'Suas escolhas abertas e sua pontuação',
+};
@@ -0,0 +1,94 @@
+/* =========================
+   METRICS
+   =========================
+   A small Prometheus registry: counters, gauges and histograms rendered in
+   the text exposition format (0.0.4). Counters and gauges can take
+   collect({ set }), which runs right before each render to fill in values
+   that are cheaper to read on demand than to keep up to date.
+*/
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export function createRegistry() {
+  const metrics = [];
+
+  function define(type, name, help, { labels = [], buckets = [], collect = null } = {}) {
+    const m = { type, name, help, labels, buckets: [...buckets].sort((a, b) => a - b), collect, series: new Map() };
+    m.set = (labels, v) => {
+      if (typeof labels === 'number') [labels, v] = [{}, labels];
+      series(m, labels, () => ({ value: 0 })).value = v;
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function series(m, labels, init) {
+    const values = m.labels.map(l => String(labels[l] ?? ''));
+    const key = values.join('\u0000');
+    if (!m.series.has(key)) m.series.set(key, { values, ...init() });
+    return m.series.get(key);
+  }
+
+  return {
+    counter(name, help, opts) {
+      const m = define('counter', name, help, opts);
+      return {
+        inc(labels = {}, n = 1) { series(m, labels, () => ({ value: 0 })).value += n; },
+      };
+    },
+
+    gauge(name, help, opts) {
+      const m = define('gauge', name, help, opts);
+      return { set: m.set, reset: () => m.series.clear() };
+    },
+
+    histogram(name, help, opts) {
+      const m = define('histogram', name, help, opts);
+      return {
+        observe(v, labels = {}) {
+          const s = series(m, labels, () => ({ counts: m.buckets.map(() => 0), sum: 0, count: 0 }));
+          m.buckets.forEach((b, i) => { if (v <= b) s.counts[i]++; });
+          s.sum += v;
+          s.count++;
+        },
+      };
+    },
+
+    render() {
+      const out = [];
+      for (const m of metrics) {
+        if (m.collect) {
+          // Collected series are rebuilt from scratch so vanished label values drop out
+          m.series.clear();
+          try { m.collect({ set: m.set }); }
+          catch (e) { console.error(`[metrics] collect ${m.name} failed:`, e?.message || e); }
+        }
+        out.push(`# HELP ${m.name} ${m.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        out.push(`# TYPE ${m.name} ${m.type}`);
+        for (const s of m.series.values()) {
+          const pairs = m.labels.map((l, i) => [l, s.values[i]]);
+          if (m.type !== 'histogram') {
+            out.push(`${m.name}${fmtLabels(pairs)} ${fmtValue(s.value)}`);
+            continue;
+          }
+          m.buckets.forEach((b, i) => out.push(`${m.name}_bucket${fmtLabels([...pairs, ['le', fmtValue(b)]])} ${s.counts[i]}`));
+          out.push(`${m.name}_bucket${fmtLabels([...pairs, ['le', '+Inf']])} ${s.count}`);
+          out.push(`${m.name}_sum${fmtLabels(pairs)} ${fmtValue(s.sum)}`);
+          out.push(`${m.name}_count${fmtLabels(pairs)} ${s.count}`);
+        }
+      }
+      return out.join('\n') + '\n';
+    },
+  };
+}
+
+function fmtLabels(pairs) {
+  if (!pairs.length) return '';
+  const esc = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${pairs.map(([k, v]) => `${k}="${esc(v)}"`).join(',')}}`;
+}
+
+function fmtValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
@@ -0,0 +1,135 @@
+import { sleep } from './util.js';
+
+/* =========================
+   OUTBOX
+   =========================
+   Announcements are written to the store's outbox first and delivered from
+   there, so a flood limit, a network blip or a restart only delays them.
+
+     - one chat's messages go out in the order they were queued
+     - at most one message per chat every chatIntervalMs, and one overall
+       every globalIntervalMs
+     - 429s wait for Telegram's retry_after, other transient errors back off
+       exponentially; neither loses the message
+     - permanent failures (bot blocked or kicked, chat not found, bad request)
+       and messages that ran out of attempts become dead letters
+
+   deliver(item) does the Telegram call and must throw Telegraf's errors as-is.
+   onSent(item, message) runs once Telegram has confirmed the message;
+   onRetry(item, error) and onDead(item, error, code) report failed attempts,
+   code being Telegram's error_code when there is one.
+*/
+export const OUTBOX_DEFAULTS = {
+  chatIntervalMs:   3000, // Telegram allows about 20 messages a minute into a group
+  globalIntervalMs: 40,   // and about 30 a second overall
+  maxAttempts:      10,
+  backoffMs:        2000,
+  maxBackoffMs:     10 * 60_000,
+  pollMs:           1000,
+};
+
+// → { description, retryAfterMs? , permanent }
+export function classifyTelegramError(e) {
+  const code = e?.response?.error_code;
+  const description = e?.response?.description || e?.message || String(e);
+  if (code === 429) {
+    const retryAfter = Number(e.response.parameters?.retry_after) || 1;
+    return { description, retryAfterMs: retryAfter * 1000, permanent: false };
+  }
+  // 400 and 403 do not get better by retrying: blocked, kicked, chat not found, malformed HTML
+  if (code === 400 || code === 403) return { description, permanent: true };
+  return { description, permanent: false };
+}
+
+export function backoffDelay(attempt, { backoffMs = OUTBOX_DEFAULTS.backoffMs, maxBackoffMs = OUTBOX_DEFAULTS.maxBackoffMs } = {}) {
+  return Math.min(maxBackoffMs, backoffMs * 2 ** Math.max(0, attempt));
+}
+
+export function createOutbox({ store, deliver, onSent = () => {}, onRetry = () => {}, onDead = () => {}, ...options }) {
+  const opts = { ...OUTBOX_DEFAULTS, ...options };
+  const lastSentByChat = new Map(); // chatId → ms
+  let lastSentAt = 0;
+  let timer = null;
+  let pumping = null;
+  let stopped = false;
+
+  async function deliverOne(item) {
+    let message;
+    try {
+      message = await deliver(item);
+    } catch (e) {
+      const { description, retryAfterMs, permanent } = classifyTelegramError(e);
+      const attempt = item.attempts + 1;
+      // Flood waits always end, so they never use up attempts
+      if (permanent || (retryAfterMs == null && attempt >= opts.maxAttempts)) {
+        store.outboxDead(item.id, description);
+        console.error(`[outbox] DEAD #${item.id} → chat ${item.chatId} [${item.event}] after ${attempt} attempt(s): ${description}`);
+        onDead(item, description, e?.response?.error_code);
+        return;
+      }
+      const wait = Math.max(retryAfterMs || 0, backoffDelay(item.attempts, opts));
+      store.outboxRetry(item.id, { error: description, nextAt: Date.now() + wait });
+      console.error(`[outbox] RETRY #${item.id} → chat ${item.chatId} [${item.event}] in ${Math.round(wait / 1000)}s: ${description}`);
+      onRetry(item, description);
+      return;
+    }
+    store.outboxSent(item.id, message?.message_id ?? null);
+    try {
+      onSent(item, message);
+    } catch (e) {
+      console.error('[outbox] onSent failed', item.id, e?.message || e);
+    }
+  }
+
+  async function pump() {
+    while (!stopped) {
+      const now = Date.now();
+      const ready = store.outboxDue(now).filter(it => (lastSentByChat.get(it.chatId) || 0) + opts.chatIntervalMs <= now);
+      if (!ready.length) return;
+      for (const item of ready) {
+        const wait = lastSentAt + opts.globalIntervalMs - Date.now();
+        if (wait > 0) await sleep(wait);
+        if (stopped) return;
+        lastSentAt = Date.now();
+        lastSentByChat.set(item.chatId, lastSentAt);
+        await deliverOne(item);
+      }
+    }
+  }
+
+  function kick() {
+    if (!pumping && !stopped) {
+      pumping = pump()
+        .catch((e) => console.error('[outbox] pump error:', e?.message || e))
+        .finally(() => { pumping = null; });
+    }
+    return pumping;
+  }
+
+  return {
+    // Returns how many items were new; already-known keys are ignored
+    enqueue(items) {
+      if (!items.length) return 0;
+      const added = store.enqueueOutbox(items);
+      if (added) setImmediate(kick);
+      return added;
+    },
+
+    start() {
+      stopped = false;
+      if (!timer) timer = setInterval(kick, opts.pollMs);
+      kick();
+    },
+
+    // Waits for the message in flight, if any
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      timer = null;
+      await pumping;
+    },
+
+    drain: kick,
+    stats: () => store.outboxStats(),
+  };
+}
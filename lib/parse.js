@@ -0,0 +1,245 @@
+/* =========================
+   PAGE PARSING
+   =========================
+   What the scrapers make of Auracle's pages once the browser has picked the
+   text out of them. The browser side (lib/scraper.js) only walks the DOM and
+   hands back strings; everything read from those strings lives here, so it
+   can be tested without a browser.
+*/
+const NOT_AN_OPTION = /(PROBABILITY|CHART|POOL|SPORTS|WINS|IMPLIED|HOW IT WORKS|PAYOUTS|RESOLUTION|EARLY CASH-OUT)/i;
+const CURRENT_PREFIX = /^CURRENT\s*[–—-]?\s*/i;
+
+export function marketIdFromHref(href = '') {
+  try {
+    const u = new URL(href);
+    return u.searchParams.get('id') || (u.pathname.match(/\/markets\/([^/]+)/i)?.[1] || null);
+  } catch {
+    return null;
+  }
+}
+
+// Two-way markets often print one side only: the other is what is left
+function fillTwoWay(out) {
+  if (out.length !== 2) return out;
+  const [a, b] = out;
+  if (a.pct != null && b.pct == null) b.pct = Math.max(0, Math.min(100, 100 - a.pct));
+  if (b.pct != null && a.pct == null) a.pct = Math.max(0, Math.min(100, 100 - b.pct));
+  return out;
+}
+
+const validPct = (pct) => (pct != null && pct >= 0 && pct <= 100) ? Math.round(pct) : null;
+
+// "12.5 %" → 13; null when there is no number
+export function parsePct(s = '') {
+  const n = parseFloat(String(s).replace('%', '').replace(/[^\d.]/g, ''));
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
+
+// "Lakers IMPLIED 62%" panels (the purple/cyan/yellow ones) → up to three options
+export function optionsFromImpliedTexts(texts = []) {
+  const out = [];
+  for (const raw of texts) {
+    const t = String(raw || '').replace(/\s+/g, ' ').trim();
+    if (t.length < 4 || t.length > 80) continue;
+    const m = t.match(/^(.+?)\s+IMPLIED[^0-9]*?(\d{1,3})\s*%$/i);
+    if (!m) continue;
+    const label = m[1].trim();
+    const pct = parseInt(m[2], 10);
+    if (label && Number.isFinite(pct)) out.push({ label, pct });
+    if (out.length >= 3) break;
+  }
+  return out;
+}
+
+// "CURRENT Lakers 62%" blocks under the chart, as closed pages show the odds
+export function optionsFromCurrentBlocks(pageText = '') {
+  const raw = String(pageText).replace(/\s+/g, ' ');
+  const re = /CURRENT\s+([A-Za-z0-9@.'’\-&/ ]+?)\s+(\d{1,3})\s*%/gi;
+  const out = [];
+  let m;
+  while ((m = re.exec(raw))) {
+    const label = m[1].trim();
+    const pct = parseInt(m[2], 10);
+    if (label && Number.isFinite(pct)) out.push({ label, pct });
+  }
+  return out.slice(0, 3);
+}
+
+/* ---------- market list ---------- */
+
+// Cards: the first label wins
+export function normalizeCardOptions(arr = []) {
+  const out = [];
+  const seen = new Set();
+  for (const o of arr) {
+    const label = (o?.label || '').replace(CURRENT_PREFIX, '').trim();
+    if (!label) continue;
+    const U = label.toUpperCase();
+    if (NOT_AN_OPTION.test(U) || seen.has(U)) continue;
+    seen.add(U);
+    out.push({ label, pct: validPct(o?.pct) });
+    if (out.length >= 3) break;
+  }
+  return fillTwoWay(out);
+}
+
+const minutesOf = (n, unit = '') => {
+  unit = unit.toLowerCase();
+  if (unit.startsWith('day'))  return n * 24 * 60;
+  if (unit.startsWith('hour')) return n * 60;
+  return n;
+};
+
+// The furthest "in about 3 hours" among a card's time texts, as printed
+export function pickEndsIn(texts = []) {
+  let endsIn = '';
+  let bestMins = -1;
+  for (const raw of texts) {
+    const t = String(raw || '').trim();
+    const m = t.match(/\b(?:in\s+about|about|in)\s+(\d+)\s*(days?|hours?|minutes?)\b/i);
+    if (!m) continue;
+    const mins = minutesOf(parseInt(m[1], 10), m[2]);
+    if (Number.isFinite(mins) && mins > bestMins) { bestMins = mins; endsIn = t; }
+  }
+  return endsIn;
+}
+
+// card: { href, category, timeTexts, impliedTexts, rowOptions, hot } as the
+// browser read it → { entry, trending }
+export function parseListCard(card) {
+  let options = optionsFromImpliedTexts(card.impliedTexts);
+  if (options.length < 2 && (card.rowOptions || []).length >= 2) options = card.rowOptions;
+  const entry = {
+    id: marketIdFromHref(card.href), url: card.href, title: '', category: card.category || '',
+    endsIn: pickEndsIn(card.timeTexts), options: normalizeCardOptions(options), status: 'open',
+  };
+  return { entry, trending: !!card.hot };
+}
+
+// Cards in page order → { trending, active }, one card per market. A page
+// where every card looks hot has no trending section: they are all active.
+export function splitSections(cards = []) {
+  const byKey = new Map();
+  for (const card of cards) {
+    const parsed = parseListCard(card);
+    const key = parsed.entry.id || parsed.entry.url;
+    if (!byKey.has(key)) byKey.set(key, parsed);
+  }
+  const trending = [];
+  const active = [];
+  for (const { entry, trending: hot } of byKey.values()) (hot ? trending : active).push(entry);
+  if (!active.length && trending.length) return { trending: [], active: trending };
+  return { trending, active };
+}
+
+/* ---------- detail page ---------- */
+
+const NOT_A_TITLE = /^(AURACLE|BACK TO AURACLES|PREDICT THE FUTURE)$/i;
+
+function scoreTitle(s) {
+  if (!s) return -1e9;
+  const t = s.replace(/\s+/g, ' ').trim();
+  if (NOT_A_TITLE.test(t)) return -1e9;
+  if (/AURACLE\s*(•|-|—|\|)/i.test(t)) return -1000;
+  let score = 0;
+  if (/\bvs\b/i.test(t)) score += 50;
+  if (/\?/.test(t)) score += 30;
+  if (t.length >= 12) score += 10;
+  score += Math.min(60, t.length / 2);
+  return score;
+}
+
+// The most title-like of og:title and the headings, else the document title
+export function pickTitle({ ogTitle = '', headings = [], docTitle = '' } = {}) {
+  const cand = [];
+  if (ogTitle) cand.push({ t: ogTitle, s: scoreTitle(ogTitle) });
+  for (const h of headings) cand.push({ t: h, s: scoreTitle(h) });
+  cand.sort((a, b) => b.s - a.s);
+  const best = (cand.find(x => x.s > 0)?.t || '').trim();
+  if (best) return best;
+  const dt = docTitle.trim();
+  const parts = dt.split(/[|\-•—]/).map(s => s.trim()).filter(Boolean).filter(p => !/^AURACLE$/i.test(p));
+  return parts[0] || dt;
+}
+
+// rowSets: for each row selector that matched two rows or more, the rows'
+// { label, pctText }. The first set with two labels is the "Place Bet" list.
+function optionsFromRowSets(rowSets = []) {
+  for (const rows of rowSets) {
+    const out = rows.map((row, i) => {
+      const label = (row.label || '').trim() || `Option ${i + 1}`;
+      return { label, pct: parsePct(row.pctText || '') };
+    });
+    if (out.filter(o => o.label).length >= 2) return out.slice(0, 3);
+  }
+  return [];
+}
+
+// Detail pages: a later reading of the same label can fill in its odds
+export function normalizeDetailOptions(options = []) {
+  const byLabel = new Map();
+  for (const o of options) {
+    const label = (o.label || '').trim().replace(CURRENT_PREFIX, '').replace(/\s+/g, ' ');
+    if (!label) continue;
+    const U = label.toUpperCase();
+    if (NOT_AN_OPTION.test(U)) continue;
+    const pct = validPct(o.pct);
+    if (!byLabel.has(U)) byLabel.set(U, { label, pct });
+    else if (pct != null) byLabel.get(U).pct = pct;
+  }
+  return fillTwoWay([...byLabel.values()].slice(0, 3));
+}
+
+// The "Place Bet" rows, else the CURRENT blocks, else the IMPLIED panels
+export function pickDetailOptions({ rowSets = [], pageText = '', impliedTexts = [] } = {}) {
+  let options = optionsFromRowSets(rowSets);
+  const complete = () => options.length >= 2 && options.every(o => o.pct !== null);
+  if (!complete()) {
+    const current = optionsFromCurrentBlocks(pageText);
+    if (current.length >= 2) options = current;
+  }
+  if (!complete()) {
+    const implied = optionsFromImpliedTexts(impliedTexts);
+    if (implied.length >= 2) options = implied;
+  }
+  return normalizeDetailOptions(options);
+}
+
+// → { status, winner }
+export function readStatus(pageText = '') {
+  const resolved =
+    pageText.match(/ORACLE\s+RESOLVED\s*[:\-]\s*([^\n\r]+)/i) ||
+    pageText.match(/ORACLE\s+RESOLVED\s*(?:\r?\n)+\s*([^\n\r]+)/i);
+  const winner = resolved?.[1]?.trim() || null;
+  if (winner) return { status: 'resolved', winner };
+  if (pageText.toUpperCase().includes('ORACLE CLOSED - AWAITING RESOLUTION')) return { status: 'closed', winner: null };
+  return { status: 'open', winner: null };
+}
+
+const RE_DATE = /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s*\d{4}\b/i;
+const RE_TIME = /\b\d{1,2}:\d{2}\s*(AM|PM)\b/i;
+
+// The close time as printed: the first dated text next to the "Close" label,
+// else the first date on the page and the first time after it
+export function pickCloseText({ nearLabel = [], pageText = '' } = {}) {
+  for (const raw of nearLabel) {
+    const t = String(raw || '').trim();
+    if (t && RE_DATE.test(t)) return t;
+  }
+  const body = String(pageText).replace(/\s+/g, ' ');
+  const md = body.match(RE_DATE);
+  if (!md) return '';
+  const mt = body.slice(md.index + md[0].length).match(RE_TIME);
+  return md[0] + (mt ? ` ${mt[0]}` : '');
+}
+
+// raw: what the browser read off a detail page → the market, closeISO aside
+export function parseDetailPage(raw) {
+  const { status, winner } = readStatus(raw.pageText || '');
+  return {
+    id: marketIdFromHref(raw.href), title: pickTitle(raw), url: raw.href,
+    status, options: pickDetailOptions(raw), winner,
+    endsIn: '',
+    closeText: pickCloseText({ nearLabel: raw.closeTexts, pageText: raw.pageText }),
+  };
+}
@@ -0,0 +1,81 @@
+/* =========================
+   DETAIL SCHEDULING
+   =========================
+   A tick does not need a fresh detail page for every watched market. The list
+   card already carries live odds for listed open markets, closed markets only
+   change when they resolve, and markets about to close are the ones worth
+   watching closely. planDetailScrapes decides which markets get a detail
+   scrape this tick and in what order; runWithBudget works through that plan
+   with a few scrapes in flight and stops starting new ones at a deadline.
+*/
+export const SCHEDULE_DEFAULTS = {
+  openEveryMs:   10 * 60_000, // listed open markets with a complete card
+  closedEveryMs:  5 * 60_000, // closed, waiting for a resolution
+  nearCloseMs:   30 * 60_000, // scrape every tick from this close to closeISO
+};
+
+// Lower runs first; carried-over work jumps the queue so it cannot starve
+const PRIORITY = { carried: -1, 'near-close': 0, new: 1, unlisted: 2, 'incomplete-card': 3, stale: 3, closed: 4 };
+
+export function cardIsComplete(card) {
+  return !!card && card.options?.length >= 2 && card.options.every(o => o.label && o.pct != null);
+}
+
+/**
+ * ids:      watched market ids
+ * markets:  state.markets
+ * cards:    Map id → list card (active + trending)
+ * carried:  ids left over from the previous tick
+ * → { due: [{ id, reason }], skipped: [id] } with due sorted by priority
+ */
+export function planDetailScrapes({ ids, markets = {}, cards = new Map(), carried = new Set(), now = Date.now(), settings = {} }) {
+  const { openEveryMs, closedEveryMs, nearCloseMs } = { ...SCHEDULE_DEFAULTS, ...settings };
+  const due = [], skipped = [];
+
+  for (const id of ids) {
+    const prev = markets[id];
+    const card = cards.get(id);
+    const age = prev?.lastDetailAt ? now - prev.lastDetailAt : Infinity;
+    const closeMs = Date.parse(prev?.lastSeen?.closeISO || '');
+
+    let reason = null;
+    if (!prev?.lastSeen?.title) reason = 'new';
+    else if (prev.lastStatus === 'closed') reason = age >= closedEveryMs ? 'closed' : null;
+    else if (!isNaN(closeMs) && closeMs - now <= nearCloseMs) reason = 'near-close';
+    else if (!card) reason = 'unlisted';
+    else if (!cardIsComplete(card)) reason = 'incomplete-card';
+    else if (age >= openEveryMs) reason = 'stale';
+
+    if (reason) due.push({ id, reason, rank: carried.has(id) ? PRIORITY.carried : PRIORITY[reason] });
+    else skipped.push(id);
+  }
+
+  due.sort((a, b) => a.rank - b.rank);
+  return { due: due.map(({ id, reason }) => ({ id, reason })), skipped };
+}
+
+/**
+ * Runs worker(item) over items with at most `concurrency` in flight. No new
+ * item starts once `deadline` (epoch ms) has passed; those come back in
+ * `leftover`. Results keep the order of items; a failed item is { error }.
+ */
+export async function runWithBudget(items, worker, { concurrency = 1, deadline = Infinity } = {}) {
+  const results = [];
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length && Date.now() < deadline) {
+      const i = next++;
+      const started = Date.now();
+      try {
+        results[i] = { item: items[i], value: await worker(items[i]), ms: Date.now() - started };
+      } catch (error) {
+        results[i] = { item: items[i], error, ms: Date.now() - started };
+      }
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return { results: results.filter(Boolean), leftover: items.slice(next) };
+}
@@ -0,0 +1,396 @@
+import puppeteer from 'puppeteer';
+import { sleep } from './util.js';
+import { parseCloseText } from './time.js';
+import { splitSections, parseDetailPage } from './parse.js';
+
+/* =========================
+   PUPPETEER
+   ========================= */
+const dbg = !!process.env.DEBUG;
+const DEFAULT_BASE_URL = process.env.AURACLE_BASE_URL || 'https://auracle.fi';
+const DEFAULT_TIMEZONE = process.env.AURACLE_TIMEZONE || 'UTC';
+
+let browser = null;
+let launching = null; // concurrent scrapes share one launch
+let launches = 0;
+
+export async function getBrowser() {
+  if (browser) return browser;
+  if (!launching) launching = launchBrowser().finally(() => { launching = null; });
+  return launching;
+}
+async function launchBrowser() {
+  const b = await puppeteer.launch({
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--single-process',
+      '--window-size=1280,1024',
+    ],
+  });
+  launches++;
+  // A crashed Chrome leaves a dead handle behind; drop it so the next scrape relaunches
+  b.on('disconnected', () => {
+    if (browser !== b) return;
+    console.error('[puppeteer] browser disconnected');
+    forgetBrowser();
+  });
+  browser = b;
+  console.log(launches > 1 ? '[puppeteer] relaunched' : '[puppeteer] launched');
+  return b;
+}
+
+export function browserStats() {
+  return { launches, restarts: Math.max(0, launches - 1), running: !!browser };
+}
+export async function newPage() {
+  const b = await getBrowser();
+  const page = await b.newPage();
+  await page.setUserAgent('Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) AuracleBot/1.0 Chrome/117 Safari/537.36');
+  await page.setViewport({ width: 1280, height: 1024 });
+  await page.setCacheEnabled(false);
+  return page;
+}
+export async function autoScroll(page) {
+  await page.evaluate(async () => {
+    await new Promise((resolve) => {
+      let total = 0;
+      const distance = 800;
+      const timer = setInterval(() => {
+        const doc = document.scrollingElement || document.documentElement;
+        const { scrollTop, scrollHeight, clientHeight } = doc;
+        window.scrollBy(0, distance);
+        total += distance;
+        if (scrollTop + clientHeight >= scrollHeight - 2 || total > 20000) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, 250);
+    });
+  });
+}
+
+export async function closeBrowser() {
+  const b = browser;
+  forgetBrowser();
+  if (b) await b.close();
+}
+
+function forgetBrowser() {
+  browser = null;
+  pool.open -= pool.idle.length;
+  pool.idle = [];
+}
+
+/* =========================
+   PAGE POOL
+   =========================
+   Scrapes borrow a tab instead of opening a fresh one every time. At most
+   `size` tabs exist at once and extra callers queue. A tab whose scrape threw
+   is closed rather than reused, in case it is stuck mid-navigation.
+*/
+const pool = { size: 1, open: 0, idle: [], waiters: [] };
+
+export function setPagePoolSize(n) {
+  pool.size = Math.max(1, parseInt(n, 10) || 1);
+  while (pool.waiters.length) pool.waiters.shift()();
+}
+
+export function pagePoolStats() {
+  return { size: pool.size, open: pool.open, idle: pool.idle.length, waiting: pool.waiters.length };
+}
+
+async function acquirePage() {
+  for (;;) {
+    const idle = pool.idle.pop();
+    if (idle) return idle;
+    if (pool.open < pool.size) {
+      pool.open++;
+      try {
+        return await newPage();
+      } catch (e) {
+        releaseSlot();
+        throw e;
+      }
+    }
+    await new Promise((resolve) => pool.waiters.push(resolve));
+  }
+}
+
+function releaseSlot() {
+  pool.open--;
+  pool.waiters.shift()?.();
+}
+
+async function releasePage(page, healthy) {
+  const reusable = healthy && !page.isClosed() && page.browser() === browser && pool.open <= pool.size;
+  if (reusable) {
+    pool.idle.push(page);
+    pool.waiters.shift()?.();
+    return;
+  }
+  releaseSlot();
+  try { await page.close(); } catch {}
+}
+
+export async function withPage(fn) {
+  const page = await acquirePage();
+  let healthy = false;
+  try {
+    const out = await fn(page);
+    healthy = true;
+    return out;
+  } finally {
+    await releasePage(page, healthy);
+  }
+}
+
+/* =========================
+   LIST SCRAPER (Active vs Trending)
+   ========================= */
+// baseUrl is injectable so the fixture harness can point it at a local server
+export async function fetchMarketsFromSections({ debug = false, baseUrl = DEFAULT_BASE_URL } = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const now  = Date.now();
+  const listCandidates = [`${base}/Markets?ts=${now}`, `${base}/markets?ts=${now}`];
+
+  for (const url of listCandidates) {
+    try {
+      const data = await withPage(async (page) => {
+        if (debug || dbg) console.log('[sections] goto', url);
+        await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+
+        try {
+          await page.waitForFunction(
+            () => !!document.querySelector('a[href*="MarketDetails?id="], a[href*="/markets/"]'),
+            { timeout: 20000 }
+          );
+        } catch {}
+        for (let i = 0; i < 10; i++) { await autoScroll(page); await sleep(400); }
+
+        // Only the DOM walk happens in the page; lib/parse.js reads the text
+        const cards = await page.evaluate(() => {
+          const text = (el) => (el?.textContent || '').trim();
+
+          const HAS_HOT = (node) => {
+            if (!node) return false;
+            const nodes = Array.from(node.querySelectorAll('*:not(script):not(style)')).slice(0, 500);
+            for (const n of nodes) {
+              const t = (n.textContent || '').toUpperCase();
+              if (/#\s*\d+\s*HOT/.test(t)) return true;
+            }
+            return false;
+          };
+
+          // reject elements in these sections
+          const isNoise = (el) => {
+            const cls = (el.closest('[class]')?.className || '') + ' ' + (el.id || '');
+            return /(how|works|analysis|faq|help|guide|legal|footer|auracle-analys)/i.test(cls);
+          };
+
+          // “XYZ IMPLIED 33%” boxes (those purple/cyan/yellow panels)
+          const impliedTexts = (root) => Array.from(root?.querySelectorAll('*') || []).slice(0, 1000)
+            .filter(el => !isNoise(el))
+            .map(el => (el.textContent || '').replace(/\s+/g, ' ').trim())
+            .filter(t => t.length <= 80 && /IMPLIED/i.test(t));
+
+          // “place bet rows” – only if inside an options/bet container
+          const fromPlaceBetRows = (root) => {
+            const containers = Array.from(root?.querySelectorAll('[class*="place"],[class*="bet"],[class*="option"],[class*="side"]') || []);
+            const out = [];
+            const labelSel = [
+              '.label', '.name', '.team', '.option-label',
+              '[data-testid="option-label"]', '[data-testid="option-name"]',
+              'strong', 'span', 'p'
+            ].join(',');
+            const pctSel = [
+              '.percent', '.percentage', '.progress-label', '.option-percent',
+              '[data-testid="option-percent"]'
+            ].join(',');
+            for (const box of containers) {
+              const rows = Array.from(box.querySelectorAll('[class*="option"],[class*="side"],[role="listitem"]')).slice(0,6);
+              for (const row of rows) {
+                if (isNoise(row)) continue;
+                const lblNode = row.querySelector(labelSel);
+                const pctNode = row.querySelector(pctSel);
+                if (!lblNode || !pctNode) continue;
+                const lbl = (lblNode.textContent || '').trim();
+                const pctStr = (pctNode.textContent || '').replace('%','').replace(/[^\d.]/g,'');
+                const pct = Number.isFinite(parseFloat(pctStr)) ? Math.round(parseFloat(pctStr)) : null;
+                if (lbl && pct != null) out.push({ label: lbl, pct });
+                if (out.length >= 3) break;
+              }
+              if (out.length >= 2) break;
+            }
+            return out;
+          };
+
+          const anchors = Array.from(document.querySelectorAll('a[href*="MarketDetails?id="], a[href*="/markets/"]'));
+          const seenUrls = new Set();
+          const cards = [];
+          for (const a of anchors) {
+            const href = a.getAttribute('href') || '';
+            const abs  = href.startsWith('http') ? href : `${location.origin}${href}`;
+            if (seenUrls.has(abs)) continue;
+            seenUrls.add(abs);
+
+            const cardRoot = a.closest('article, section, div.card, div') || a.parentElement;
+            cards.push({
+              href: abs,
+              category: (cardRoot && text(cardRoot.querySelector('.badge, .chip, .category, [data-testid="category"]'))) || '',
+              timeTexts: Array.from(
+                cardRoot?.querySelectorAll('time, [data-testid="ends-in"], .ends-in, .text-xs, .text-sm, [class*="ends"], [class*="countdown"]') || []
+              ).map(el => el.textContent || ''),
+              impliedTexts: impliedTexts(cardRoot),
+              rowOptions: fromPlaceBetRows(cardRoot),
+              hot: HAS_HOT(cardRoot),
+            });
+          }
+          return cards;
+        });
+        return splitSections(cards);
+      });
+
+      if (debug || dbg) console.log('[sections] trending:', data.trending.length, 'active:', data.active.length);
+      return data;
+    } catch (err) {
+      if (debug || dbg) console.log('[sections] error', err.message);
+    }
+  }
+  return { trending: [], active: [] };
+}
+
+/* =========================
+   DETAIL SCRAPER
+   ========================= */
+export async function scrapeMarketDetail(url, { debug = false, timeZone = DEFAULT_TIMEZONE } = {}) {
+  const data = await withPage(async (page) => {
+    if (debug || dbg) console.log('[detail] goto', url);
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    try { await page.waitForSelector('body', { timeout: 8000 }); } catch {}
+    await autoScroll(page);
+    await sleep(600);
+
+    // Only the DOM walk happens in the page; lib/parse.js reads the text
+    const raw = await page.evaluate(() => {
+      const text = (el) => (el?.textContent || '').trim();
+
+      // Primary options: rows in “Place Bet”, for every row selector that matches two or more
+      const rowSelectors = [
+        '.option', '.side',
+        '.option-a, .option-b, .option-c',
+        '.side-a, .side-b, .side-c',
+        '.left, .right, .center',
+        '[data-option]', '[role="listitem"]',
+        '[data-testid="market-option"]',
+        '.market-option, .market-side'
+      ];
+      const labelSelectors = [
+        '.label', '.name', '.team', '.option-label',
+        '[data-testid="option-label"]', '[data-testid="option-name"]',
+        'strong', 'span', 'p'
+      ].join(',');
+      const percentSelectors = [
+        '.percent', '.percentage', '.progress-label', '.option-percent',
+        '[data-testid="option-percent"]'
+      ].join(',');
+      const rowSets = rowSelectors
+        .map(sel => Array.from(document.querySelectorAll(sel)))
+        .filter(rows => rows.length >= 2)
+        .map(rows => rows.map(row => ({
+          label: row.querySelector(labelSelectors)?.textContent || '',
+          pctText: row.querySelector(percentSelectors)?.textContent ?? null,
+        })));
+
+      // Texts next to the "Close" label, where the close date usually is
+      const closeTexts = [];
+      const closeLabel = Array.from(document.querySelectorAll('*')).find(el => {
+        const t = (el.textContent || '').trim().toUpperCase();
+        return t === 'CLOSE' || t === 'CLOSES' || t === 'CLOSING' || t === 'CLOSE DATE';
+      });
+      if (closeLabel) {
+        const cands = [];
+        if (closeLabel.nextElementSibling) cands.push(closeLabel.nextElementSibling);
+        if (closeLabel.parentElement) {
+          cands.push(closeLabel.parentElement.querySelector('time'));
+          cands.push(closeLabel.parentElement.querySelector('.text-sm, .text-xs, .ends-in, [data-testid="ends-in"]'));
+        }
+        for (const el of new Set(cands.filter(Boolean))) closeTexts.push(el.textContent || '');
+      }
+
+      return {
+        href: location.href,
+        ogTitle: document.querySelector('meta[property="og:title"]')?.getAttribute('content')?.trim() || '',
+        headings: Array.from(document.querySelectorAll(
+          'h1, h2, h3, .market-title, [data-testid="market-title"], .title, .text-3xl, .text-2xl'
+        )).map(text),
+        docTitle: document.title || '',
+        rowSets,
+        // “XYZ IMPLIED 33%” panels
+        impliedTexts: Array.from(document.querySelectorAll('*')).slice(0, 1500)
+          .map(el => (el.textContent || '').replace(/\s+/g, ' ').trim())
+          .filter(t => t.length <= 80 && /IMPLIED/i.test(t)),
+        closeTexts,
+        pageText: document.body?.innerText || '',
+      };
+    });
+    return parseDetailPage(raw);
+  });
+  if (data) data.closeISO = parseCloseText(data.closeText, timeZone) || '';
+
+  if (debug || dbg) console.log('[detail] scraped', data ? `${data.id} "${data.title}" status=${data.status}` : 'null');
+  return data;
+}
+
+/* =========================
+   SNAPSHOTS
+   ========================= */
+// The page as the scraper sees it, for working out what Auracle changed.
+// A tab of its own, outside the pool: a half-loaded page is the interesting
+// case, and it should not be handed to the next scrape.
+export async function capturePage(url, { timeoutMs = 30000 } = {}) {
+  const page = await newPage();
+  try {
+    try {
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: timeoutMs });
+    } catch (e) {
+      console.error('[snapshot] goto', url, e.message);
+    }
+    const html = await page.content();
+    const png = Buffer.from(await page.screenshot({ type: 'png', fullPage: true }));
+    return { url, html, png };
+  } finally {
+    try { await page.close(); } catch {}
+  }
+}
+
+/* =========================
+   CARD SCREENSHOTS
+   ========================= */
+// Tried in order; the first visible one that holds the market is cropped
+const CARD_SELECTORS = [
+  '[data-testid="market-card"]', '[data-testid="market-detail"]',
+  '.market-card', '.market-detail', '.market', 'main article', 'main',
+];
+const CARD_MAX_HEIGHT = 1600;
+
+// PNG of the market's card on its detail page, or null if none is found
+export async function screenshotMarketCard(url, { selector = '', debug = false } = {}) {
+  return withPage(async (page) => {
+    if (debug || dbg) console.log('[card] goto', url);
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    await sleep(600);
+    for (const sel of selector ? [selector, ...CARD_SELECTORS] : CARD_SELECTORS) {
+      const el = await page.$(sel);
+      const box = el && await el.boundingBox();
+      if (!box || box.width < 200 || box.height < 100) continue;
+      if (debug || dbg) console.log('[card] cropping', sel, `${Math.round(box.width)}x${Math.round(box.height)}`);
+      const clip = { x: box.x, y: box.y, width: box.width, height: Math.min(box.height, CARD_MAX_HEIGHT) };
+      return Buffer.from(await page.screenshot({ type: 'png', clip, captureBeyondViewport: true }));
+    }
+    return null;
+  });
+}
@@ -0,0 +1,141 @@
+import * as fs from 'fs';
+import { fetchMarketsFromSections, scrapeMarketDetail, closeBrowser, setPagePoolSize, capturePage, screenshotMarketCard } from './scraper.js';
+import { uniqueOptions } from './util.js';
+import { parseCloseText } from './time.js';
+
+/* =========================
+   MARKET SOURCES
+   =========================
+   A MarketSource is where market data comes from. Every source returns the
+   shapes the Puppeteer scrapers always have:
+
+     fetchList({ debug })        → { trending: [card], active: [card] }
+       card:   { id, url, title, category, endsIn, options: [{ label, pct }], status: 'open' }
+     fetchDetail(url, { debug }) → detail | null
+       detail: { id, title, url, status, options, winner, endsIn, closeISO, closeText }
+     snapshot(url)               → { url, html, png } | null, the page as the source saw it
+     screenshot(url, { selector }) → PNG of the market's card on its page | null
+     close()
+
+   closeText is the close time as Auracle printed it; closeISO is that text read
+   in timeZone (Auracle's, not ours) and normalized to UTC.
+*/
+export function createMarketSource({ kind = 'puppeteer', baseUrl, jsonUrl, jsonFile, ttlMs, concurrency, timeZone } = {}) {
+  if (kind === 'puppeteer') return createPuppeteerSource({ baseUrl, concurrency, timeZone });
+  if (kind === 'json') return createJsonSource({ url: jsonUrl, file: jsonFile, ttlMs, timeZone });
+  throw new Error(`Unknown MARKET_SOURCE "${kind}" (use puppeteer or json)`);
+}
+
+export function marketIdFromUrl(url = '') {
+  try {
+    const u = new URL(url);
+    return u.searchParams.get('id') || (u.pathname.match(/\/markets\/([^/]+)/i)?.[1] || null);
+  } catch {
+    return null;
+  }
+}
+
+/* =========================
+   PUPPETEER SOURCE
+   ========================= */
+// concurrency caps how many browser tabs scrape at once (see the page pool)
+function createPuppeteerSource({ baseUrl, concurrency = 1, timeZone }) {
+  setPagePoolSize(concurrency);
+  return {
+    name: 'puppeteer',
+    fetchList: ({ debug = false } = {}) => fetchMarketsFromSections({ debug, ...(baseUrl ? { baseUrl } : {}) }),
+    fetchDetail: (url, { debug = false } = {}) => scrapeMarketDetail(url, { debug, ...(timeZone ? { timeZone } : {}) }),
+    snapshot: (url) => capturePage(url),
+    screenshot: (url, { selector = '', debug = false } = {}) => screenshotMarketCard(url, { selector, debug }),
+    close: () => closeBrowser(),
+  };
+}
+
+/* =========================
+   JSON SOURCE
+   =========================
+   Reads a snapshot from an HTTP endpoint or a local file, no browser needed:
+
+     { "markets": [ { "id", "url", "title", "category", "status", "trending",
+                      "endsIn", "options": [{ "label", "pct" }], "winner",
+                      "closeISO", "closeText" } ] }
+
+   A bare array of markets is accepted too. One snapshot serves the list and
+   every detail lookup until it is ttlMs old, so a tick costs one request.
+   A market with closeText but no closeISO gets it parsed like a scraped one.
+*/
+function createJsonSource({ url, file, ttlMs = 5000, timeZone = 'UTC' }) {
+  if (!url && !file) throw new Error('json market source needs MARKET_SOURCE_URL or MARKET_SOURCE_FILE');
+  let cached = null; // { at, markets }
+
+  async function readSnapshot() {
+    if (file) return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const res = await fetch(url, { headers: { accept: 'application/json' }, signal: AbortSignal.timeout(15000) });
+    if (!res.ok) throw new Error(`json source ${url} → HTTP ${res.status}`);
+    return res.json();
+  }
+
+  async function snapshot() {
+    if (cached && Date.now() - cached.at < ttlMs) return cached.markets;
+    const raw = await readSnapshot();
+    const list = Array.isArray(raw) ? raw : (raw?.markets || []);
+    cached = { at: Date.now(), markets: list.filter(m => m && m.id != null).map(m => normalizeMarket(m, timeZone)) };
+    return cached.markets;
+  }
+
+  return {
+    name: 'json',
+
+    async fetchList({ debug = false } = {}) {
+      const markets = await snapshot();
+      const trending = [], active = [];
+      for (const m of markets) {
+        if (m.status !== 'open') continue;
+        const card = {
+          id: m.id, url: m.url, title: m.title, category: m.category,
+          endsIn: m.endsIn, options: m.options, status: 'open',
+        };
+        (m.trending ? trending : active).push(card);
+      }
+      if (debug) console.log('[json-source] trending:', trending.length, 'active:', active.length);
+      return { trending, active };
+    },
+
+    async fetchDetail(url, { debug = false } = {}) {
+      const markets = await snapshot();
+      const id = marketIdFromUrl(url);
+      const m = markets.find(x => (id != null && x.id === id) || x.url === url);
+      if (debug) console.log('[json-source] detail', url, m ? `${m.id} status=${m.status}` : 'not found');
+      if (!m) return null;
+      return {
+        id: m.id, title: m.title, url: m.url,
+        status: m.status, options: m.options, winner: m.winner,
+        endsIn: '', closeISO: m.closeISO, closeText: m.closeText,
+      };
+    },
+
+    // Nothing to look at beyond the snapshot the fetches already read
+    snapshot: async () => null,
+    // No page to crop; photo announcements fall back to the rendered card
+    screenshot: async () => null,
+
+    close: async () => { cached = null; },
+  };
+}
+
+function normalizeMarket(m, timeZone) {
+  const status = ['open', 'closed', 'resolved'].includes(m.status) ? m.status : 'open';
+  return {
+    id: String(m.id),
+    url: m.url || '',
+    title: m.title || '',
+    category: m.category || '',
+    status,
+    trending: !!m.trending,
+    endsIn: m.endsIn || '',
+    options: uniqueOptions(m.options || []),
+    winner: m.winner || null,
+    closeISO: m.closeISO || parseCloseText(m.closeText, timeZone) || '',
+    closeText: m.closeText || '',
+  };
+}
@@ -0,0 +1,600 @@
+import * as fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+/* =========================
+   STORE INTERFACE
+   =========================
+   Both backends expose the same synchronous API:
+
+     load()                     full state { markets, seeded, targetChatId, ... }
+     save(state)                write the whole state in one transaction
+     getMarket(id) / putMarket(id, rec) / deleteMarket(id) / saveMarkets(markets, { prune })
+     getSetting(key, fallback) / setSetting(key, value)
+     recordAnnouncement({ marketId, chatId, event, messageId })
+     recentAnnouncements(limit, { marketId, event, beforeId })
+     recordOdds(samples) / oddsHistory(marketId, { sinceMs }) / pruneOdds({ maxAgeMs, maxPoints })
+     enqueueOutbox(items) / outboxDue(now, limit) / outboxSent(id, messageId)
+     outboxRetry(id, { error, nextAt }) / outboxDead(id, error) / outboxStats()
+     deadLetters(limit) / requeueDead(id) / dropDead(id) / pruneOutbox({ sentMaxAgeMs })
+     transaction(fn)
+     close()
+
+   A sent outbox row is what keeps its key from going out twice, so
+   pruneOutbox keeps the rows of markets still tracked and not retired: the
+   tick can queue those again. Everything else goes after sentMaxAgeMs, and a
+   market tracked again after that (one removed, then listed anew) can
+   repeat its messages.
+
+   Everything in state except `markets` is a "setting" (seeded, targetChatId,
+   subscriptions, admins, settings, ...), stored as one JSON value per key.
+*/
+const EMPTY_STATE = () => ({ markets: {}, seeded: false });
+const ANNOUNCEMENTS_KEEP = 5000;
+const DEAD_LETTERS_KEEP = 500;
+
+export function openStore({ backend = 'sqlite', dir, sqliteFile, jsonFile } = {}) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const legacyJson = jsonFile || path.join(dir, 'state.json');
+  if (backend === 'json') return createJsonStore(legacyJson);
+  if (backend === 'sqlite') {
+    return createSqliteStore(sqliteFile || path.join(dir, 'auracle.db'), { importFrom: legacyJson });
+  }
+  throw new Error(`Unknown STATE_BACKEND "${backend}" (use sqlite or json)`);
+}
+
+/* =========================
+   MIGRATIONS
+   ========================= */
+// Append only. Each entry runs once, inside a transaction, in version order.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'markets, announcements, settings',
+    up: (db) => db.exec(`
+      CREATE TABLE markets (
+        id          TEXT PRIMARY KEY,
+        status      TEXT,
+        retired     INTEGER NOT NULL DEFAULT 0,
+        data        TEXT NOT NULL,
+        updated_at  TEXT NOT NULL
+      );
+      CREATE INDEX markets_status ON markets (status, retired);
+
+      CREATE TABLE announcements (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        market_id   TEXT,
+        chat_id     TEXT NOT NULL,
+        event       TEXT NOT NULL,
+        message_id  INTEGER,
+        created_at  TEXT NOT NULL
+      );
+      CREATE INDEX announcements_market ON announcements (market_id);
+      CREATE INDEX announcements_created ON announcements (created_at);
+
+      CREATE TABLE settings (
+        key    TEXT PRIMARY KEY,
+        value  TEXT NOT NULL
+      );
+    `),
+  },
+  {
+    version: 2,
+    name: 'odds history',
+    up: (db) => db.exec(`
+      CREATE TABLE odds_history (
+        market_id  TEXT NOT NULL,
+        at         INTEGER NOT NULL,
+        options    TEXT NOT NULL
+      );
+      CREATE INDEX odds_history_market ON odds_history (market_id, at);
+    `),
+  },
+  {
+    version: 3,
+    name: 'outbox',
+    up: (db) => db.exec(`
+      CREATE TABLE outbox (
+        id          INTEGER PRIMARY KEY AUTOINCREMENT,
+        key         TEXT NOT NULL UNIQUE,
+        chat_id     TEXT NOT NULL,
+        event       TEXT NOT NULL,
+        market_id   TEXT,
+        kind        TEXT NOT NULL DEFAULT 'message',
+        text        TEXT NOT NULL,
+        photo       BLOB,
+        thread      INTEGER NOT NULL DEFAULT 0,
+        status      TEXT NOT NULL DEFAULT 'pending',
+        attempts    INTEGER NOT NULL DEFAULT 0,
+        next_at     INTEGER NOT NULL,
+        last_error  TEXT,
+        message_id  INTEGER,
+        created_at  INTEGER NOT NULL,
+        updated_at  INTEGER NOT NULL
+      );
+      CREATE INDEX outbox_status ON outbox (status, chat_id, id);
+    `),
+  },
+];
+
+function migrate(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT, applied_at TEXT NOT NULL)');
+  const current = db.prepare('SELECT MAX(version) AS v FROM schema_migrations').get().v || 0;
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  for (const m of MIGRATIONS) {
+    if (m.version <= current) continue;
+    db.transaction(() => {
+      m.up(db);
+      record.run(m.version, m.name, new Date().toISOString());
+    })();
+    console.log(`[store] migrated to v${m.version} (${m.name})`);
+  }
+  return current;
+}
+
+/* =========================
+   SQLITE STORE
+   ========================= */
+function createSqliteStore(file, { importFrom } = {}) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  const fromVersion = migrate(db);
+
+  const q = {
+    allMarkets:    db.prepare('SELECT id, data FROM markets'),
+    getMarket:     db.prepare('SELECT data FROM markets WHERE id = ?'),
+    putMarket:     db.prepare(`
+      INSERT INTO markets (id, status, retired, data, updated_at) VALUES (@id, @status, @retired, @data, @at)
+      ON CONFLICT(id) DO UPDATE SET status = @status, retired = @retired, data = @data, updated_at = @at
+    `),
+    deleteMarket:  db.prepare('DELETE FROM markets WHERE id = ?'),
+    allSettings:   db.prepare('SELECT key, value FROM settings'),
+    getSetting:    db.prepare('SELECT value FROM settings WHERE key = ?'),
+    putSetting:    db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+    deleteSetting: db.prepare('DELETE FROM settings WHERE key = ?'),
+    addAnnouncement: db.prepare(`
+      INSERT INTO announcements (market_id, chat_id, event, message_id, created_at)
+      VALUES (@marketId, @chatId, @event, @messageId, @at)
+    `),
+    recentAnnouncements: db.prepare(`
+      SELECT id, market_id AS marketId, chat_id AS chatId, event, message_id AS messageId, created_at AS at
+      FROM announcements
+      WHERE (@marketId IS NULL OR market_id = @marketId) AND (@event IS NULL OR event = @event)
+        AND (@beforeId IS NULL OR id < @beforeId)
+      ORDER BY id DESC LIMIT @limit
+    `),
+    trimAnnouncements: db.prepare('DELETE FROM announcements WHERE id <= (SELECT MAX(id) FROM announcements) - ?'),
+    addOdds:       db.prepare('INSERT INTO odds_history (market_id, at, options) VALUES (?, ?, ?)'),
+    oddsHistory:   db.prepare('SELECT at, options FROM odds_history WHERE market_id = ? AND at >= ? ORDER BY at'),
+    pruneOddsAge:  db.prepare('DELETE FROM odds_history WHERE at < ?'),
+    addOutbox:     db.prepare(`
+      INSERT OR IGNORE INTO outbox (key, chat_id, event, market_id, kind, text, photo, thread, next_at, created_at, updated_at)
+      VALUES (@key, @chatId, @event, @marketId, @kind, @text, @photo, @thread, @at, @at, @at)
+    `),
+    // Oldest pending item per chat, so a chat in backoff holds its later messages in order
+    outboxDue:     db.prepare(`
+      SELECT o.* FROM outbox o
+      JOIN (SELECT MIN(id) AS id FROM outbox WHERE status = 'pending' GROUP BY chat_id) h ON h.id = o.id
+      WHERE o.next_at <= ? ORDER BY o.id LIMIT ?
+    `),
+    outboxSent:    db.prepare(`UPDATE outbox SET status = 'sent', message_id = ?, attempts = attempts + 1, last_error = NULL, photo = NULL, updated_at = ? WHERE id = ?`),
+    outboxRetry:   db.prepare('UPDATE outbox SET attempts = attempts + 1, last_error = ?, next_at = ?, updated_at = ? WHERE id = ?'),
+    outboxDead:    db.prepare(`UPDATE outbox SET status = 'dead', attempts = attempts + 1, last_error = ?, updated_at = ? WHERE id = ?`),
+    outboxStats:   db.prepare('SELECT status, COUNT(*) AS n FROM outbox GROUP BY status'),
+    deadLetters:   db.prepare(`SELECT * FROM outbox WHERE status = 'dead' ORDER BY id DESC LIMIT ?`),
+    requeueDead:   db.prepare(`UPDATE outbox SET status = 'pending', attempts = 0, next_at = ?, updated_at = ? WHERE status = 'dead' AND (? IS NULL OR id = ?)`),
+    dropDead:      db.prepare(`DELETE FROM outbox WHERE status = 'dead' AND (? IS NULL OR id = ?)`),
+    pruneSent:     db.prepare(`
+      DELETE FROM outbox WHERE status = 'sent' AND updated_at < ?
+        AND (market_id IS NULL OR market_id NOT IN (SELECT id FROM markets WHERE retired = 0))
+    `),
+    trimDead:      db.prepare(`
+      DELETE FROM outbox WHERE status = 'dead' AND id NOT IN (SELECT id FROM outbox WHERE status = 'dead' ORDER BY id DESC LIMIT ?)
+    `),
+    pruneOddsCount: db.prepare(`
+      DELETE FROM odds_history WHERE rowid IN (
+        SELECT rowid FROM (
+          SELECT rowid, ROW_NUMBER() OVER (PARTITION BY market_id ORDER BY at DESC) AS n FROM odds_history
+        ) WHERE n > ?
+      )
+    `),
+  };
+
+  // Skip rewriting rows whose JSON did not change since we last saw them
+  const written = new Map();
+
+  const store = {
+    kind: 'sqlite',
+    file,
+
+    load() {
+      const state = EMPTY_STATE();
+      for (const { key, value } of q.allSettings.all()) state[key] = JSON.parse(value);
+      for (const { id, data } of q.allMarkets.all()) {
+        state.markets[id] = JSON.parse(data);
+        written.set(id, data);
+      }
+      return state;
+    },
+
+    save(state) {
+      store.transaction(() => {
+        const { markets = {}, ...settings } = state;
+        for (const [key, value] of Object.entries(settings)) store.setSetting(key, value);
+        for (const { key } of q.allSettings.all()) if (!(key in settings)) q.deleteSetting.run(key);
+        store.saveMarkets(markets);
+      });
+    },
+
+    getMarket(id) {
+      const row = q.getMarket.get(String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    putMarket(id, rec) {
+      const data = JSON.stringify(rec);
+      if (written.get(id) === data) return;
+      q.putMarket.run({
+        id: String(id), status: rec?.lastStatus || null, retired: rec?.retired ? 1 : 0,
+        data, at: new Date().toISOString(),
+      });
+      written.set(id, data);
+    },
+
+    deleteMarket(id) {
+      q.deleteMarket.run(String(id));
+      written.delete(String(id));
+    },
+
+    // Upsert every market given; with prune, drop the ones no longer there
+    saveMarkets(markets, { prune = true } = {}) {
+      store.transaction(() => {
+        for (const [id, rec] of Object.entries(markets)) store.putMarket(id, rec);
+        if (!prune) return;
+        for (const { id } of q.allMarkets.all()) if (!(id in markets)) store.deleteMarket(id);
+      });
+    },
+
+    getSetting(key, fallback = undefined) {
+      const row = q.getSetting.get(key);
+      return row ? JSON.parse(row.value) : fallback;
+    },
+
+    setSetting(key, value) {
+      if (value === undefined) q.deleteSetting.run(key);
+      else q.putSetting.run(key, JSON.stringify(value));
+    },
+
+    recordAnnouncement({ marketId = null, chatId, event, messageId = null }) {
+      q.addAnnouncement.run({
+        marketId: marketId != null ? String(marketId) : null, chatId: String(chatId),
+        event, messageId, at: new Date().toISOString(),
+      });
+      q.trimAnnouncements.run(ANNOUNCEMENTS_KEEP);
+    },
+
+    // Newest first; beforeId pages further back
+    recentAnnouncements(limit = 50, { marketId = null, event = null, beforeId = null } = {}) {
+      return q.recentAnnouncements.all({
+        limit, marketId: marketId != null ? String(marketId) : null, event, beforeId,
+      });
+    },
+
+    // samples: [{ marketId, at (ms), options: [{ label, pct }] }]
+    recordOdds(samples = []) {
+      store.transaction(() => {
+        for (const { marketId, at, options } of samples) q.addOdds.run(String(marketId), at, JSON.stringify(options));
+      });
+    },
+
+    oddsHistory(marketId, { sinceMs = 0 } = {}) {
+      return q.oddsHistory.all(String(marketId), sinceMs).map(r => ({ at: r.at, options: JSON.parse(r.options) }));
+    },
+
+    pruneOdds({ maxAgeMs, maxPoints } = {}) {
+      store.transaction(() => {
+        if (maxAgeMs) q.pruneOddsAge.run(Date.now() - maxAgeMs);
+        if (maxPoints) q.pruneOddsCount.run(maxPoints);
+      });
+    },
+
+    // items: [{ key, chatId, event, marketId, kind, text, photo, thread }]; a key
+    // that is already queued (or was delivered) is skipped. Returns how many were added.
+    enqueueOutbox(items = []) {
+      const at = Date.now();
+      return store.transaction(() => items.reduce((added, it) => added + q.addOutbox.run({
+        key: it.key, chatId: String(it.chatId), event: it.event,
+        marketId: it.marketId != null ? String(it.marketId) : null,
+        kind: it.kind || 'message', text: it.text, photo: it.photo || null, thread: it.thread ? 1 : 0, at,
+      }).changes, 0));
+    },
+
+    outboxDue(now = Date.now(), limit = 50) {
+      return q.outboxDue.all(now, limit).map(outboxRow);
+    },
+
+    outboxSent(id, messageId = null) { q.outboxSent.run(messageId, Date.now(), id); },
+
+    outboxRetry(id, { error = null, nextAt }) { q.outboxRetry.run(error, nextAt, Date.now(), id); },
+
+    outboxDead(id, error = null) {
+      q.outboxDead.run(error, Date.now(), id);
+      q.trimDead.run(DEAD_LETTERS_KEEP);
+    },
+
+    outboxStats() {
+      const out = { pending: 0, sent: 0, dead: 0 };
+      for (const { status, n } of q.outboxStats.all()) out[status] = n;
+      return out;
+    },
+
+    deadLetters(limit = 20) {
+      return q.deadLetters.all(limit).map(outboxRow);
+    },
+
+    // id null → every dead letter. Returns how many rows changed.
+    requeueDead(id = null) {
+      const now = Date.now();
+      return q.requeueDead.run(now, now, id, id).changes;
+    },
+
+    dropDead(id = null) {
+      return q.dropDead.run(id, id).changes;
+    },
+
+    pruneOutbox({ sentMaxAgeMs } = {}) {
+      if (sentMaxAgeMs) q.pruneSent.run(Date.now() - sentMaxAgeMs);
+    },
+
+    // Nested calls join the outer transaction
+    transaction(fn) {
+      return db.inTransaction ? fn() : db.transaction(fn)();
+    },
+
+    close() { db.close(); },
+  };
+
+  if (fromVersion === 0 && importFrom && fs.existsSync(importFrom)) importLegacyJson(store, importFrom);
+  return store;
+}
+
+function outboxRow(r) {
+  return {
+    id: r.id, key: r.key, chatId: r.chat_id, event: r.event, marketId: r.market_id,
+    kind: r.kind, text: r.text, photo: r.photo || null, thread: !!r.thread,
+    status: r.status, attempts: r.attempts, nextAt: r.next_at, lastError: r.last_error,
+    messageId: r.message_id, createdAt: r.created_at, updatedAt: r.updated_at,
+  };
+}
+
+// One-time import of a pre-SQLite state.json into a freshly created database.
+// The file is renamed afterwards so the import never runs twice.
+function importLegacyJson(store, file) {
+  let state;
+  try { state = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) {
+    console.error(`[store] could not import ${file}: ${e.message} (left in place)`);
+    return;
+  }
+  store.save({ ...EMPTY_STATE(), ...state });
+  fs.renameSync(file, `${file}.imported`);
+  console.log(`[store] imported ${Object.keys(state.markets || {}).length} market(s) from ${file}`);
+}
+
+/* =========================
+   JSON STORE (dev)
+   ========================= */
+// Whole-file JSON kept for local development. Writes go to a temp file and are
+// renamed into place so a crash never leaves a half-written state behind.
+function createJsonStore(file) {
+  const read = () => {
+    if (!fs.existsSync(file)) return { ...EMPTY_STATE(), announcements: [], outbox: [] };
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch (e) {
+      // Never fall back to an empty state: that would re-seed and lose history
+      throw new Error(`state file ${file} is unreadable: ${e.message}`);
+    }
+  };
+  const write = (data) => {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  const store = {
+    kind: 'json',
+    file,
+
+    load() {
+      const { announcements, oddsSeries, outbox, ...state } = read();
+      return { ...EMPTY_STATE(), ...state };
+    },
+
+    save(state) {
+      const { announcements = [], oddsSeries = {}, outbox = [] } = read();
+      write({ ...state, announcements, oddsSeries, outbox });
+    },
+
+    getMarket(id) {
+      return read().markets?.[id] || null;
+    },
+
+    putMarket(id, rec) {
+      const data = read();
+      data.markets = { ...(data.markets || {}), [id]: rec };
+      write(data);
+    },
+
+    deleteMarket(id) {
+      const data = read();
+      if (data.markets) delete data.markets[id];
+      write(data);
+    },
+
+    saveMarkets(markets, { prune = true } = {}) {
+      const data = read();
+      data.markets = prune ? markets : { ...(data.markets || {}), ...markets };
+      write(data);
+    },
+
+    getSetting(key, fallback = undefined) {
+      const v = read()[key];
+      return v === undefined ? fallback : v;
+    },
+
+    setSetting(key, value) {
+      const data = read();
+      if (value === undefined) delete data[key];
+      else data[key] = value;
+      write(data);
+    },
+
+    recordAnnouncement({ marketId = null, chatId, event, messageId = null }) {
+      const data = read();
+      const list = data.announcements || [];
+      const id = (list[list.length - 1]?.id || 0) + 1;
+      list.push({ id, marketId, chatId: String(chatId), event, messageId, at: new Date().toISOString() });
+      data.announcements = list.slice(-ANNOUNCEMENTS_KEEP);
+      write(data);
+    },
+
+    recentAnnouncements(limit = 50, { marketId = null, event = null, beforeId = null } = {}) {
+      return (read().announcements || [])
+        .filter(a => (marketId == null || String(a.marketId) === String(marketId)) &&
+                     (event == null || a.event === event) && (beforeId == null || a.id < beforeId))
+        .slice(-limit).reverse();
+    },
+
+    recordOdds(samples = []) {
+      const data = read();
+      const series = data.oddsSeries || {};
+      for (const { marketId, at, options } of samples) (series[marketId] ||= []).push({ at, options });
+      data.oddsSeries = series;
+      write(data);
+    },
+
+    oddsHistory(marketId, { sinceMs = 0 } = {}) {
+      return (read().oddsSeries?.[marketId] || []).filter(p => p.at >= sinceMs);
+    },
+
+    pruneOdds({ maxAgeMs, maxPoints } = {}) {
+      const data = read();
+      const cutoff = maxAgeMs ? Date.now() - maxAgeMs : 0;
+      for (const [id, points] of Object.entries(data.oddsSeries || {})) {
+        let kept = points.filter(p => p.at >= cutoff);
+        if (maxPoints) kept = kept.slice(-maxPoints);
+        if (kept.length) data.oddsSeries[id] = kept;
+        else delete data.oddsSeries[id];
+      }
+      write(data);
+    },
+
+    // Photos are kept as base64 so the file stays plain JSON
+    enqueueOutbox(items = []) {
+      const data = read();
+      const list = data.outbox || [];
+      const keys = new Set(list.map(it => it.key));
+      let added = 0;
+      for (const it of items) {
+        if (keys.has(it.key)) continue;
+        keys.add(it.key);
+        const at = Date.now();
+        list.push({
+          id: (list[list.length - 1]?.id || 0) + 1, key: it.key, chatId: String(it.chatId), event: it.event,
+          marketId: it.marketId != null ? String(it.marketId) : null, kind: it.kind || 'message', text: it.text,
+          photo: it.photo ? Buffer.from(it.photo).toString('base64') : null, thread: !!it.thread,
+          status: 'pending', attempts: 0, nextAt: at, lastError: null, messageId: null, createdAt: at, updatedAt: at,
+        });
+        added++;
+      }
+      data.outbox = list;
+      if (added) write(data);
+      return added;
+    },
+
+    outboxDue(now = Date.now(), limit = 50) {
+      const heads = new Map();
+      for (const it of read().outbox || []) {
+        if (it.status === 'pending' && !heads.has(it.chatId)) heads.set(it.chatId, it);
+      }
+      return [...heads.values()].filter(it => it.nextAt <= now).slice(0, limit).map(jsonOutboxRow);
+    },
+
+    outboxSent(id, messageId = null) {
+      updateOutbox(id, it => ({ ...it, status: 'sent', messageId, attempts: it.attempts + 1, lastError: null, photo: null }));
+    },
+
+    outboxRetry(id, { error = null, nextAt }) {
+      updateOutbox(id, it => ({ ...it, attempts: it.attempts + 1, lastError: error, nextAt }));
+    },
+
+    outboxDead(id, error = null) {
+      updateOutbox(id, it => ({ ...it, status: 'dead', attempts: it.attempts + 1, lastError: error }));
+      const data = read();
+      const dead = (data.outbox || []).filter(it => it.status === 'dead');
+      if (dead.length > DEAD_LETTERS_KEEP) {
+        const drop = new Set(dead.slice(0, dead.length - DEAD_LETTERS_KEEP).map(it => it.id));
+        data.outbox = data.outbox.filter(it => !drop.has(it.id));
+        write(data);
+      }
+    },
+
+    outboxStats() {
+      const out = { pending: 0, sent: 0, dead: 0 };
+      for (const it of read().outbox || []) out[it.status]++;
+      return out;
+    },
+
+    deadLetters(limit = 20) {
+      return (read().outbox || []).filter(it => it.status === 'dead').slice(-limit).reverse().map(jsonOutboxRow);
+    },
+
+    requeueDead(id = null) {
+      const data = read();
+      let n = 0;
+      for (const it of data.outbox || []) {
+        if (it.status !== 'dead' || (id != null && it.id !== id)) continue;
+        Object.assign(it, { status: 'pending', attempts: 0, nextAt: Date.now(), updatedAt: Date.now() });
+        n++;
+      }
+      if (n) write(data);
+      return n;
+    },
+
+    dropDead(id = null) {
+      const data = read();
+      const before = (data.outbox || []).length;
+      data.outbox = (data.outbox || []).filter(it => it.status !== 'dead' || (id != null && it.id !== id));
+      const n = before - data.outbox.length;
+      if (n) write(data);
+      return n;
+    },
+
+    pruneOutbox({ sentMaxAgeMs } = {}) {
+      if (!sentMaxAgeMs) return;
+      const data = read();
+      const cutoff = Date.now() - sentMaxAgeMs;
+      const before = (data.outbox || []).length;
+      const live = (id) => id != null && data.markets?.[id] && !data.markets[id].retired;
+      data.outbox = (data.outbox || []).filter(it => it.status !== 'sent' || it.updatedAt >= cutoff || live(it.marketId));
+      if (data.outbox.length !== before) write(data);
+    },
+
+    transaction(fn) { return fn(); },
+
+    close() {},
+  };
+
+  function updateOutbox(id, fn) {
+    const data = read();
+    data.outbox = (data.outbox || []).map(it => (it.id === id ? { ...fn(it), updatedAt: Date.now() } : it));
+    write(data);
+  }
+
+  return store;
+}
+
+function jsonOutboxRow(it) {
+  return { ...it, photo: it.photo ? Buffer.from(it.photo, 'base64') : null };
+}
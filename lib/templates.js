@@ -0,0 +1,92 @@
+import { escapeHtml } from './util.js';
+
+/* =========================
+   MESSAGE TEMPLATES (engine)
+   =========================
+   Announcements are Telegram HTML written with placeholders:
+
+     {title}                  value, HTML-escaped
+     {#category}...{/category} only when category is set
+     {^winner}...{/winner}     only when winner is not set
+
+   The template's own text is HTML as written, so <b>, <i> and links work.
+   Values are always escaped unless they were built with raw(), which is how
+   pre-formatted pieces like the options list come in.
+*/
+export class TemplateError extends Error {}
+
+const RAW = Symbol('raw');
+export const raw = (html) => ({ [RAW]: String(html ?? '') });
+
+const TAG_RE = /\{([#^/]?)([A-Za-z_]\w*)\}/g;
+
+// → [{ text } | { name } | { name, inverted, children }]
+export function parseTemplate(src, { known = null } = {}) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  for (const m of String(src).matchAll(TAG_RE)) {
+    const [tag, kind, name] = m;
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.children.push({ text: src.slice(last, m.index) });
+    last = m.index + tag.length;
+    if (known && !known.includes(name)) {
+      throw new TemplateError(`Unknown placeholder {${name}} (use ${known.map(k => `{${k}}`).join(', ')})`);
+    }
+    if (kind === '/') {
+      if (top === root || top.name !== name) throw new TemplateError(`Unexpected ${tag}${top === root ? '' : `, {${top.inverted ? '^' : '#'}${top.name}} is still open`}`);
+      stack.pop();
+    } else if (kind) {
+      const section = { name, inverted: kind === '^', children: [] };
+      top.children.push(section);
+      stack.push(section);
+    } else {
+      top.children.push({ name });
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`{${open.inverted ? '^' : '#'}${open.name}} is never closed with {/${open.name}}`);
+  }
+  if (last < src.length) root.children.push({ text: src.slice(last) });
+  return root.children;
+}
+
+function isSet(v) {
+  if (v && typeof v === 'object' && RAW in v) return v[RAW].trim() !== '';
+  if (Array.isArray(v)) return v.length > 0;
+  return v != null && v !== false && String(v).trim() !== '';
+}
+
+function renderNodes(nodes, vars) {
+  let out = '';
+  for (const n of nodes) {
+    if (n.text != null) out += n.text;
+    else if (n.children) { if (isSet(vars[n.name]) !== n.inverted) out += renderNodes(n.children, vars); }
+    else {
+      const v = vars[n.name];
+      out += v && typeof v === 'object' && RAW in v ? v[RAW] : escapeHtml(v ?? '');
+    }
+  }
+  return out;
+}
+
+export function renderTemplate(src, vars = {}) {
+  return renderNodes(typeof src === 'string' ? parseTemplate(src) : src, vars);
+}
+
+// Tags Telegram accepts with parse_mode HTML
+const TELEGRAM_TAGS = new Set(['b', 'strong', 'i', 'em', 'u', 'ins', 's', 'strike', 'del', 'a', 'code', 'pre', 'span', 'tg-spoiler', 'tg-emoji', 'blockquote']);
+
+// Telegram rejects the whole message on unknown or unbalanced tags, so catch
+// that when the template is saved rather than when the announcement goes out
+export function checkTelegramHtml(src) {
+  const open = [];
+  for (const [tag, closing, name] of String(src).matchAll(/<(\/?)([A-Za-z][\w-]*)[^>]*>/g)) {
+    const n = name.toLowerCase();
+    if (!TELEGRAM_TAGS.has(n)) throw new TemplateError(`<${n}> is not supported by Telegram`);
+    if (!closing) { open.push(n); continue; }
+    if (open.pop() !== n) throw new TemplateError(`${tag} does not match an open <${n}>`);
+  }
+  if (open.length) throw new TemplateError(`<${open[open.length - 1]}> is never closed`);
+}
@@ -0,0 +1,61 @@
+/* =========================
+   TIME ZONES
+   =========================
+   Auracle prints close times as wall-clock text with no zone, e.g.
+   "March 3, 2025 at 7:00 PM". They are read here in an explicit IANA zone
+   (AURACLE_TIMEZONE), never in the zone the process or browser happens to run in.
+*/
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+const DATE_RE = /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2}),\s*(\d{4})\b/i;
+const TIME_RE = /\b(\d{1,2}):(\d{2})\s*(AM|PM)\b/i;
+
+const offsetFormats = new Map();
+// How far timeZone's wall clock is ahead of UTC at the instant ms
+function zoneOffsetMs(ms, timeZone) {
+  if (!offsetFormats.has(timeZone)) {
+    offsetFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  const p = Object.fromEntries(offsetFormats.get(timeZone).formatToParts(ms).map(x => [x.type, x.value]));
+  const wall = Date.UTC(+p.year, p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+// Wall-clock time in timeZone → epoch ms. A time that a DST change skips or
+// repeats comes out as one of the instants next to it.
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone = 'UTC') {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = wall - zoneOffsetMs(wall, timeZone);
+  const offset = zoneOffsetMs(guess, timeZone);
+  const ms = wall - offset;
+  // Inside a DST gap the corrected instant falls back across the change
+  return zoneOffsetMs(ms, timeZone) === offset ? ms : guess;
+}
+
+// "March 3, 2025 at 7:00 PM" (time optional, midnight if missing) → ISO in UTC, or null
+export function parseCloseText(text, timeZone = 'UTC') {
+  const d = String(text || '').match(DATE_RE);
+  if (!d) return null;
+  const tm = String(text).slice(d.index + d[0].length).match(TIME_RE);
+  let hour = 0, minute = 0;
+  if (tm) {
+    hour = (parseInt(tm[1], 10) % 12) + (tm[3].toUpperCase() === 'PM' ? 12 : 0);
+    minute = parseInt(tm[2], 10);
+  }
+  const day = parseInt(d[2], 10);
+  if (day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  const ms = zonedTimeToUtc({ year: parseInt(d[3], 10), month: MONTHS.indexOf(d[1].toLowerCase()) + 1, day, hour, minute }, timeZone);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
@@ -0,0 +1,87 @@
+import { t } from './i18n.js';
+
+/* =========================
+   UTILS
+   =========================
+   Pure helpers shared by the bot, the scrapers and the tests.
+*/
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+export function escapeHtml(s = '') {
+  return String(s)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Length of HTML-formatted text as Telegram counts it against its limits:
+// tags are free, an entity is the one character it stands for
+export function visibleLength(html = '') {
+  return String(html).replace(/<[^>]*>/g, '').replace(/&(#\d+|#x[\da-f]+|\w+);/gi, '_').length;
+}
+
+// Longest start of s that fits in maxBytes of UTF-8, never splitting a character
+export function sliceBytes(s = '', maxBytes = 0) {
+  let out = '';
+  for (const ch of String(s)) {
+    if (Buffer.byteLength(out + ch) > maxBytes) break;
+    out += ch;
+  }
+  return out;
+}
+
+// Human-readable ETA from a future ISO/epoch, in the given catalog language
+export function humanizeEta(targetMs, nowMs = Date.now(), lang = 'en') {
+  if (!Number.isFinite(targetMs)) return '';
+  let diff = Math.max(0, Math.floor((targetMs - nowMs) / 1000));
+  const min = Math.floor(diff / 60);
+  const hr  = Math.floor(min / 60);
+  const day = Math.floor(hr / 24);
+  if (day >= 1) return t(lang, 'eta.days', { count: day });
+  if (hr  >= 1) return t(lang, 'eta.hours', { count: hr });
+  if (min >= 1) return t(lang, 'eta.minutes', { count: min });
+  return t(lang, 'eta.moments');
+}
+
+// Clean and dedupe option labels
+export function cleanLabel(label = '') {
+  if (!label) return '';
+  let s = label.replace(/^CURRENT\s*[–—-]?\s*/i, '').trim();
+  const banned = ['PROBABILITY','CHART','POOL','SPORTS','WINS','IMPLIED','HOW IT WORKS','PAYOUTS','RESOLUTION','EARLY CASH-OUT'];
+  if (banned.some(b => s.toUpperCase().includes(b))) return '';
+  s = s.replace(/\s+/g, ' ');
+  if (s.length > 48) s = s.slice(0, 48);
+  return s;
+}
+export function uniqueOptions(options = []) {
+  const out = [];
+  const seen = new Set();
+  for (const o of options) {
+    const lbl = cleanLabel(o?.label || '');
+    if (!lbl) continue;
+    const key = lbl.toUpperCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push({ label: lbl, pct: (o?.pct != null) ? Math.max(0, Math.min(100, Math.round(o.pct))) : null });
+    if (out.length >= 3) break;
+  }
+  if (out.length === 2) {
+    const [a, b] = out;
+    if (a.pct != null && b.pct == null) b.pct = 100 - a.pct;
+    if (b.pct != null && a.pct == null) a.pct = 100 - b.pct;
+  }
+  return out;
+}
+
+// Map "YES/NO/DRAW" winner text to real choice label (team name)
+export function mapWinnerToLabel(winnerRaw, finalOptions = []) {
+  if (!winnerRaw) return null;
+  const r = winnerRaw.trim().toUpperCase();
+  for (const o of finalOptions) {
+    if (o?.label && r.includes(o.label.toUpperCase())) return o.label;
+  }
+  if (r.startsWith('YES'))  return finalOptions[0]?.label || 'YES';
+  if (r.startsWith('NO'))   return finalOptions[1]?.label || 'NO';
+  if (r.startsWith('DRAW')) return finalOptions[2]?.label || 'DRAW';
+  if (r.includes('INVALID')) return 'Invalid';
+  return winnerRaw.trim();
+}
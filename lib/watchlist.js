@@ -0,0 +1,45 @@
+/* =========================
+   WATCHLISTS
+   =========================
+   Users follow single markets from a private chat with the bot and get a DM
+   when one of them moves, closes or resolves. Watchlists are one setting:
+   { [userId]: [marketId, ...] }, oldest first. A user's private chat id is
+   their user id, so that is where the DMs go. These helpers never mutate
+   what they are given; the caller stores what comes back.
+*/
+export const WATCHLIST_DEFAULTS = {
+  max: 20,
+};
+
+// → { lists, result: 'added' | 'already' | 'full' }
+export function addWatch(lists = {}, userId, marketId, { max = WATCHLIST_DEFAULTS.max } = {}) {
+  const ids = lists[String(userId)] || [];
+  if (ids.includes(marketId)) return { lists, result: 'already' };
+  if (ids.length >= max) return { lists, result: 'full' };
+  return { lists: { ...lists, [String(userId)]: [...ids, marketId] }, result: 'added' };
+}
+
+// → { lists, removed }; a user with nothing left keeps an empty list, which
+// still says they have a private chat with the bot
+export function removeWatch(lists = {}, userId, marketId) {
+  const ids = lists[String(userId)] || [];
+  if (!ids.includes(marketId)) return { lists, removed: false };
+  return { lists: { ...lists, [String(userId)]: ids.filter(id => id !== marketId) }, removed: true };
+}
+
+export function watchersOf(lists = {}, marketId) {
+  return Object.entries(lists).filter(([, ids]) => ids.includes(marketId)).map(([userId]) => userId);
+}
+
+// A market that is over: nobody needs to watch it any more
+export function dropMarket(lists = {}, marketId) {
+  if (!watchersOf(lists, marketId).length) return lists;
+  return Object.fromEntries(Object.entries(lists).map(([userId, ids]) => [userId, ids.filter(id => id !== marketId)]));
+}
+
+// A user who blocked the bot: nothing can reach them
+export function dropUser(lists = {}, userId) {
+  if (!(String(userId) in lists)) return lists;
+  const { [String(userId)]: _, ...rest } = lists;
+  return rest;
+}
@@ -0,0 +1,67 @@
+// Saves a live Auracle page as a scraper fixture.
+//
+//   npm run fixtures:record -- list
+//   npm run fixtures:record -- detail <name> <marketId|url>
+//
+// The rendered DOM is stored without <script> tags so the replay is static.
+// The scraper output for the saved page is printed so it can be checked and
+// copied into test/fixtures/expected.json.
+import 'dotenv/config';
+import * as fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { newPage, autoScroll, closeBrowser, fetchMarketsFromSections, scrapeMarketDetail } from '../lib/scraper.js';
+import { sleep } from '../lib/util.js';
+import { startFixtureServer } from '../test/fixture-server.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'test', 'fixtures');
+const base = (process.env.AURACLE_BASE_URL || 'https://auracle.fi').replace(/\/+$/, '');
+
+async function capture(url) {
+  const page = await newPage();
+  try {
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+    await autoScroll(page);
+    await sleep(600);
+    return await page.evaluate(() => {
+      document.querySelectorAll('script, noscript, link[rel="preload"], link[rel="modulepreload"]').forEach(n => n.remove());
+      return '<!doctype html>\n' + document.documentElement.outerHTML;
+    });
+  } finally {
+    await page.close();
+  }
+}
+
+async function main() {
+  const [kind, name, target] = process.argv.slice(2);
+  let url, file, replay;
+  if (kind === 'list') {
+    url = `${base}/Markets`;
+    file = 'markets.html';
+    replay = (server) => fetchMarketsFromSections({ baseUrl: server.baseUrl });
+  } else if (kind === 'detail' && name && target && /^[\w-]+$/.test(name)) {
+    url = /^https?:\/\//i.test(target) ? target : `${base}/MarketDetails?id=${encodeURIComponent(target)}`;
+    file = `detail-${name}.html`;
+    replay = (server) => scrapeMarketDetail(`${server.baseUrl}/MarketDetails?id=${name}`);
+  } else {
+    console.error('Usage: record-fixture.js list | detail <name> <marketId|url>');
+    process.exitCode = 2;
+    return;
+  }
+
+  console.log('[record] capturing', url);
+  const html = await capture(url);
+  fs.writeFileSync(path.join(FIXTURES, file), html);
+  console.log(`[record] wrote test/fixtures/${file} (${html.length} bytes)`);
+
+  const server = await startFixtureServer(FIXTURES);
+  try {
+    console.log(JSON.stringify(await replay(server), null, 2));
+  } finally {
+    await server.close();
+  }
+}
+
+main()
+  .catch((e) => { console.error('[record] failed:', e?.message || e); process.exitCode = 1; })
+  .finally(() => closeBrowser());
@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { inspectTick, nextHealth, isTimeout } from '../lib/anomalies.js';
+
+const detail = (id, over = {}) => ({
+  id, title: `Market ${id}`, url: `https://x/MarketDetails?id=${id}`, status: 'open',
+  options: [{ label: 'Yes', pct: 60 }, { label: 'No', pct: 40 }],
+  ...over,
+});
+const healthy = { baseline: { listed: 10, missingShare: 0 } };
+const codes = (r) => r.findings.map(f => f.code);
+
+test('a clean tick finds nothing', () => {
+  const r = inspectTick({ listed: 10, details: [1, 2, 3].map(i => detail(i)), health: healthy });
+  assert.deepEqual(r.findings, []);
+  assert.equal(r.sample.missingShare, 0);
+});
+
+test('an empty list only counts against a baseline that had markets', () => {
+  assert.deepEqual(codes(inspectTick({ listed: 0, health: healthy })), ['listEmpty']);
+  assert.deepEqual(codes(inspectTick({ listed: 0, health: { baseline: { listed: 1 } } })), []);
+  assert.deepEqual(codes(inspectTick({ listed: 0 })), []);
+});
+
+test('missing odds and titles are compared with the baseline share', () => {
+  const details = [
+    detail(1, { options: [{ label: 'Yes', pct: null }, { label: 'No', pct: null }] }),
+    detail(2, { title: '' }),
+    detail(3),
+  ];
+  const r = inspectTick({ listed: 10, details, health: healthy });
+  assert.deepEqual(codes(r), ['missingFields']);
+  assert.deepEqual(r.findings[0].vars, { noOdds: 1, noTitle: 1, total: 3, usual: 0 });
+  assert.equal(r.findings[0].url, details[0].url);
+  // Already that bad when it was healthy
+  assert.deepEqual(codes(inspectTick({ listed: 10, details, health: { baseline: { listed: 10, missingShare: 0.6 } } })), []);
+});
+
+test('odds that stop adding up to 100 are found', () => {
+  const off = [{ label: 'Yes', pct: 6 }, { label: 'No', pct: 4 }];
+  const r = inspectTick({ listed: 10, details: [detail(1, { options: off }), detail(2, { options: off }), detail(3)], health: healthy });
+  assert.deepEqual(codes(r), ['oddsSum']);
+  assert.deepEqual(r.findings[0].vars, { off: 2, total: 3, example: 1, sum: 10 });
+});
+
+test('statuses that go backwards are found and the markets held back', () => {
+  const markets = { 1: { lastStatus: 'resolved' }, 2: { lastStatus: 'closed' }, 3: { lastStatus: 'open' } };
+  const details = [detail(1), detail(2, { status: 'resolved' }), detail(3, { status: 'closed' })];
+  const r = inspectTick({ listed: 10, details, markets, health: healthy });
+  assert.deepEqual(codes(r), ['statusRegression']);
+  assert.deepEqual([...r.regressed], [1]);
+  assert.deepEqual(r.findings[0].vars, { count: 1, example: 1, from: 'resolved', to: 'open' });
+});
+
+test('timeouts only count after several ticks in a row', () => {
+  const failures = [{ url: 'https://x/a', error: Object.assign(new Error('Navigation timeout of 30000 ms exceeded'), { name: 'TimeoutError' }) }];
+  assert.equal(isTimeout(failures[0].error), true);
+  assert.equal(isTimeout(new Error('net::ERR_CONNECTION_REFUSED')), false);
+
+  let health = healthy;
+  for (let i = 1; i <= 3; i++) {
+    const r = inspectTick({ listed: 10, failures, health });
+    assert.equal(r.sample.timeoutStreak, i);
+    assert.deepEqual(codes(r), i < 3 ? [] : ['timeouts']);
+    health = nextHealth(health, r).health;
+  }
+  assert.equal(inspectTick({ listed: 10, failures: [], health }).sample.timeoutStreak, 0);
+});
+
+test('nextHealth marks broken, holds back repeat alerts and recovers after clean ticks', () => {
+  const finding = { code: 'listEmpty', vars: { usual: 10 } };
+  const t0 = Date.UTC(2025, 0, 1);
+
+  let r = nextHealth(healthy, { findings: [finding], sample: { listed: 0 }, now: t0 });
+  assert.equal(r.health.broken, true);
+  assert.equal(r.health.since, t0);
+  assert.deepEqual(r.alert, [finding]);
+  // The baseline does not learn from a broken tick
+  assert.deepEqual(r.health.baseline, healthy.baseline);
+
+  r = nextHealth(r.health, { findings: [finding], sample: { listed: 0 }, now: t0 + 60_000 });
+  assert.deepEqual(r.alert, []);
+  r = nextHealth(r.health, { findings: [finding], sample: { listed: 0 }, now: t0 + 2 * 3600_000 });
+  assert.deepEqual(r.alert, [finding]);
+
+  r = nextHealth(r.health, { sample: { listed: 9, missingShare: 0 }, now: t0 + 3 * 3600_000 });
+  assert.equal(r.recovered, false);
+  assert.equal(r.health.broken, true);
+  r = nextHealth(r.health, { sample: { listed: 9, missingShare: 0 }, now: t0 + 4 * 3600_000 });
+  assert.equal(r.recovered, true);
+  assert.equal(r.health.broken, false);
+  assert.equal(r.health.baseline.listed, 9);
+});
+
+test('a list that failed to load is not a clean tick', () => {
+  let r = nextHealth({ ...healthy, broken: true, since: 1, cleanStreak: 1 }, { sample: { listed: null } });
+  assert.equal(r.recovered, false);
+  assert.equal(r.health.cleanStreak, 1);
+  r = nextHealth(r.health, { sample: { listed: 10, missingShare: 0 } });
+  assert.equal(r.recovered, true);
+});
+
+test('a status that keeps going backwards is believed and the scraper recovers', () => {
+  const markets = { 1: { lastStatus: 'closed' }, 2: { lastStatus: 'open' } };
+  const details = [detail(1), detail(2), detail(3)];
+  let health = healthy;
+  let r;
+  for (let i = 1; i <= 2; i++) {
+    r = inspectTick({ listed: 10, details, markets, health });
+    assert.deepEqual(codes(r), ['statusRegression']);
+    assert.deepEqual([...r.regressed], [1]);
+    health = nextHealth(health, r).health;
+    assert.deepEqual(health.regressions, { 1: { to: 'open', seen: i } });
+  }
+  // A tick that did not scrape it keeps the count
+  r = inspectTick({ listed: 10, details: [detail(2), detail(3), detail(4)], markets, health });
+  assert.deepEqual(r.findings, []);
+  health = nextHealth(health, r).health;
+  assert.deepEqual(health.regressions, { 1: { to: 'open', seen: 2 } });
+
+  r = inspectTick({ listed: 10, details, markets, health });
+  assert.deepEqual(r.findings, []);
+  assert.deepEqual(r.accepted, [1]);
+  assert.equal(r.regressed.size, 0);
+  r = nextHealth(health, r);
+  assert.deepEqual(r.health.regressions, {});
+  assert.equal(r.recovered, true, 'second clean tick in a row');
+});
+
+test('a status read correctly again clears the count', () => {
+  const markets = { 1: { lastStatus: 'closed' } };
+  let health = nextHealth(healthy, inspectTick({ listed: 10, details: [detail(1)], markets, health: healthy })).health;
+  assert.equal(health.regressions[1].seen, 1);
+  health = nextHealth(health, inspectTick({ listed: 10, details: [detail(1, { status: 'closed' })], markets, health })).health;
+  assert.deepEqual(health.regressions, {});
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { openStore } from '../lib/store.js';
+import { createApi } from '../lib/api.js';
+
+const market = (title, extra = {}) => ({
+  lastStatus: 'open', url: `https://auracle.fi/MarketDetails?id=${title}`, wasTrending: false, retired: false,
+  announcedOpen: true, announcedClosed: false, announcedResolved: false, missingCount: 0, closedSnapshot: null,
+  lastSeen: { title, category: 'NBA', endsIn: '', closeISO: '', options: [{ label: 'Yes', pct: 60 }, { label: 'No', pct: 40 }] },
+  ...extra,
+});
+
+describe('REST API', () => {
+  let dir, store, server, base;
+  const get = (p, headers = { 'x-api-key': 'k1' }) => fetch(base + p, { headers });
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+    store = openStore({ dir });
+    store.putMarket('a', market('Lakers', { lastSeen: { ...market('Lakers').lastSeen, closeISO: '2025-03-02T00:00:00.000Z' } }));
+    store.putMarket('b', market('Celtics', { wasTrending: true, lastSeen: { ...market('Celtics').lastSeen, closeISO: '2025-03-01T00:00:00.000Z' } }));
+    store.putMarket('c', market('Monaco GP', {
+      lastStatus: 'resolved', retired: true, winner: 'Norris', announcedResolved: true,
+      lastSeen: { ...market('Monaco GP').lastSeen, category: 'F1' }, closedSnapshot: { options: [] },
+    }));
+    store.putMarket('d', market('untitled', { lastSeen: null }));
+    for (const [marketId, event] of [['a', 'open'], ['b', 'open'], ['c', 'resolved'], ['a', 'odds']]) {
+      store.recordAnnouncement({ marketId, chatId: -100, event, messageId: 1 });
+    }
+    const api = createApi({ store, apiKeys: ['k1', 'k2'], corsOrigin: 'https://dash.example', eventTypes: ['open', 'resolved', 'odds'] });
+    server = http.createServer((req, res) => { if (!api.handle(req, res)) res.writeHead(418).end(); });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(r => server.close(r));
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects requests without a valid key and answers CORS preflights', async () => {
+    assert.equal((await get('/markets', {})).status, 401);
+    assert.equal((await get('/markets', { 'x-api-key': 'nope' })).status, 401);
+    assert.equal((await get('/markets', { authorization: 'Bearer k2' })).status, 200);
+    const pre = await fetch(base + '/markets', { method: 'OPTIONS' });
+    assert.equal(pre.status, 204);
+    assert.equal(pre.headers.get('access-control-allow-origin'), 'https://dash.example');
+    assert.match(pre.headers.get('access-control-allow-headers'), /X-API-Key/);
+    assert.equal((await fetch(base + '/markets', { method: 'POST', headers: { 'x-api-key': 'k1' } })).status, 405);
+    assert.equal((await get('/elsewhere')).status, 418, 'other paths fall through');
+  });
+
+  it('lists markets soonest close first with filters and pagination', async () => {
+    const all = await (await get('/markets')).json();
+    assert.equal(all.total, 3);
+    assert.deepEqual(all.markets.map(m => m.id), ['b', 'a', 'c']);
+
+    const open = await (await get('/markets?status=open&limit=1&offset=1')).json();
+    assert.deepEqual({ total: open.total, ids: open.markets.map(m => m.id) }, { total: 2, ids: ['a'] });
+    assert.deepEqual((await (await get('/markets?status=trending')).json()).markets.map(m => m.id), ['b']);
+    assert.deepEqual((await (await get('/markets?category=f1')).json()).markets.map(m => m.id), ['c']);
+  });
+
+  it('answers 400 for bad query parameters', async () => {
+    for (const q of ['status=pending', 'limit=0', 'limit=500', 'offset=-1', 'limit=abc']) {
+      const res = await get(`/markets?${q}`);
+      assert.equal(res.status, 400, q);
+      assert.equal((await res.json()).error, 'bad_request');
+    }
+    assert.equal((await get('/events?event=party')).status, 400);
+  });
+
+  it('returns one market with snapshots, winner and flags, or 404', async () => {
+    const c = await (await get('/markets/c')).json();
+    assert.equal(c.winner, 'Norris');
+    assert.equal(c.status, 'resolved');
+    assert.deepEqual(c.announced, { open: true, closed: false, resolved: true });
+    assert.deepEqual(c.closedSnapshot, { options: [] });
+    assert.equal(c.lastSeen.category, 'F1');
+    const missing = await get('/markets/zzz');
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error, 'not_found');
+  });
+
+  it('pages through recent events newest first', async () => {
+    const first = await (await get('/events?limit=2')).json();
+    assert.deepEqual(first.events.map(e => `${e.marketId}:${e.event}`), ['a:odds', 'c:resolved']);
+    const rest = await (await get(`/events?limit=2&before=${first.next}`)).json();
+    assert.deepEqual(rest.events.map(e => `${e.marketId}:${e.event}`), ['b:open', 'a:open']);
+    const forA = await (await get('/events?market=a&event=open')).json();
+    assert.deepEqual(forA.events.map(e => e.event), ['open']);
+    assert.equal(forA.next, null);
+  });
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCardHtml, cardKey } from '../lib/card.js';
+
+const market = {
+  id: 'm1', title: 'Lakers vs Celtics — Who wins Game 7?', category: 'NBA', status: 'open',
+  options: [{ label: 'CURRENT Lakers', pct: 62 }, { label: 'Celtics', pct: null }],
+};
+
+test('cardKey changes with what the card shows and nothing else', () => {
+  const key = cardKey(market);
+  assert.equal(cardKey({ ...market, endsIn: 'in about 1 hour', url: 'https://x' }), key);
+  assert.notEqual(cardKey({ ...market, options: [{ label: 'Lakers', pct: 70 }, { label: 'Celtics', pct: 30 }] }), key);
+  assert.notEqual(cardKey({ ...market, status: 'resolved', winner: 'Lakers' }), key);
+  assert.notEqual(cardKey({ ...market, id: 'm2' }), key);
+});
+
+test('buildCardHtml shows odds bars and escapes market text', () => {
+  const html = buildCardHtml({ ...market, title: 'A <b>bold</b> market' });
+  assert.match(html, /id="card"/);
+  assert.match(html, /A &lt;b&gt;bold&lt;\/b&gt; market/);
+  assert.match(html, /● LIVE/);
+  // Labels are cleaned and a missing side is filled in from the other one
+  assert.match(html, />Lakers<\/span><span class="pct">62%/);
+  assert.match(html, /width:38%/);
+  assert.doesNotMatch(html, /🏆/);
+});
+
+test('buildCardHtml marks the winner of a resolved market', () => {
+  const html = buildCardHtml({ ...market, status: 'resolved', winner: 'CURRENT Lakers' });
+  assert.match(html, /✔ RESOLVED/);
+  assert.match(html, /class="opt won"[\s\S]*?🏆 Lakers/);
+  assert.equal((html.match(/🏆/g) || []).length, 1);
+});
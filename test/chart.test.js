@@ -0,0 +1,19 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChartHtml, seriesFromPoints } from '../lib/chart.js';
+
+const points = [
+  { at: Date.UTC(2025, 2, 10, 12, 0), options: [{ label: 'Yes', pct: 60 }, { label: 'No', pct: 40 }] },
+  { at: Date.UTC(2025, 2, 10, 18, 0), options: [{ label: 'YES', pct: 70 }, { label: 'No', pct: 30 }] },
+];
+
+test('seriesFromPoints groups samples by label', () => {
+  assert.deepEqual(seriesFromPoints(points).map(s => [s.label, s.values.map(v => v.pct)]), [['Yes', [60, 70]], ['No', [40, 30]]]);
+});
+
+test('the time axis is on the given zone and says which', () => {
+  assert.match(buildChartHtml({ title: 'T', points }), /Mar 10, 12:00 UTC<\/text>/);
+  const madrid = buildChartHtml({ title: 'T', points, timeZone: 'Europe/Madrid' });
+  assert.match(madrid, /Mar 10, 13:00 GMT\+1<\/text>/);
+  assert.match(madrid, /Mar 10, 19:00 GMT\+1<\/text>/);
+});
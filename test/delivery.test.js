@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStore } from '../lib/store.js';
+import { createOutbox } from '../lib/outbox.js';
+import { rememberMarket, confirmDelivery, saveTickMarkets } from '../lib/delivery.js';
+
+for (const backend of ['sqlite', 'json']) {
+  const withStore = (fn) => async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'delivery-'));
+    const store = openStore({ backend, dir });
+    try { await fn(store); }
+    finally { store.close(); fs.rmSync(dir, { recursive: true, force: true }); }
+  };
+
+  test(`${backend}: a post delivered before the tick saves keeps its confirmation`, withStore(async (store) => {
+    const outbox = createOutbox({
+      store, chatIntervalMs: 0, globalIntervalMs: 0, pollMs: 60_000,
+      deliver: async () => ({ message_id: 41 }),
+      onSent: (item, m) => confirmDelivery(store, item, m),
+    });
+    // The tick's copy of a market it has just seen
+    const markets = { m1: { lastStatus: 'open', announcedOpen: false, lastSeen: { title: 'New' } } };
+    assert.equal(rememberMarket(store, 'm1', markets.m1), true);
+    outbox.enqueue([{ key: 'm1:open:-100', chatId: -100, event: 'open', marketId: 'm1', kind: 'photo', text: 'New' }]);
+    await outbox.drain();
+
+    // ...and only now, after awaiting cards and charts, does it write back
+    store.transaction(() => saveTickMarkets(store, markets));
+    const saved = store.getMarket('m1');
+    assert.equal(saved.announcedOpen, true);
+    assert.equal(saved.messages['-100'].open, 41);
+    assert.equal(saved.messages['-100'].photo, true);
+    assert.equal(saved.lastSeen.title, 'New');
+  }));
+
+  test(`${backend}: rememberMarket leaves a known market alone and deleted markets stay deleted`, withStore(async (store) => {
+    store.putMarket('m1', { lastStatus: 'open', announcedOpen: true });
+    assert.equal(rememberMarket(store, 'm1', { lastStatus: 'open', announcedOpen: false }), false);
+    assert.equal(store.getMarket('m1').announcedOpen, true);
+
+    confirmDelivery(store, { event: 'open', marketId: 'gone', chatId: '1', kind: 'message' }, { message_id: 5 });
+    assert.equal(store.getMarket('gone'), null);
+  }));
+}
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDigestArgs, collectDigest, digestIsEmpty } from '../lib/digest.js';
+
+const H = 60 * 60 * 1000;
+const NOW = Date.parse('2025-03-10T09:00:00Z');
+const SINCE = NOW - 24 * H;
+
+const market = (title, extra = {}) => ({
+  lastStatus: 'open', url: `https://auracle.fi/MarketDetails?id=${title}`, retired: false,
+  lastSeen: { title, category: 'NBA', closeISO: '', options: [{ label: 'Yes', pct: 50 }, { label: 'No', pct: 50 }] },
+  ...extra,
+});
+const closing = (ms) => ({ title: 'x', category: 'NBA', closeISO: new Date(ms).toISOString(), options: [] });
+
+test('parseDigestArgs accepts presets, cron expressions and timezones', () => {
+  assert.deepEqual(parseDigestArgs('daily'), { cron: '0 9 * * *', tz: 'UTC' });
+  assert.deepEqual(parseDigestArgs('Weekly tz=Europe/Madrid'), { cron: '0 9 * * 1', tz: 'Europe/Madrid' });
+  assert.deepEqual(parseDigestArgs('30  8 * * 1-5', { defaultTz: 'America/New_York' }), { cron: '30 8 * * 1-5', tz: 'America/New_York' });
+  assert.deepEqual(parseDigestArgs('off'), { off: true });
+  assert.throws(() => parseDigestArgs('daily tz=Mars/Base'), /Unknown timezone/);
+  assert.throws(() => parseDigestArgs('* * * * * *'), /5-field/, 'no seconds field');
+  assert.throws(() => parseDigestArgs('0 25 * * *'), /5-field/);
+  assert.throws(() => parseDigestArgs('hourly'), /5-field/);
+});
+
+test('collectDigest picks opened, resolved and closing markets inside the period', () => {
+  const markets = {
+    old:    market('Old', { openedAt: SINCE - H }),
+    fresh:  market('Fresh', { openedAt: SINCE + H }),
+    won:    market('Won', { lastStatus: 'resolved', retired: true, resolvedAt: NOW - H, winner: 'Yes' }),
+    stale:  market('Stale', { lastStatus: 'resolved', retired: true, resolvedAt: SINCE - 1, winner: 'No' }),
+    soon:   market('Soon', { lastSeen: { ...closing(NOW + 2 * H), title: 'Soon' } }),
+    sooner: market('Sooner', { lastSeen: { ...closing(NOW + H), title: 'Sooner' } }),
+    later:  market('Later', { lastSeen: { ...closing(NOW + 30 * H), title: 'Later' } }),
+    shut:   market('Shut', { lastStatus: 'closed', lastSeen: { ...closing(NOW + H), title: 'Shut' } }),
+    blank:  market('Blank', { lastSeen: null, openedAt: NOW - H }),
+  };
+  const d = collectDigest({ markets, since: SINCE, now: NOW });
+  assert.deepEqual(d.opened.map(e => e.id), ['fresh']);
+  assert.deepEqual(d.resolved.map(e => [e.id, e.winner]), [['won', 'Yes']]);
+  assert.deepEqual(d.closing.map(e => e.id), ['sooner', 'soon']);
+  assert.equal(d.opened[0].url, 'https://auracle.fi/MarketDetails?id=Fresh');
+});
+
+test('collectDigest ranks odds movers by their biggest move and honours the chat filter', () => {
+  const samples = {
+    a: [{ at: 1, options: [{ label: 'Yes', pct: 40 }, { label: 'No', pct: 60 }] }, { at: 2, options: [{ label: 'YES', pct: 55 }, { label: 'No', pct: 45 }] }],
+    b: [{ at: 1, options: [{ label: 'Yes', pct: 50 }] }, { at: 2, options: [{ label: 'Yes', pct: 80 }] }],
+    c: [{ at: 1, options: [{ label: 'Yes', pct: 50 }] }],
+    f1: [{ at: 1, options: [{ label: 'Yes', pct: 10 }] }, { at: 2, options: [{ label: 'Yes', pct: 90 }] }],
+  };
+  const markets = {
+    a: market('A'), b: market('B'), c: market('C'),
+    f1: market('F1', { lastSeen: { ...market('F1').lastSeen, category: 'F1' } }),
+  };
+  const d = collectDigest({
+    markets, since: SINCE, now: NOW,
+    match: (mk) => mk.lastSeen.category === 'NBA',
+    oddsHistory: (id, sinceMs) => { assert.equal(sinceMs, SINCE); return samples[id] || []; },
+  });
+  assert.deepEqual(d.movers.map(e => [e.id, e.move]), [
+    ['b', { label: 'Yes', from: 50, to: 80 }],
+    ['a', { label: 'YES', from: 40, to: 55 }],
+  ]);
+  assert.equal(digestIsEmpty(d), false);
+  assert.equal(digestIsEmpty(collectDigest({ markets: {}, since: SINCE, now: NOW })), true);
+});
@@ -0,0 +1,43 @@
+import * as fs from 'fs';
+import path from 'path';
+import http from 'http';
+
+/* =========================
+   FIXTURE SERVER
+   =========================
+   Replays recorded Auracle pages from test/fixtures on a random local port:
+
+     /Markets, /markets          → markets.html
+     /MarketDetails?id=<id>      → detail-<id>.html
+     /markets/<id>               → detail-<id>.html
+*/
+export function fixturePath(dir, pathname, params) {
+  if (/^\/markets\/?$/i.test(pathname)) return path.join(dir, 'markets.html');
+  const id = /^\/MarketDetails\/?$/i.test(pathname) ? params.get('id')
+    : pathname.match(/^\/markets\/([^/]+)/i)?.[1];
+  if (!id || !/^[\w-]+$/.test(id)) return null;
+  return path.join(dir, `detail-${id}.html`);
+}
+
+export function startFixtureServer(dir) {
+  const server = http.createServer((req, res) => {
+    const u = new URL(req.url, 'http://localhost');
+    const file = fixturePath(dir, u.pathname, u.searchParams);
+    if (!file || !fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('no fixture\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(file).pipe(res);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        baseUrl: `http://127.0.0.1:${port}`,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
@@ -0,0 +1,66 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pickPoints, scorePicks, winningLabel, recordResults, leaderboard, weekStart, optionKey, optionByKey } from '../lib/game.js';
+
+const D = 24 * 60 * 60 * 1000;
+
+test('pickPoints pays more for the underdog, within limits', () => {
+  assert.equal(pickPoints(50), 10);
+  assert.equal(pickPoints(25), 20);
+  assert.equal(pickPoints(80), 6);
+  assert.equal(pickPoints(1), 100, 'floored at 5%');
+  assert.equal(pickPoints(100), 5, 'capped at 95%');
+  assert.equal(pickPoints(null), 10, 'unknown odds count as even');
+});
+
+test('winningLabel maps the result onto the pick buttons or voids it', () => {
+  const options = [{ label: 'CURRENT Lakers', pct: 62 }, { label: 'Celtics', pct: 38 }];
+  assert.equal(winningLabel('CURRENT Lakers', options), 'Lakers');
+  assert.equal(winningLabel('celtics', options), 'Celtics');
+  assert.equal(winningLabel('Invalid', options), null);
+  assert.equal(winningLabel(null, options), null);
+});
+
+test('pick buttons find their option by key whatever order the options come in', () => {
+  const options = [{ label: 'Lakers', pct: 62 }, { label: 'Celtics', pct: 38 }];
+  const key = optionKey('Celtics');
+  assert.match(key, /^[0-9a-f]{8}$/);
+  assert.equal(optionKey('CURRENT celtics'), key, 'same label as the game spells it');
+  assert.deepEqual(optionByKey(options, key), { label: 'Celtics', pct: 38 });
+  assert.deepEqual(optionByKey([...options].reverse(), key), { label: 'Celtics', pct: 38 });
+  assert.equal(optionByKey([{ label: 'Lakers', pct: 60 }, { label: 'Heat', pct: 40 }], key), undefined);
+  assert.equal(optionByKey(options, '1'), undefined, 'old index buttons match nothing');
+});
+
+test('scorePicks scores the winners at the odds they picked', () => {
+  const picks = {
+    1: { label: 'Lakers', pct: 62, name: '@ann' },
+    2: { label: 'Celtics', pct: 38, name: '@bob' },
+    3: { label: 'Celtics', pct: 20, name: '@cy' },
+  };
+  const results = scorePicks(picks, 'Celtics');
+  assert.deepEqual(results.map(r => [r.userId, r.correct, r.points]), [['3', true, 25], ['2', true, 13], ['1', false, 0]]);
+});
+
+test('recordResults keeps all-time totals and a window of recent results', () => {
+  const now = Date.UTC(2025, 2, 10);
+  let ledger = recordResults({}, [{ userId: '1', name: '@ann', correct: true, points: 20 }], { marketId: 'a', at: now - 20 * D });
+  ledger = recordResults(ledger, [
+    { userId: '1', name: '@ann', correct: false, points: 0 },
+    { userId: '2', name: '@bob', correct: true, points: 13 },
+  ], { marketId: 'b', at: now });
+  assert.deepEqual(ledger.totals['1'], { name: '@ann', points: 20, correct: 1, picks: 2 });
+  assert.deepEqual(ledger.recent.map(r => r.marketId), ['b', 'b'], 'the 20-day-old result left the window');
+
+  assert.deepEqual(leaderboard(ledger).map(r => [r.name, r.points]), [['@ann', 20], ['@bob', 13]]);
+  assert.deepEqual(leaderboard(ledger, { since: now - D }).map(r => [r.name, r.points, r.picks]), [['@bob', 13, 1], ['@ann', 0, 1]]);
+  assert.deepEqual(leaderboard(undefined), []);
+});
+
+test('weekStart is Monday midnight on the chat calendar', () => {
+  // Sunday evening in New York is already Monday in UTC
+  const sunday = Date.parse('2025-03-10T03:00:00Z');
+  assert.equal(new Date(weekStart(sunday, 'UTC')).toISOString(), '2025-03-10T00:00:00.000Z');
+  assert.equal(new Date(weekStart(sunday, 'America/New_York')).toISOString(), '2025-03-03T05:00:00.000Z');
+  assert.equal(new Date(weekStart(Date.parse('2025-03-05T12:00:00Z'), 'Europe/Madrid')).toISOString(), '2025-03-02T23:00:00.000Z');
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { t, CATALOGS, LANGUAGES, isLanguage } from '../lib/i18n.js';
+import { humanizeEta } from '../lib/util.js';
+
+const placeholders = (msg) => {
+  const texts = typeof msg === 'object' ? Object.values(msg) : [msg];
+  return [...new Set(texts.flatMap(s => [...s.matchAll(/\{(\w+)\}/g)].map(m => m[1])))].sort();
+};
+
+test('every translation has an English original with the same placeholders', () => {
+  for (const lang of LANGUAGES) {
+    for (const [key, msg] of Object.entries(CATALOGS[lang])) {
+      assert.ok(key in CATALOGS.en, `${lang}: ${key} is not in en`);
+      assert.deepEqual(placeholders(msg), placeholders(CATALOGS.en[key]), `${lang}: ${key}`);
+    }
+  }
+});
+
+test('t falls back to English, then to the key, and leaves unknown placeholders alone', () => {
+  assert.equal(t('fr', 'tick.finished'), 'Tick finished.');
+  assert.equal(t('es', 'no.such.key'), 'no.such.key');
+  assert.equal(t('en', 'admin.added', { id: 42 }), 'OK. 42 is now an admin.');
+  assert.equal(t('en', 'template.open').includes('{title}'), true);
+  assert.equal(isLanguage('pt'), true);
+  assert.equal(isLanguage('toString'), false);
+});
+
+test('plurals follow each language', () => {
+  assert.equal(t('en', 'outbox.dropped', { count: 1 }), 'Dropped 1 dead letter.');
+  assert.equal(t('en', 'outbox.dropped', { count: 0 }), 'Dropped 0 dead letters.');
+  assert.match(t('es', 'duration.hours', { count: 1 }), /^1 hora$/);
+  assert.match(t('es', 'duration.hours', { count: 2 }), /^2 horas$/);
+  // Portuguese (Brazil) treats 0 as singular
+  assert.equal(t('pt', 'duration.days', { count: 0 }), '0 dia');
+  assert.equal(t('pt', 'duration.days', { count: 2 }), '2 dias');
+});
+
+test('humanizeEta speaks the chat language', () => {
+  const now = Date.UTC(2025, 0, 1);
+  assert.equal(humanizeEta(now + 3 * 3600_000, now), 'in about 3 hours');
+  assert.equal(humanizeEta(now + 3 * 3600_000, now, 'es'), t('es', 'eta.hours', { count: 3 }));
+  assert.equal(humanizeEta(now + 86400_000, now, 'pt'), t('pt', 'eta.days', { count: 1 }));
+  assert.notEqual(humanizeEta(now + 86400_000, now, 'pt'), humanizeEta(now + 86400_000, now));
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegistry } from '../lib/metrics.js';
+
+test('counters and gauges render with HELP, TYPE and escaped labels', () => {
+  const r = createRegistry();
+  const c = r.counter('x_total', 'Things.\nMore things.', { labels: ['kind'] });
+  c.inc({ kind: 'a' });
+  c.inc({ kind: 'a' }, 2);
+  c.inc({ kind: 'say "hi"\\' });
+  r.gauge('y', 'A gauge.').set(1.5);
+  assert.equal(r.render(), [
+    '# HELP x_total Things.\\nMore things.',
+    '# TYPE x_total counter',
+    'x_total{kind="a"} 3',
+    'x_total{kind="say \\"hi\\"\\\\"} 1',
+    '# HELP y A gauge.',
+    '# TYPE y gauge',
+    'y 1.5',
+  ].join('\n') + '\n');
+});
+
+test('histograms emit cumulative buckets, sum and count', () => {
+  const r = createRegistry();
+  const h = r.histogram('d_seconds', 'Durations.', { buckets: [5, 1] });
+  for (const v of [0.5, 3, 7]) h.observe(v);
+  const lines = r.render().trim().split('\n').slice(2);
+  assert.deepEqual(lines, [
+    'd_seconds_bucket{le="1"} 1',
+    'd_seconds_bucket{le="5"} 2',
+    'd_seconds_bucket{le="+Inf"} 3',
+    'd_seconds_sum 10.5',
+    'd_seconds_count 3',
+  ]);
+});
+
+test('collected series are rebuilt on every render and a failing collect keeps the rest', () => {
+  const r = createRegistry();
+  let statuses = { open: 2, closed: 1 };
+  r.gauge('m', 'Markets.', { labels: ['status'], collect: (g) => { for (const [s, n] of Object.entries(statuses)) g.set({ status: s }, n); } });
+  r.gauge('broken', 'Throws.', { collect: () => { throw new Error('nope'); } });
+  assert.match(r.render(), /m\{status="closed"\} 1/);
+  statuses = { open: 3 };
+  const out = r.render();
+  assert.match(out, /m\{status="open"\} 3/);
+  assert.doesNotMatch(out, /closed/);
+  assert.match(out, /# TYPE broken gauge\n$/);
+});
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStore } from '../lib/store.js';
+import { createOutbox, classifyTelegramError, backoffDelay } from '../lib/outbox.js';
+import { sleep } from '../lib/util.js';
+
+const tgError = (error_code, description, parameters) =>
+  Object.assign(new Error(description), { response: { error_code, description, parameters } });
+
+const item = (chatId, key, extra = {}) => ({ key, chatId, event: 'open', marketId: 'm1', text: key, ...extra });
+
+test('classifyTelegramError separates flood waits, permanent and transient failures', () => {
+  assert.deepEqual(classifyTelegramError(tgError(429, 'Too Many Requests: retry after 7', { retry_after: 7 })),
+    { description: 'Too Many Requests: retry after 7', retryAfterMs: 7000, permanent: false });
+  assert.equal(classifyTelegramError(tgError(403, 'Forbidden: bot was kicked from the group chat')).permanent, true);
+  assert.equal(classifyTelegramError(tgError(400, 'Bad Request: chat not found')).permanent, true);
+  assert.equal(classifyTelegramError(tgError(502, 'Bad Gateway')).permanent, false);
+  assert.equal(classifyTelegramError(new Error('socket hang up')).permanent, false);
+});
+
+test('backoffDelay doubles per attempt up to the cap', () => {
+  assert.equal(backoffDelay(0, { backoffMs: 1000, maxBackoffMs: 10_000 }), 1000);
+  assert.equal(backoffDelay(3, { backoffMs: 1000, maxBackoffMs: 10_000 }), 8000);
+  assert.equal(backoffDelay(9, { backoffMs: 1000, maxBackoffMs: 10_000 }), 10_000);
+});
+
+for (const backend of ['sqlite', 'json']) {
+  const withStore = (fn) => async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const store = openStore({ backend, dir });
+    try { await fn(store); }
+    finally { store.close(); fs.rmSync(dir, { recursive: true, force: true }); }
+  };
+  const outboxFor = (store, deliver, extra = {}) =>
+    createOutbox({ store, deliver, chatIntervalMs: 0, globalIntervalMs: 0, pollMs: 60_000, ...extra });
+
+  test(`${backend}: delivers queued messages in order and skips known keys`, withStore(async (store) => {
+    const sent = [], confirmed = [];
+    const outbox = outboxFor(store, async (it) => { sent.push(it.text); return { message_id: sent.length }; }, {
+      onSent: (it, m) => confirmed.push([it.key, m.message_id]),
+    });
+    assert.equal(store.enqueueOutbox([item(1, 'a'), item(1, 'b'), item(2, 'c')]), 3);
+    assert.equal(store.enqueueOutbox([item(1, 'a')]), 0);
+    await outbox.drain();
+    assert.deepEqual(sent, ['a', 'c', 'b']);
+    assert.deepEqual(confirmed, [['a', 1], ['c', 2], ['b', 3]]);
+    assert.deepEqual(store.outboxStats(), { pending: 0, sent: 3, dead: 0 });
+    assert.equal(store.enqueueOutbox([item(1, 'a')]), 0, 'delivered keys stay known');
+  }));
+
+  test(`${backend}: a flood wait holds only that chat and honours retry_after`, withStore(async (store) => {
+    let calls = 0;
+    const outbox = outboxFor(store, async (it) => {
+      calls++;
+      if (it.chatId === '1') throw tgError(429, 'Too Many Requests: retry after 30', { retry_after: 30 });
+      return { message_id: 9 };
+    }, { maxAttempts: 1 });
+    store.enqueueOutbox([item(1, 'a'), item(1, 'b'), item(2, 'c')]);
+    const before = Date.now();
+    await outbox.drain();
+    assert.equal(calls, 2);
+    assert.deepEqual(store.outboxStats(), { pending: 2, sent: 1, dead: 0 });
+    assert.deepEqual(store.outboxDue(before + 29_000), [], 'chat 1 waits out retry_after, b stays behind a');
+    const [head] = store.outboxDue(before + 31_000);
+    assert.equal(head.key, 'a');
+    assert.equal(head.attempts, 1);
+    assert.match(head.lastError, /retry after 30/);
+  }));
+
+  test(`${backend}: transient errors back off, then give up as dead letters`, withStore(async (store) => {
+    const outbox = outboxFor(store, async () => { throw new Error('socket hang up'); }, { maxAttempts: 2, backoffMs: 50 });
+    store.enqueueOutbox([item(1, 'a')]);
+    await outbox.drain();
+    assert.deepEqual(store.outboxStats(), { pending: 1, sent: 0, dead: 0 });
+    await new Promise(r => setTimeout(r, 60));
+    await outbox.drain();
+    assert.deepEqual(store.outboxStats(), { pending: 0, sent: 0, dead: 1 });
+  }));
+
+  test(`${backend}: permanent failures become dead letters that can be requeued or dropped`, withStore(async (store) => {
+    let kicked = true;
+    const dead = [];
+    const outbox = outboxFor(store, async () => {
+      if (kicked) throw tgError(403, 'Forbidden: bot was kicked from the group chat');
+      return { message_id: 1 };
+    }, { onDead: (it, why, code) => dead.push([it.key, why, code]) });
+    store.enqueueOutbox([item(1, 'a', { kind: 'photo', photo: Buffer.from([1, 2, 3]) }), item(3, 'b')]);
+    await outbox.drain();
+    assert.equal(dead.length, 2);
+    assert.equal(dead[0][2], 403);
+    const letters = store.deadLetters();
+    assert.deepEqual(letters.map(d => d.key), ['b', 'a']);
+    assert.equal(letters[1].lastError, 'Forbidden: bot was kicked from the group chat');
+    assert.deepEqual([...letters[1].photo], [1, 2, 3]);
+
+    kicked = false;
+    assert.equal(store.requeueDead(letters[1].id), 1);
+    await outbox.drain();
+    assert.equal(store.dropDead(null), 1);
+    assert.deepEqual(store.outboxStats(), { pending: 0, sent: 1, dead: 0 });
+  }));
+
+  test(`${backend}: pruning keeps the keys of markets that are still live`, withStore(async (store) => {
+    const outbox = outboxFor(store, async () => ({ message_id: 1 }));
+    store.putMarket('live', { lastStatus: 'open' });
+    store.putMarket('over', { lastStatus: 'resolved', retired: true });
+    const items = [
+      item(1, 'live:open:1', { marketId: 'live' }),
+      item(1, 'over:resolved:1', { marketId: 'over' }),
+      item(1, 'gone:open:1', { marketId: 'gone' }),
+      item(1, 'digest:1', { marketId: null, event: 'digest' }),
+    ];
+    store.enqueueOutbox(items);
+    await outbox.drain();
+    await sleep(5);
+    store.pruneOutbox({ sentMaxAgeMs: 1 });
+    assert.deepEqual(store.outboxStats(), { pending: 0, sent: 1, dead: 0 });
+    assert.equal(store.enqueueOutbox([items[0]]), 0, 'a live market cannot repeat itself');
+    // Past the window, anything else can be queued again
+    assert.equal(store.enqueueOutbox(items.slice(1)), 3);
+  }));
+}
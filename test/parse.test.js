@@ -0,0 +1,91 @@
+// The text side of the scrapers; runs without a browser. test/scraper.test.js
+// replays whole pages through Chrome when one is available.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  marketIdFromHref, parsePct, optionsFromImpliedTexts, optionsFromCurrentBlocks, pickEndsIn,
+  splitSections, pickTitle, pickDetailOptions, readStatus, pickCloseText, parseDetailPage,
+} from '../lib/parse.js';
+
+test('marketIdFromHref reads both link styles', () => {
+  assert.equal(marketIdFromHref('https://auracle.fi/MarketDetails?id=42'), '42');
+  assert.equal(marketIdFromHref('https://auracle.fi/markets/abc'), 'abc');
+  assert.equal(marketIdFromHref('not a url'), null);
+});
+
+test('parsePct and the IMPLIED panels', () => {
+  assert.equal(parsePct(' 61.6 %'), 62);
+  assert.equal(parsePct(''), null);
+  assert.deepEqual(optionsFromImpliedTexts(['Lakers  IMPLIED 62%', 'Celtics IMPLIED\n38 %', 'IMPLIED PROBABILITY', 'x'.repeat(90) + ' IMPLIED 5%']),
+    [{ label: 'Lakers', pct: 62 }, { label: 'Celtics', pct: 38 }]);
+});
+
+test('CURRENT blocks give the odds on closed pages', () => {
+  const text = 'Chart\nCURRENT YES\n71%\nCURRENT NO 29 %\nPool 1,200';
+  assert.deepEqual(optionsFromCurrentBlocks(text), [{ label: 'YES', pct: 71 }, { label: 'NO', pct: 29 }]);
+});
+
+test('pickEndsIn keeps the furthest countdown as printed', () => {
+  assert.equal(pickEndsIn(['NBA', 'Ends in about 3 hours', 'in 45 minutes']), 'Ends in about 3 hours');
+  assert.equal(pickEndsIn(['Ends in about 2 days', 'in 5 hours']), 'Ends in about 2 days');
+  assert.equal(pickEndsIn(['soon']), '');
+});
+
+test('splitSections parses cards, dedupes them and separates the hot ones', () => {
+  const card = (id, extra = {}) => ({
+    href: `https://auracle.fi/MarketDetails?id=${id}`, category: 'NBA', timeTexts: ['Ends in about 3 hours'],
+    impliedTexts: [], rowOptions: [], hot: false, ...extra,
+  });
+  const { trending, active } = splitSections([
+    card('a', { impliedTexts: ['CURRENT – Lakers IMPLIED 62%', 'Celtics IMPLIED 38%'] }),
+    card('b', { hot: true, rowOptions: [{ label: 'Verstappen', pct: 44 }, { label: 'Norris', pct: null }] }),
+    card('a', { category: 'dupe' }),
+  ]);
+  assert.deepEqual(active, [{
+    id: 'a', url: 'https://auracle.fi/MarketDetails?id=a', title: '', category: 'NBA',
+    endsIn: 'Ends in about 3 hours', options: [{ label: 'Lakers', pct: 62 }, { label: 'Celtics', pct: 38 }], status: 'open',
+  }]);
+  assert.deepEqual(trending.map(e => [e.id, e.options]), [['b', [{ label: 'Verstappen', pct: 44 }, { label: 'Norris', pct: 56 }]]]);
+  // All hot means no trending section at all
+  assert.deepEqual(splitSections([card('b', { hot: true })]).active.map(e => e.id), ['b']);
+});
+
+test('pickTitle prefers a real market title over site chrome', () => {
+  assert.equal(pickTitle({ ogTitle: 'Auracle', headings: ['PREDICT THE FUTURE', 'Lakers vs Celtics — Who wins?'] }), 'Lakers vs Celtics — Who wins?');
+  assert.equal(pickTitle({ headings: ['AURACLE'], docTitle: 'Auracle | Monaco GP' }), 'Monaco GP');
+});
+
+test('pickDetailOptions falls back from bet rows to CURRENT blocks to IMPLIED panels', () => {
+  const rowSets = [[{ label: ' Real Madrid ', pctText: '55%' }, { label: 'Barcelona', pctText: null }]];
+  assert.deepEqual(pickDetailOptions({ rowSets }), [{ label: 'Real Madrid', pct: 55 }, { label: 'Barcelona', pct: 45 }]);
+  assert.deepEqual(pickDetailOptions({ rowSets: [[{ label: 'A' }, { label: 'B' }]], pageText: 'CURRENT YES 71% CURRENT NO 29%' }),
+    [{ label: 'YES', pct: 71 }, { label: 'NO', pct: 29 }]);
+  assert.deepEqual(pickDetailOptions({ impliedTexts: ['Arsenal IMPLIED 40%', 'Draw IMPLIED 27%', 'Chelsea IMPLIED 33%'] }),
+    [{ label: 'Arsenal', pct: 40 }, { label: 'Draw', pct: 27 }, { label: 'Chelsea', pct: 33 }]);
+});
+
+test('readStatus finds the resolution banner and the closed notice', () => {
+  assert.deepEqual(readStatus('Oracle Resolved: YES\nPool'), { status: 'resolved', winner: 'YES' });
+  assert.deepEqual(readStatus('ORACLE RESOLVED\n\nReal Madrid\n'), { status: 'resolved', winner: 'Real Madrid' });
+  assert.deepEqual(readStatus('Oracle closed - awaiting resolution'), { status: 'closed', winner: null });
+  assert.deepEqual(readStatus('Place bet'), { status: 'open', winner: null });
+});
+
+test('pickCloseText takes the text by the Close label, else the first date and time', () => {
+  assert.equal(pickCloseText({ nearLabel: ['', 'March 3, 2025 at 7:00 PM'] }), 'March 3, 2025 at 7:00 PM');
+  assert.equal(pickCloseText({ pageText: 'Opened January 2, 2025\nthen at   9:30 PM and 10:00 PM' }), 'January 2, 2025 9:30 PM');
+  assert.equal(pickCloseText({ pageText: 'no date' }), '');
+});
+
+test('parseDetailPage puts it together', () => {
+  const d = parseDetailPage({
+    href: 'https://auracle.fi/MarketDetails?id=closed', headings: ['Will Bitcoin close above $100k on Friday?'],
+    rowSets: [], impliedTexts: [], closeTexts: [],
+    pageText: 'ORACLE CLOSED - AWAITING RESOLUTION\nCURRENT YES 71%\nCURRENT NO 29%\nClose\nFebruary 28, 2025 9:30 PM',
+  });
+  assert.deepEqual(d, {
+    id: 'closed', title: 'Will Bitcoin close above $100k on Friday?', url: 'https://auracle.fi/MarketDetails?id=closed',
+    status: 'closed', options: [{ label: 'YES', pct: 71 }, { label: 'NO', pct: 29 }], winner: null,
+    endsIn: '', closeText: 'February 28, 2025 9:30 PM',
+  });
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { planDetailScrapes, runWithBudget, cardIsComplete } from '../lib/schedule.js';
+
+const now = Date.UTC(2025, 0, 1, 12);
+const min = 60_000;
+const card = (id, pcts = [60, 40]) => [id, { id, options: pcts.map((pct, i) => ({ label: `O${i}`, pct })) }];
+const seen = (extra = {}) => ({ title: 'T', closeISO: new Date(now + 5 * 60 * min).toISOString(), ...extra });
+
+test('cardIsComplete wants two or more labelled options with odds', () => {
+  assert.equal(cardIsComplete({ options: [{ label: 'Yes', pct: 70 }, { label: 'No', pct: 30 }] }), true);
+  assert.equal(cardIsComplete({ options: [{ label: 'Yes', pct: 70 }, { label: 'No', pct: null }] }), false);
+  assert.equal(cardIsComplete({ options: [{ label: 'Yes', pct: 70 }] }), false);
+  assert.equal(cardIsComplete(undefined), false);
+});
+
+test('planDetailScrapes skips listed open markets the card covers', () => {
+  const markets = {
+    fresh:   { lastStatus: 'open', lastSeen: seen(), lastDetailAt: now - min },
+    stale:   { lastStatus: 'open', lastSeen: seen(), lastDetailAt: now - 11 * min },
+    partial: { lastStatus: 'open', lastSeen: seen(), lastDetailAt: now - min },
+  };
+  const cards = new Map([card('fresh'), card('stale'), card('partial', [60, null])]);
+  const { due, skipped } = planDetailScrapes({ ids: Object.keys(markets), markets, cards, now });
+  assert.deepEqual(skipped, ['fresh']);
+  assert.deepEqual(due, [{ id: 'stale', reason: 'stale' }, { id: 'partial', reason: 'incomplete-card' }]);
+});
+
+test('planDetailScrapes puts markets near close first and closed ones last', () => {
+  const markets = {
+    closedRecent: { lastStatus: 'closed', lastSeen: seen(), lastDetailAt: now - min },
+    closedOld:    { lastStatus: 'closed', lastSeen: seen(), lastDetailAt: now - 6 * min },
+    gone:         { lastStatus: 'open', lastSeen: seen(), lastDetailAt: now - min },
+    closing:      { lastStatus: 'open', lastSeen: seen({ closeISO: new Date(now + 10 * min).toISOString() }), lastDetailAt: now - min },
+    watched:      { lastStatus: 'unknown', lastSeen: null },
+  };
+  const cards = new Map([card('closing')]);
+  const { due, skipped } = planDetailScrapes({ ids: Object.keys(markets), markets, cards, now });
+  assert.deepEqual(due.map(d => `${d.id}:${d.reason}`), ['closing:near-close', 'watched:new', 'gone:unlisted', 'closedOld:closed']);
+  assert.deepEqual(skipped, ['closedRecent']);
+});
+
+test('planDetailScrapes runs carried-over markets before anything else', () => {
+  const markets = {
+    a: { lastStatus: 'closed', lastSeen: seen() },
+    b: { lastStatus: 'open', lastSeen: seen({ closeISO: new Date(now + min).toISOString() }) },
+  };
+  const { due } = planDetailScrapes({ ids: ['a', 'b'], markets, now, carried: new Set(['a']) });
+  assert.deepEqual(due.map(d => d.id), ['a', 'b']);
+});
+
+test('runWithBudget keeps item order and caps work in flight', async () => {
+  let inFlight = 0, peak = 0;
+  const { results, leftover } = await runWithBudget([30, 10, 20, 5], async (ms) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(r => setTimeout(r, ms));
+    inFlight--;
+    if (ms === 20) throw new Error('boom');
+    return ms * 2;
+  }, { concurrency: 2 });
+  assert.equal(peak, 2);
+  assert.deepEqual(leftover, []);
+  assert.deepEqual(results.map(r => r.value ?? r.error.message), [60, 20, 'boom', 10]);
+});
+
+test('runWithBudget stops starting work at the deadline', async () => {
+  const started = [];
+  const { results, leftover } = await runWithBudget(['a', 'b', 'c', 'd'], async (x) => {
+    started.push(x);
+    await new Promise(r => setTimeout(r, 40));
+    return x;
+  }, { concurrency: 1, deadline: Date.now() + 60 });
+  assert.deepEqual(started, ['a', 'b']);
+  assert.deepEqual(results.map(r => r.value), ['a', 'b']);
+  assert.deepEqual(leftover, ['c', 'd']);
+});
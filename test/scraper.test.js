@@ -0,0 +1,55 @@
+// Replays the pages in test/fixtures through the real scrapers. Needs a Chrome
+// that Puppeteer can launch (PUPPETEER_EXECUTABLE_PATH works); skipped
+// otherwise, while test/parse.test.js still covers reading the text. The pages
+// are hand-made stand-ins: replace them with live captures from
+// `npm run fixtures:record` and update expected.json to match.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startFixtureServer } from './fixture-server.js';
+import { getBrowser, closeBrowser, fetchMarketsFromSections, scrapeMarketDetail } from '../lib/scraper.js';
+import { mapWinnerToLabel } from '../lib/util.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'expected.json'), 'utf8'));
+
+// Fixture close times are printed in UTC, the default AURACLE_TIMEZONE. Chrome
+// inherits TZ when it launches below, and an offset zone must not leak in.
+process.env.TZ = 'America/New_York';
+const launchError = await getBrowser().then(() => null, (e) => e);
+const skip = launchError ? `browser unavailable: ${launchError.message.split('\n')[0]}` : false;
+
+const pick = (entry) => ({
+  id: entry.id, category: entry.category, endsIn: entry.endsIn, status: entry.status, options: entry.options,
+});
+
+describe('scraper fixtures', { skip }, () => {
+  let server;
+  before(async () => { server = await startFixtureServer(FIXTURES); });
+  after(async () => {
+    await closeBrowser();
+    await server?.close();
+  });
+
+  it('splits the market list into trending and active cards', async () => {
+    const data = await fetchMarketsFromSections({ baseUrl: server.baseUrl });
+    assert.deepEqual(data.trending.map(pick), expected.list.trending);
+    assert.deepEqual(data.active.map(pick), expected.list.active);
+  });
+
+  for (const [id, want] of Object.entries(expected.details)) {
+    it(`reads the ${id} detail page`, async () => {
+      const d = await scrapeMarketDetail(`${server.baseUrl}/MarketDetails?id=${id}`);
+      assert.equal(d.id, id);
+      assert.equal(d.title, want.title);
+      assert.equal(d.status, want.status);
+      assert.deepEqual(d.options, want.options);
+      assert.equal(d.winner, want.winner);
+      assert.equal(mapWinnerToLabel(d.winner, d.options), want.winnerLabel);
+      assert.equal(d.closeISO, want.closeISO);
+      if (want.closeText) assert.equal(d.closeText, want.closeText);
+    });
+  }
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import path from 'path';
+import * as fs from 'fs';
+import { fileURLToPath } from 'url';
+import { createMarketSource, marketIdFromUrl } from '../lib/sources.js';
+
+const FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'markets.json');
+
+test('json source splits open markets into trending and active cards', async () => {
+  const src = createMarketSource({ kind: 'json', jsonFile: FILE });
+  const { trending, active } = await src.fetchList();
+  assert.deepEqual(trending.map(m => m.id), ['trending']);
+  assert.deepEqual(active.map(m => m.id), ['open']);
+  assert.deepEqual(active[0], {
+    id: 'open',
+    url: 'https://auracle.fi/MarketDetails?id=open',
+    title: 'Lakers vs Celtics — Who wins Game 7?',
+    category: 'NBA',
+    endsIn: 'Ends in about 3 hours',
+    options: [{ label: 'Lakers', pct: 62 }, { label: 'Celtics', pct: 38 }],
+    status: 'open',
+  });
+});
+
+test('json source answers detail lookups by market url', async () => {
+  const src = createMarketSource({ kind: 'json', jsonFile: FILE });
+  const d = await src.fetchDetail('https://auracle.fi/MarketDetails?id=resolved');
+  assert.deepEqual(d, {
+    id: 'resolved',
+    title: 'Real Madrid vs Barcelona — El Clásico',
+    url: 'https://auracle.fi/MarketDetails?id=resolved',
+    status: 'resolved',
+    options: [{ label: 'Real Madrid', pct: 55 }, { label: 'Barcelona', pct: 45 }],
+    winner: 'YES',
+    endsIn: '',
+    closeISO: '2025-04-30T23:00:00.000Z',
+    closeText: '',
+  });
+  assert.equal(await src.fetchDetail('https://auracle.fi/MarketDetails?id=nope'), null);
+});
+
+test('json source reuses one snapshot within its ttl', async () => {
+  let hits = 0;
+  const body = fs.readFileSync(FILE);
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(body);
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    const src = createMarketSource({ kind: 'json', jsonUrl: `http://127.0.0.1:${server.address().port}/markets.json`, ttlMs: 60_000 });
+    await src.fetchList();
+    await src.fetchDetail('https://auracle.fi/MarketDetails?id=open');
+    await src.fetchDetail('https://auracle.fi/markets/trending');
+    assert.equal(hits, 1);
+    await src.close();
+    await src.fetchList();
+    assert.equal(hits, 2);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
+
+test('json source reads closeText in its timezone when closeISO is missing', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify([{ id: 'x', status: 'open', closeText: 'March 3, 2025 at 7:00 PM' }]));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    const src = createMarketSource({ kind: 'json', jsonUrl: `http://127.0.0.1:${server.address().port}/`, timeZone: 'America/New_York' });
+    const d = await src.fetchDetail('https://auracle.fi/MarketDetails?id=x');
+    assert.equal(d.closeISO, '2025-03-04T00:00:00.000Z');
+    assert.equal(d.closeText, 'March 3, 2025 at 7:00 PM');
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
+
+test('json source reports HTTP errors', async () => {
+  const server = http.createServer((req, res) => { res.writeHead(503); res.end(); });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  try {
+    const src = createMarketSource({ kind: 'json', jsonUrl: `http://127.0.0.1:${server.address().port}/` });
+    await assert.rejects(src.fetchList(), /HTTP 503/);
+  } finally {
+    await new Promise(r => server.close(r));
+  }
+});
+
+test('createMarketSource rejects unknown kinds and a json source without input', () => {
+  assert.throws(() => createMarketSource({ kind: 'carrier-pigeon' }), /Unknown MARKET_SOURCE/);
+  assert.throws(() => createMarketSource({ kind: 'json' }), /MARKET_SOURCE_URL or MARKET_SOURCE_FILE/);
+});
+
+test('marketIdFromUrl reads both url styles', () => {
+  assert.equal(marketIdFromUrl('https://auracle.fi/MarketDetails?id=42'), '42');
+  assert.equal(marketIdFromUrl('https://auracle.fi/markets/abc-1'), 'abc-1');
+  assert.equal(marketIdFromUrl('not a url'), null);
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTemplate, renderTemplate, raw, checkTelegramHtml, TemplateError } from '../lib/templates.js';
+
+test('renderTemplate escapes values but not the template or raw() pieces', () => {
+  const out = renderTemplate('<b>{title}</b>\n{options}\n{url}', {
+    title: 'Lakers <3 & "Celtics"',
+    options: raw('• Yes — <b>60%</b>'),
+    url: 'https://auracle.fi/MarketDetails?id=1&x=2',
+  });
+  assert.equal(out, '<b>Lakers &lt;3 &amp; &quot;Celtics&quot;</b>\n• Yes — <b>60%</b>\nhttps://auracle.fi/MarketDetails?id=1&amp;x=2');
+  assert.equal(renderTemplate('[{missing}] { not a placeholder }', {}), '[] { not a placeholder }');
+});
+
+test('sections show on set values, inverted sections on empty ones, and nest', () => {
+  const src = '{#category}📂 {category}{#winner} / {winner}{/winner}{/category}{^category}no category{/category}';
+  assert.equal(renderTemplate(src, { category: 'NBA', winner: 'Lakers' }), '📂 NBA / Lakers');
+  assert.equal(renderTemplate(src, { category: 'NBA', winner: '' }), '📂 NBA');
+  assert.equal(renderTemplate(src, { category: '  ' }), 'no category');
+  assert.equal(renderTemplate('{^options}—{/options}', { options: raw('') }), '—');
+  assert.equal(renderTemplate('{#options}x{/options}', { options: [] }), '');
+});
+
+test('parseTemplate reports unknown placeholders and unbalanced sections', () => {
+  const known = ['title', 'category'];
+  assert.throws(() => parseTemplate('{titel}', { known }), /Unknown placeholder \{titel\}/);
+  assert.throws(() => parseTemplate('{#category}x', { known }), /never closed/);
+  assert.throws(() => parseTemplate('x{/category}', { known }), /Unexpected \{\/category\}/);
+  assert.throws(() => parseTemplate('{#category}{#title}{/category}{/title}', { known }), /\{#title\} is still open/);
+  assert.doesNotThrow(() => parseTemplate('{#category}{category}{/category} {title}', { known }));
+});
+
+test('checkTelegramHtml only lets through balanced tags Telegram knows', () => {
+  assert.doesNotThrow(() => checkTelegramHtml('<b>{title}</b> <a href="{url}">open</a> <tg-spoiler>x</tg-spoiler>'));
+  assert.throws(() => checkTelegramHtml('<div>x</div>'), TemplateError);
+  assert.throws(() => checkTelegramHtml('<b><i>x</b></i>'), /does not match/);
+  assert.throws(() => checkTelegramHtml('<b>x'), /never closed/);
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCloseText, zonedTimeToUtc, isValidTimeZone } from '../lib/time.js';
+
+test('parseCloseText reads Auracle close times in the given timezone', () => {
+  assert.equal(parseCloseText('March 3, 2025 at 7:00 PM'), '2025-03-03T19:00:00.000Z');
+  assert.equal(parseCloseText('March 3, 2025 at 7:00 PM', 'America/New_York'), '2025-03-04T00:00:00.000Z');
+  assert.equal(parseCloseText('Closes July 3, 2025 at 12:05 AM', 'Europe/Madrid'), '2025-07-02T22:05:00.000Z');
+  assert.equal(parseCloseText('december 31, 2025 12:00 PM', 'Asia/Tokyo'), '2025-12-31T03:00:00.000Z');
+  // No time: midnight where Auracle is
+  assert.equal(parseCloseText('April 12, 2025', 'Europe/London'), '2025-04-11T23:00:00.000Z');
+  assert.equal(parseCloseText('Ends in about 3 hours'), null);
+  assert.equal(parseCloseText(''), null);
+});
+
+test('zonedTimeToUtc follows daylight saving changes', () => {
+  const iso = (parts, tz) => new Date(zonedTimeToUtc(parts, tz)).toISOString();
+  assert.equal(iso({ year: 2025, month: 1, day: 15, hour: 9 }, 'America/New_York'), '2025-01-15T14:00:00.000Z');
+  assert.equal(iso({ year: 2025, month: 7, day: 15, hour: 9 }, 'America/New_York'), '2025-07-15T13:00:00.000Z');
+  // 02:30 does not exist on this day in New York; it lands next to the change
+  assert.equal(iso({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, 'America/New_York'), '2025-03-09T07:30:00.000Z');
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Europe/Madrid'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+});
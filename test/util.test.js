@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanLabel, uniqueOptions, mapWinnerToLabel, humanizeEta, visibleLength, sliceBytes } from '../lib/util.js';
+
+test('cleanLabel strips the CURRENT prefix and collapses whitespace', () => {
+  assert.equal(cleanLabel('CURRENT – Lakers'), 'Lakers');
+  assert.equal(cleanLabel('current-Real   Madrid'), 'Real Madrid');
+  assert.equal(cleanLabel(''), '');
+  assert.equal(cleanLabel(undefined), '');
+});
+
+test('cleanLabel drops page chrome that looks like a label', () => {
+  for (const noise of ['Implied probability', 'POOL SIZE', 'How it works', 'Early cash-out', 'Lakers WINS']) {
+    assert.equal(cleanLabel(noise), '', noise);
+  }
+});
+
+test('cleanLabel caps labels at 48 characters', () => {
+  assert.equal(cleanLabel('x'.repeat(60)).length, 48);
+});
+
+test('uniqueOptions dedupes case-insensitively and keeps at most three', () => {
+  const out = uniqueOptions([
+    { label: 'Arsenal', pct: 40 },
+    { label: 'ARSENAL', pct: 41 },
+    { label: 'Draw', pct: 27 },
+    { label: 'Chelsea', pct: 33 },
+    { label: 'Spurs', pct: 1 },
+  ]);
+  assert.deepEqual(out, [
+    { label: 'Arsenal', pct: 40 },
+    { label: 'Draw', pct: 27 },
+    { label: 'Chelsea', pct: 33 },
+  ]);
+});
+
+test('uniqueOptions rounds, clamps and skips empty labels', () => {
+  assert.deepEqual(uniqueOptions([{ label: '', pct: 10 }, { label: 'Yes', pct: 62.6 }, { label: 'No', pct: 120 }]), [
+    { label: 'Yes', pct: 63 },
+    { label: 'No', pct: 100 },
+  ]);
+});
+
+test('uniqueOptions fills the missing side of a two-way market', () => {
+  assert.deepEqual(uniqueOptions([{ label: 'Yes', pct: 71 }, { label: 'No', pct: null }]), [
+    { label: 'Yes', pct: 71 },
+    { label: 'No', pct: 29 },
+  ]);
+  assert.deepEqual(uniqueOptions([{ label: 'Yes' }, { label: 'No', pct: 12 }]), [
+    { label: 'Yes', pct: 88 },
+    { label: 'No', pct: 12 },
+  ]);
+});
+
+test('mapWinnerToLabel prefers a label named in the winner text', () => {
+  const opts = [{ label: 'Lakers' }, { label: 'Celtics' }];
+  assert.equal(mapWinnerToLabel('Celtics win', opts), 'Celtics');
+  assert.equal(mapWinnerToLabel('  lakers ', opts), 'Lakers');
+});
+
+test('mapWinnerToLabel maps YES/NO/DRAW onto option positions', () => {
+  const opts = [{ label: 'Arsenal' }, { label: 'Chelsea' }, { label: 'Tie' }];
+  assert.equal(mapWinnerToLabel('YES', opts), 'Arsenal');
+  assert.equal(mapWinnerToLabel('No', opts), 'Chelsea');
+  assert.equal(mapWinnerToLabel('DRAW', opts), 'Tie');
+  assert.equal(mapWinnerToLabel('YES', []), 'YES');
+  assert.equal(mapWinnerToLabel('DRAW', opts.slice(0, 2)), 'DRAW');
+});
+
+test('mapWinnerToLabel handles invalid, unknown and empty winners', () => {
+  assert.equal(mapWinnerToLabel('Market INVALID', []), 'Invalid');
+  assert.equal(mapWinnerToLabel(' Someone else ', [{ label: 'A' }]), 'Someone else');
+  assert.equal(mapWinnerToLabel('', []), null);
+  assert.equal(mapWinnerToLabel(null, []), null);
+});
+
+test('humanizeEta picks the largest whole unit', () => {
+  const now = Date.UTC(2025, 0, 1);
+  const min = 60_000, hour = 60 * min, day = 24 * hour;
+  assert.equal(humanizeEta(now + 3 * day + 5 * hour, now), 'in about 3 days');
+  assert.equal(humanizeEta(now + day + 23 * hour, now), 'in about 1 day');
+  assert.equal(humanizeEta(now + 5 * hour, now), 'in about 5 hours');
+  assert.equal(humanizeEta(now + hour + 59 * min, now), 'in about 1 hour');
+  assert.equal(humanizeEta(now + 15 * min, now), 'in about 15 minutes');
+  assert.equal(humanizeEta(now + min + 30_000, now), 'in about 1 minute');
+  assert.equal(humanizeEta(now + 30_000, now), 'in about moments');
+});
+
+test('humanizeEta clamps the past and ignores non-numbers', () => {
+  const now = Date.UTC(2025, 0, 1);
+  assert.equal(humanizeEta(now - 60_000, now), 'in about moments');
+  assert.equal(humanizeEta(NaN, now), '');
+  assert.equal(humanizeEta(Date.parse('not a date'), now), '');
+});
+
+test('visibleLength counts what Telegram counts', () => {
+  assert.equal(visibleLength('<b>Lakers</b> &amp; <i>Celtics</i>'), 'Lakers & Celtics'.length);
+  assert.equal(visibleLength('<a href="https://x/?a=1&amp;b=2">link</a>'), 4);
+  assert.equal(visibleLength('5 &lt; 6 &#39;ok&#39;'), 10);
+  assert.equal(visibleLength(''), 0);
+});
+
+test('sliceBytes cuts by UTF-8 bytes on character boundaries', () => {
+  assert.equal(sliceBytes('Football', 4), 'Foot');
+  assert.equal(sliceBytes('Fútbol', 2), 'F', 'ú takes two bytes');
+  assert.equal(sliceBytes('Fútbol', 3), 'Fú');
+  assert.equal(sliceBytes('⚽⚽', 5), '⚽');
+  assert.equal(sliceBytes('abc', 0), '');
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addWatch, removeWatch, watchersOf, dropMarket, dropUser } from '../lib/watchlist.js';
+
+test('addWatch adds once per user and stops at the cap', () => {
+  let r = addWatch({}, 42, 'a', { max: 2 });
+  assert.equal(r.result, 'added');
+  assert.deepEqual(r.lists, { 42: ['a'] });
+  assert.equal(addWatch(r.lists, 42, 'a', { max: 2 }).result, 'already');
+  r = addWatch(r.lists, 42, 'b', { max: 2 });
+  const full = addWatch(r.lists, 42, 'c', { max: 2 });
+  assert.equal(full.result, 'full');
+  assert.equal(full.lists, r.lists);
+  // The cap is per user
+  assert.equal(addWatch(r.lists, 7, 'c', { max: 2 }).result, 'added');
+});
+
+test('removeWatch leaves an empty list behind and never mutates its input', () => {
+  const lists = Object.freeze({ 42: Object.freeze(['a']) });
+  assert.deepEqual(removeWatch(lists, 42, 'b'), { lists, removed: false });
+  assert.deepEqual(removeWatch(lists, 42, 'a'), { lists: { 42: [] }, removed: true });
+  assert.deepEqual(removeWatch(lists, 7, 'a').removed, false);
+});
+
+test('watchersOf, dropMarket and dropUser', () => {
+  const lists = { 42: ['a', 'b'], 7: ['b'], 9: [] };
+  assert.deepEqual(watchersOf(lists, 'b').sort(), ['42', '7']);
+  assert.deepEqual(watchersOf(lists, 'z'), []);
+  assert.deepEqual(dropMarket(lists, 'b'), { 42: ['a'], 7: [], 9: [] });
+  assert.equal(dropMarket(lists, 'z'), lists);
+  assert.deepEqual(dropUser(lists, 42), { 7: ['b'], 9: [] });
+  assert.equal(dropUser(lists, 1), lists);
+});